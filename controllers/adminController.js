@@ -300,6 +300,108 @@ async getAllPromoCodes(req, res) {
   }
 }
 
+  async getAllPopularDestinations(req, res) {
+    try {
+      const { data: destinations, error } = await supabase
+        .from('popular_destinations')
+        .select('*')
+        .order('rank', { ascending: true });
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        data: destinations
+      });
+    } catch (error) {
+      console.error('Get popular destinations error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async managePopularDestinations(req, res) {
+    try {
+      const { action } = req.params;
+      const { destinationId, ...destinationData } = req.body;
+
+      if (!['create', 'update', 'delete'].includes(action)) {
+        return res.status(400).json({ error: 'Invalid action' });
+      }
+
+      if (action !== 'create' && !destinationId) {
+        return res.status(400).json({ success: false, error: 'destinationId is required' });
+      }
+
+      const result = await adminService.managePopularDestinations(action, destinationData, destinationId);
+
+      res.json({
+        success: true,
+        data: result.destination,
+        message: result.message
+      });
+    } catch (error) {
+      console.error('Popular destination management error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async getAllCancellationPolicies(req, res) {
+    try {
+      const { data: policies, error } = await supabase
+        .from('cancellation_policies')
+        .select('*')
+        .order('priority', { ascending: true });
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        data: policies
+      });
+    } catch (error) {
+      console.error('Get cancellation policies error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async manageCancellationPolicies(req, res) {
+    try {
+      const { action } = req.params;
+      const { policyId, ...policyData } = req.body;
+
+      if (!['create', 'update', 'delete'].includes(action)) {
+        return res.status(400).json({ error: 'Invalid action' });
+      }
+
+      if (action !== 'create' && !policyId) {
+        return res.status(400).json({ success: false, error: 'policyId is required' });
+      }
+
+      const result = await adminService.manageCancellationPolicies(action, policyData, policyId);
+
+      res.json({
+        success: true,
+        data: result.policy,
+        message: result.message
+      });
+    } catch (error) {
+      console.error('Cancellation policy management error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
 
   /**
    * Send broadcast notification
@@ -45,6 +45,18 @@ async createBooking(req, res) {
     console.log('=== BOOKING REQUEST SUCCESS ===');
     console.log('Result:', result);
     
+    // The same booking was already made moments ago; send allowDuplicate to book it again
+    if (result.duplicate) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        booking: result.booking,
+        bookingId: result.booking.id,
+        bookingReference: result.bookingReference,
+        message: 'A booking for these flights and passengers already exists'
+      });
+    }
+
     res.status(201).json({
       success: true,
       booking: result.booking,
@@ -65,7 +77,37 @@ async createBooking(req, res) {
     };
 
     // Handle specific database constraint errors
-    if (error.message && error.message.includes('user_id') && error.message.includes('not present')) {
+    if (error.code === 'PRICE_CHANGED') {
+      statusCode = 409;
+      errorResponse = {
+        error: 'Price changed',
+        details: error.message,
+        code: 'PRICE_CHANGED',
+        priceChange: error.priceChange
+      };
+    } else if (error.code === 'SEAT_UNAVAILABLE') {
+      statusCode = 409;
+      errorResponse = {
+        error: 'Seat unavailable',
+        details: error.message,
+        code: 'SEAT_UNAVAILABLE',
+        seat: error.seat
+      };
+    } else if (error.code === 'SEAT_CURRENCY_MISMATCH') {
+      errorResponse = {
+        error: 'Seat not sold in the booking currency',
+        details: error.message,
+        code: 'SEAT_CURRENCY_MISMATCH',
+        seat: error.seat
+      };
+    } else if (error.message && error.message.includes('Please search again')) {
+      statusCode = 410;
+      errorResponse = {
+        error: 'Flight offer expired',
+        details: error.message,
+        code: 'OFFER_NOT_FOUND'
+      };
+    } else if (error.message && error.message.includes('user_id') && error.message.includes('not present')) {
       statusCode = 404;
       errorResponse = {
         error: 'User not found',
@@ -148,6 +190,18 @@ async createPendingBooking(req, res) {
       console.log('=== PENDING BOOKING REQUEST SUCCESS ===');
       console.log('Result:', result);
       
+      // The same booking was already made moments ago; send allowDuplicate to book it again
+      if (result.duplicate) {
+        return res.status(200).json({
+          success: true,
+          duplicate: true,
+          booking: result.booking,
+          bookingId: result.booking.id,
+          bookingReference: result.bookingReference,
+          message: 'A booking for these flights and passengers already exists'
+        });
+      }
+
       res.status(201).json({
         success: true,
         booking: result.booking,
@@ -168,7 +222,37 @@ async createPendingBooking(req, res) {
       };
 
       // Handle specific database constraint errors
-      if (error.message && error.message.includes('user_id') && error.message.includes('not present')) {
+      if (error.code === 'PRICE_CHANGED') {
+        statusCode = 409;
+        errorResponse = {
+          error: 'Price changed',
+          details: error.message,
+          code: 'PRICE_CHANGED',
+          priceChange: error.priceChange
+        };
+      } else if (error.code === 'SEAT_UNAVAILABLE') {
+        statusCode = 409;
+        errorResponse = {
+          error: 'Seat unavailable',
+          details: error.message,
+          code: 'SEAT_UNAVAILABLE',
+          seat: error.seat
+        };
+      } else if (error.code === 'SEAT_CURRENCY_MISMATCH') {
+        errorResponse = {
+          error: 'Seat not sold in the booking currency',
+          details: error.message,
+          code: 'SEAT_CURRENCY_MISMATCH',
+          seat: error.seat
+        };
+      } else if (error.message && error.message.includes('Please search again')) {
+        statusCode = 410;
+        errorResponse = {
+          error: 'Flight offer expired',
+          details: error.message,
+          code: 'OFFER_NOT_FOUND'
+        };
+      } else if (error.message && error.message.includes('user_id') && error.message.includes('not present')) {
         statusCode = 404;
         errorResponse = {
           error: 'User not found',
@@ -261,6 +345,24 @@ async createPendingBooking(req, res) {
       const result = await bookingService.modifyBooking(bookingId, req.user.id, req.body);
       res.json(result);
     } catch (error) {
+      console.error('Modify booking error:', error);
+
+      if (error.code === 'PRICE_CHANGED') {
+        return res.status(409).json({
+          error: 'Price changed',
+          details: error.message,
+          code: 'PRICE_CHANGED',
+          priceChange: error.priceChange
+        });
+      }
+      if (error.message && error.message.includes('Please search again')) {
+        return res.status(410).json({
+          error: 'Flight offer expired',
+          details: error.message,
+          code: 'OFFER_NOT_FOUND'
+        });
+      }
+
       res.status(400).json({ error: error.message });
     }
   }
@@ -280,28 +382,68 @@ async createPendingBooking(req, res) {
       
       res.json(result);
     } catch (error) {
+      if (error.code === 'INVALID_STATUS_TRANSITION') {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
       res.status(400).json({ error: error.message });
     }
   }
 
+  async getCancellationQuote(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const quote = await bookingService.getCancellationQuote(bookingId, req.user.id);
+
+      res.json({
+        success: true,
+        quote
+      });
+    } catch (error) {
+      console.error('Cancellation quote error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async cancelBooking(req, res) {
   try {
     const { bookingId } = req.params;
-    const { reason } = req.body;
+    const { reason, quotedRefundAmount } = req.body;
     const userId = req.user.id;
 
     console.log(`Cancelling booking ${bookingId} for user ${userId}`);
 
     // Fix: Use bookingService instead of this.bookingService
-    const result = await bookingService.cancelBooking(bookingId, userId, reason || 'Customer request');
+    const result = await bookingService.cancelBooking(bookingId, userId, reason || 'Customer request', quotedRefundAmount);
     
     res.json({
       success: true,
       message: result.message,
-      refundAmount: result.refundAmount
+      refundAmount: result.refundAmount,
+      quote: result.quote
     });
   } catch (error) {
     console.error('Cancel booking error:', error);
+
+    if (error.code === 'CANCELLATION_QUOTE_CHANGED') {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: 'CANCELLATION_QUOTE_CHANGED',
+        quote: error.quote
+      });
+    }
+
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
     res.status(400).json({ 
       success: false,
       error: error.message 
@@ -328,8 +470,8 @@ async downloadTicket(req, res) {
       });
     }
 
-    // Check if booking is confirmed
-    if (booking.status !== 'confirmed') {
+    // Check if booking is confirmed or already ticketed
+    if (!['confirmed', 'ticketed'].includes(booking.status)) {
       return res.status(400).json({ 
         success: false,
         error: 'Ticket can only be downloaded for confirmed bookings' 
@@ -338,7 +480,7 @@ async downloadTicket(req, res) {
 
     // Generate the ticket PDF
     // Fix: Use bookingService instead of this.bookingService
-    const ticketBuffer = await bookingService.generateTicket(booking);
+    const ticketBuffer = await bookingService.issueTicket(booking, userId);
     
     // Set response headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
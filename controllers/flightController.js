@@ -1,23 +1,87 @@
 const Joi = require('joi');
 const { createClient } = require('@supabase/supabase-js');
 const FlightSearchService = require('../services/flightSearchService');
+const AirportService = require('../services/airportService');
+const DestinationService = require('../services/destinationService');
+const SeatMapService = require('../services/seatMapService');
+const AncillaryService = require('../services/ancillaryService');
+const { filterOffers, sortOffers, paginate, buildFacets } = require('../utils/flightFilters');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Updated validation schema to match frontend payload
-const searchSchema = Joi.object({
+const legSchema = Joi.object({
   origin: Joi.string().required(),
   destination: Joi.string().required(),
-  departureDate: Joi.date().iso().required(),
+  departureDate: Joi.date().iso().required()
+});
+
+// Updated validation schema to match frontend payload
+const searchSchema = Joi.object({
+  origin: Joi.string().when('tripType', { is: 'multi-city', then: Joi.optional(), otherwise: Joi.required() }),
+  destination: Joi.string().when('tripType', { is: 'multi-city', then: Joi.optional(), otherwise: Joi.required() }),
+  departureDate: Joi.date().iso().when('tripType', { is: 'multi-city', then: Joi.optional(), otherwise: Joi.required() }),
   returnDate: Joi.date().iso().allow(null).optional(),
-  passengers: Joi.number().integer().min(1).max(9).required(),
+  passengers: Joi.alternatives().try(
+    Joi.number().integer().min(1).max(9),
+    Joi.object({
+      adults: Joi.number().integer().min(1).max(9).required(),
+      children: Joi.number().integer().min(0).max(8).default(0),
+      infants: Joi.number().integer().min(0).max(9).default(0)
+    }).custom((value, helpers) => {
+      // Infants travel on an adult's lap, and airlines cap a booking at 9 seats
+      if (value.infants > value.adults) {
+        return helpers.message('"passengers.infants" cannot exceed the number of adults');
+      }
+      if (value.adults + value.children > 9) {
+        return helpers.message('"passengers" cannot exceed 9 seated travellers');
+      }
+      return value;
+    })
+  ).required(),
   cabinClass: Joi.string().valid('economy', 'premium-economy', 'business', 'first').required(),
   tripType: Joi.string().valid('one-way', 'round-trip', 'multi-city').required(),
   directFlightsOnly: Joi.boolean().default(false),
-  flexibleDates: Joi.boolean().default(false)
+  flexibleDates: Joi.boolean().default(false),
+  legs: Joi.array().items(legSchema).min(2).max(6).when('tripType', {
+    is: 'multi-city',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const clockTime = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+// Query parameters for filtering, sorting and paging cached search results
+const resultsQuerySchema = Joi.object({
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  stops: Joi.string().pattern(/^[0-2](,[0-2])*$/),
+  airlines: Joi.string().pattern(/^[A-Z0-9]{2}(,[A-Z0-9]{2})*$/i),
+  departureTimeFrom: clockTime,
+  departureTimeTo: clockTime,
+  arrivalTimeFrom: clockTime,
+  arrivalTimeTo: clockTime,
+  maxDuration: Joi.number().integer().min(1), // minutes
+  maxEmissions: Joi.number().min(0), // kg CO2 per passenger
+  lowerEmissions: Joi.boolean(), // below the typical emissions for the search
+  maxLayover: Joi.number().integer().min(0), // minutes, longest single connection
+  noAirportChange: Joi.boolean(),
+  sortBy: Joi.string().valid('price', 'duration', 'departure', 'best', 'emissions').default('price'),
+  order: Joi.string().valid('asc', 'desc').default('asc'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  // Selects a cell of a flexible-date search instead of the requested dates
+  departureDate: Joi.date().iso(),
+  returnDate: Joi.date().iso()
+});
+
+const popularDestinationsQuerySchema = Joi.object({
+  from: Joi.string().pattern(/^[A-Z]{3}$/i).uppercase(),
+  season: Joi.string().valid('winter', 'spring', 'summer', 'autumn').lowercase(),
+  limit: Joi.number().integer().min(1).max(50).default(12)
 });
 
 // Search for flights
@@ -36,24 +100,40 @@ const searchFlights = async (req, res) => {
     const searchParams = value;
     const userId = req.auth?.userId || null;
 
+    // Multi-city legs must be flown in date order
+    const legs = searchParams.legs || null;
+    if (legs && legs.some((leg, index) => index > 0 && leg.departureDate < legs[index - 1].departureDate)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: ['"legs" must be in chronological order'],
+        received: req.body
+      });
+    }
+
     // Transform frontend format to backend format
     const transformedParams = {
       tripType: searchParams.tripType === 'round-trip' ? 'roundtrip' : 
                 searchParams.tripType === 'one-way' ? 'oneway' : 'multicity',
-      from: searchParams.origin,
-      to: searchParams.destination,
-      departureDate: searchParams.departureDate,
+      from: legs ? legs[0].origin : searchParams.origin,
+      to: legs ? legs[legs.length - 1].destination : searchParams.destination,
+      departureDate: legs ? legs[0].departureDate : searchParams.departureDate,
       returnDate: searchParams.returnDate,
-      passengers: {
-        adults: searchParams.passengers,
-        children: 0,
-        infants: 0
-      },
+      passengers: typeof searchParams.passengers === 'number'
+        ? { adults: searchParams.passengers, children: 0, infants: 0 }
+        : searchParams.passengers,
       class: searchParams.cabinClass.replace('-', '_'), // premium-economy -> premium_economy
       directFlights: searchParams.directFlightsOnly,
       flexibleDates: searchParams.flexibleDates
     };
 
+    if (legs) {
+      transformedParams.legs = legs.map(leg => ({
+        from: leg.origin,
+        to: leg.destination,
+        departureDate: leg.departureDate
+      }));
+    }
+
     // Log search request
     if (userId) {
       try {
@@ -69,29 +149,40 @@ const searchFlights = async (req, res) => {
     }
 
     // Search flights using external API (Amadeus/Mock)
-    const flightResults = await FlightSearchService.searchFlights(transformedParams);
+    let flightResults;
+    let flexibleSearch = null;
+
+    if (transformedParams.flexibleDates && transformedParams.tripType !== 'multicity') {
+      flexibleSearch = await FlightSearchService.searchFlexibleDates(transformedParams);
+      flightResults = flexibleSearch.offers;
+    } else {
+      flightResults = await FlightSearchService.searchFlights(transformedParams);
+    }
 
-    // Store search results temporarily for booking reference
-    const searchId = `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    try {
-      await supabase.from('flight_search_cache').insert({
-        search_id: searchId,
-        search_params: transformedParams,
-        results: flightResults,
-        expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString() // 30 minutes
-      });
-    } catch (cacheError) {
-      console.warn('Failed to cache search results:', cacheError);
-      // Don't fail the search if caching fails
+    // Store search results temporarily for booking reference. Offers get ids that carry the search id.
+    const cachedSearch = await FlightSearchService.cacheSearch(
+      transformedParams,
+      flightResults,
+      flexibleSearch ? flexibleSearch.offersByDate : null
+    );
+
+    const response = {
+      searchId: cachedSearch.search_id,
+      flights: cachedSearch.results, // Changed from 'results' to 'flights' to match frontend expectation
+      totalResults: cachedSearch.results.length,
+      searchParams: transformedParams,
+      expiresAt: cachedSearch.expires_at
+    };
+
+    if (flexibleSearch) {
+      response.flexibleDates = {
+        window: flexibleSearch.window,
+        grid: flexibleSearch.grid,
+        best: flexibleSearch.best
+      };
     }
 
-    res.json({
-      searchId,
-      flights: flightResults, // Changed from 'results' to 'flights' to match frontend expectation
-      totalResults: flightResults.length,
-      searchParams: transformedParams
-    });
+    res.json(response);
 
   } catch (error) {
     console.error('Flight search error:', error);
@@ -103,6 +194,125 @@ const searchFlights = async (req, res) => {
   }
 };
 
+// Get the cached offers for one cell of a flexible-date grid
+const getFlexibleDateOffers = async (req, res) => {
+  try {
+    const { searchId } = req.params;
+    const { departureDate, returnDate } = req.query;
+
+    if (!departureDate) {
+      return res.status(400).json({
+        error: 'Missing Departure Date',
+        message: 'departureDate is required'
+      });
+    }
+
+    const cachedSearch = await FlightSearchService.getCachedSearch(searchId);
+
+    if (!cachedSearch || !cachedSearch.flexible_results) {
+      return res.status(404).json({
+        error: 'Search Not Found',
+        message: 'The flexible date search has expired or does not exist'
+      });
+    }
+
+    const dateKey = FlightSearchService.getFlexibleDateKey(departureDate, returnDate || null);
+    const flights = cachedSearch.flexible_results[dateKey];
+
+    if (!flights) {
+      return res.status(404).json({
+        error: 'Date Not Found',
+        message: 'The requested dates are outside the flexible date grid'
+      });
+    }
+
+    res.json({
+      searchId,
+      departureDate,
+      returnDate: returnDate || null,
+      flights,
+      totalResults: flights.length
+    });
+
+  } catch (error) {
+    console.error('Flexible date offers error:', error);
+    res.status(500).json({
+      error: 'Flexible Dates Error',
+      message: 'Unable to retrieve offers for the requested dates'
+    });
+  }
+};
+
+// Filter, sort and page the cached results of a search
+const getSearchResults = async (req, res) => {
+  try {
+    const { searchId } = req.params;
+
+    const { error, value } = resultsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const cachedSearch = await FlightSearchService.getCachedSearch(searchId);
+
+    if (!cachedSearch) {
+      return res.status(404).json({
+        error: 'Search Not Found',
+        message: 'The search has expired or does not exist'
+      });
+    }
+
+    let offers = cachedSearch.results || [];
+    if (value.departureDate) {
+      const dateKey = FlightSearchService.getFlexibleDateKey(
+        value.departureDate.toISOString().split('T')[0],
+        value.returnDate ? value.returnDate.toISOString().split('T')[0] : null
+      );
+      offers = cachedSearch.flexible_results?.[dateKey] || [];
+    }
+
+    const filters = {
+      minPrice: value.minPrice,
+      maxPrice: value.maxPrice,
+      stops: value.stops ? value.stops.split(',').map(Number) : [],
+      airlines: value.airlines ? value.airlines.toUpperCase().split(',') : [],
+      departureTimeFrom: value.departureTimeFrom,
+      departureTimeTo: value.departureTimeTo,
+      arrivalTimeFrom: value.arrivalTimeFrom,
+      arrivalTimeTo: value.arrivalTimeTo,
+      maxDuration: value.maxDuration,
+      maxEmissions: value.maxEmissions,
+      lowerEmissions: value.lowerEmissions,
+      maxLayover: value.maxLayover,
+      noAirportChange: value.noAirportChange
+    };
+
+    const filtered = filterOffers(offers, filters);
+    const sorted = sortOffers(filtered, value.sortBy, value.order);
+    const { items, pagination } = paginate(sorted, value.page, value.limit);
+
+    res.json({
+      searchId,
+      flights: items,
+      pagination,
+      // Facets describe the full result set so filter options don't disappear as they are applied
+      facets: buildFacets(offers),
+      appliedFilters: filters,
+      sort: { sortBy: value.sortBy, order: value.order }
+    });
+
+  } catch (error) {
+    console.error('Search results error:', error);
+    res.status(500).json({
+      error: 'Search Results Error',
+      message: 'Unable to retrieve search results'
+    });
+  }
+};
+
 // Get flight details
 const getFlightDetails = async (req, res) => {
   try {
@@ -142,6 +352,13 @@ const getFareRules = async (req, res) => {
     const { flightId } = req.params;
     
     const fareRules = await FlightSearchService.getFareRules(flightId);
+
+    if (!fareRules) {
+      return res.status(404).json({
+        error: 'Flight Not Found',
+        message: 'The requested flight could not be found'
+      });
+    }
     
     res.json(fareRules);
 
@@ -154,38 +371,80 @@ const getFareRules = async (req, res) => {
   }
 };
 
+// Seat maps for every segment of an offer, or one segment with ?segment=<index>
+const getSeatMap = async (req, res) => {
+  try {
+    const { flightId } = req.params;
+    const segment = req.query.segment !== undefined ? Number(req.query.segment) : null;
+
+    if (segment !== null && (!Number.isInteger(segment) || segment < 0)) {
+      return res.status(400).json({
+        error: 'Invalid Segment',
+        message: 'segment must be a non-negative integer'
+      });
+    }
+
+    const seatMaps = await SeatMapService.getSeatMap(flightId, segment);
+
+    if (!seatMaps) {
+      return res.status(404).json({
+        error: 'Flight Not Found',
+        message: 'The requested flight or segment could not be found'
+      });
+    }
+
+    res.json({ flightId, seatMaps });
+
+  } catch (error) {
+    console.error('Seat map error:', error);
+    res.status(500).json({
+      error: 'Seat Map Error',
+      message: 'Unable to retrieve the seat map'
+    });
+  }
+};
+
+// Extra bags, priority boarding, meals and lounge passes for an offer
+const getAncillaries = async (req, res) => {
+  try {
+    const { flightId } = req.params;
+    const catalogue = await AncillaryService.getAncillaries(flightId);
+
+    if (!catalogue) {
+      return res.status(404).json({
+        error: 'Flight Not Found',
+        message: 'The requested flight could not be found'
+      });
+    }
+
+    res.json({ flightId, ...catalogue });
+
+  } catch (error) {
+    console.error('Ancillaries error:', error);
+    res.status(500).json({
+      error: 'Ancillaries Error',
+      message: 'Unable to retrieve extras for this flight'
+    });
+  }
+};
+
 // Search airports
 const searchAirports = async (req, res) => {
   try {
     const { q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 25);
     
-    if (!q || q.length < 2) {
+    if (typeof q !== 'string' || q.trim().length < 2) {
       return res.status(400).json({
         error: 'Query Too Short',
         message: 'Search query must be at least 2 characters'
       });
     }
 
-    // Search airports from database - using correct column names
-    const { data: airports, error } = await supabase
-      .from('airports')
-      .select('iata_code, name, city, country, latitude, longitude')
-      .or(`city.ilike.%${q}%, country.ilike.%${q}%, iata_code.ilike.%${q}%, name.ilike.%${q}%`)
-      .limit(10);
-
-    if (error) throw error;
-
-    // Format response to match frontend expectations
-    const formattedAirports = airports?.map(airport => ({
-      code: airport.iata_code,
-      name: airport.name,
-      city: airport.city,
-      country: airport.country,
-      latitude: airport.latitude,
-      longitude: airport.longitude
-    })) || [];
+    // Ranked: exact IATA code, metro area, city, then name and typo-tolerant matches
+    const airports = await AirportService.searchAirports(q, limit);
 
-    res.json({ airports: formattedAirports });
+    res.json({ airports });
 
   } catch (error) {
     console.error('Airport search error:', error);
@@ -196,33 +455,60 @@ const searchAirports = async (req, res) => {
   }
 };
 
-// Get popular destinations
-const getPopularDestinations = async (req, res) => {
+// Airports within a radius of a point
+const getNearbyAirports = async (req, res) => {
   try {
-    const { from } = req.query;
+    const latitude = parseFloat(req.query.lat);
+    const longitude = parseFloat(req.query.lng);
+    const radiusKm = req.query.radiusKm !== undefined ? parseFloat(req.query.radiusKm) : 100;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 25);
 
-    // Updated to match your schema - using 'rank' instead of 'popularity_score'
-    let query = supabase
-      .from('popular_destinations')
-      .select('iata_code, city, country, rank, description, image_url')
-      .order('rank', { ascending: true }) // Lower rank = more popular
-      .limit(12);
+    if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+      return res.status(400).json({
+        error: 'Invalid Coordinates',
+        message: 'lat must be between -90 and 90 and lng between -180 and 180'
+      });
+    }
 
-    const { data: destinations, error } = await query;
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > 1000) {
+      return res.status(400).json({
+        error: 'Invalid Radius',
+        message: 'radiusKm must be greater than 0 and at most 1000'
+      });
+    }
 
-    if (error) throw error;
+    const airports = await AirportService.getNearbyAirports({ latitude, longitude, radiusKm, limit });
 
-    // Format response to match frontend expectations
-    const formattedDestinations = destinations?.map(dest => ({
-      code: dest.iata_code,
-      city: dest.city,
-      country: dest.country,
-      rank: dest.rank,
-      description: dest.description,
-      image_url: dest.image_url
-    })) || [];
+    res.json({ airports });
 
-    res.json({ destinations: formattedDestinations });
+  } catch (error) {
+    console.error('Nearby airports error:', error);
+    res.status(500).json({
+      error: 'Nearby Airports Error',
+      message: 'Unable to find nearby airports'
+    });
+  }
+};
+
+// Get popular destinations, ranked by recent bookings and searches
+const getPopularDestinations = async (req, res) => {
+  try {
+    const { error: validationError, value } = popularDestinationsQuerySchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validationError.details.map(detail => detail.message)
+      });
+    }
+
+    const destinations = await DestinationService.getPopularDestinations({
+      from: value.from || null,
+      season: value.season || null,
+      limit: value.limit
+    });
+
+    res.json({ destinations });
 
   } catch (error) {
     console.error('Popular destinations error:', error);
@@ -272,7 +558,8 @@ const createPriceAlert = async (req, res) => {
       departureDate,
       returnDate,
       targetPrice,
-      alertType // 'below', 'decrease'
+      alertType, // 'below', 'decrease'
+      cabinClass
     } = req.body;
 
     // Validate input
@@ -294,6 +581,8 @@ const createPriceAlert = async (req, res) => {
         return_date: returnDate,
         target_price: targetPrice,
         alert_type: alertType || 'below',
+        cabin_class: cabinClass || 'economy',
+        status: 'active',
         is_active: true,
         created_at: new Date()
       })
@@ -320,7 +609,7 @@ const createPriceAlert = async (req, res) => {
 const getPriceCalendar = async (req, res) => {
   try {
     const { route } = req.params;
-    const { month, year } = req.query;
+    const { month, year, cabinClass } = req.query;
     
     const [from, to] = route.split('-');
     
@@ -331,12 +620,21 @@ const getPriceCalendar = async (req, res) => {
       });
     }
 
+    const calendarMonth = parseInt(month) || new Date().getMonth() + 1;
+    if (calendarMonth < 1 || calendarMonth > 12) {
+      return res.status(400).json({
+        error: 'Invalid Month',
+        message: 'Month must be between 1 and 12'
+      });
+    }
+
     // Get price calendar data
     const priceCalendar = await FlightSearchService.getPriceCalendar({
       from,
       to,
-      month: parseInt(month) || new Date().getMonth() + 1,
-      year: parseInt(year) || new Date().getFullYear()
+      month: calendarMonth,
+      year: parseInt(year) || new Date().getFullYear(),
+      cabinClass: cabinClass || 'economy'
     });
 
     res.json(priceCalendar);
@@ -350,6 +648,63 @@ const getPriceCalendar = async (req, res) => {
   }
 };
 
+// Get price history and trend for a route
+const getPriceHistory = async (req, res) => {
+  try {
+    const { route } = req.params;
+    const { departureDate, cabinClass, tripType, days } = req.query;
+
+    const [from, to] = route.split('-');
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: 'Invalid Route',
+        message: 'Route must be in format FROM-TO'
+      });
+    }
+
+    if (departureDate && isNaN(Date.parse(departureDate))) {
+      return res.status(400).json({
+        error: 'Invalid Date',
+        message: 'Departure date must be a valid date'
+      });
+    }
+
+    if (tripType && !['oneway', 'roundtrip'].includes(tripType)) {
+      return res.status(400).json({
+        error: 'Invalid Trip Type',
+        message: 'Trip type must be oneway or roundtrip'
+      });
+    }
+
+    const lookbackDays = days ? parseInt(days) : undefined;
+    if (lookbackDays !== undefined && (isNaN(lookbackDays) || lookbackDays < 1 || lookbackDays > 365)) {
+      return res.status(400).json({
+        error: 'Invalid Days',
+        message: 'Days must be between 1 and 365'
+      });
+    }
+
+    const priceHistory = await FlightSearchService.getPriceHistory({
+      from,
+      to,
+      departureDate: departureDate || null,
+      cabinClass: cabinClass || 'economy',
+      tripType: tripType || 'oneway',
+      days: lookbackDays
+    });
+
+    res.json(priceHistory);
+
+  } catch (error) {
+    console.error('Price history error:', error);
+    res.status(500).json({
+      error: 'Price History Error',
+      message: 'Unable to retrieve price history'
+    });
+  }
+};
+
 const getUserPriceAlerts = async (req, res) => {
   try {
     const userId = req.auth.userId; // Fixed: changed from req.user.id to req.auth.userId
@@ -614,13 +969,19 @@ const removeFromFavorites = async (req, res) => {
 
 module.exports = {
   searchFlights,
+  getFlexibleDateOffers,
+  getSearchResults,
   getFlightDetails,
   getFareRules,
+  getSeatMap,
+  getAncillaries,
   searchAirports,
+  getNearbyAirports,
   getPopularDestinations,
   getAirlines,
   createPriceAlert,
   getPriceCalendar,
+  getPriceHistory,
   getUserPriceAlerts,
   updatePriceAlert,
   deletePriceAlert,
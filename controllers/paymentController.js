@@ -110,6 +110,15 @@ class PaymentController {
       body: req.body,
       timestamp: new Date().toISOString()
     });
+
+    if (error.code === 'AMOUNT_MISMATCH') {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: 'AMOUNT_MISMATCH',
+        amountDue: error.amountDue
+      });
+    }
     
     res.status(400).json({ 
       success: false,
@@ -105,6 +105,11 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Elevatio API server running on port ${PORT}`);
   console.log(`📊 Health check available at http://localhost:${PORT}/health`);
+
+  // Background jobs
+  require('./services/priceAlertService').start();
+  require('./services/bookingExpiryService').start();
+  require('./services/bookingCompletionService').start();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -110,6 +110,16 @@ router.get('/promo-codes', adminController.getAllPromoCodes);
 router.post('/promo-codes/:action', adminController.managePromoCodes);
 router.put('/promo-codes/:action', adminController.managePromoCodes);
 
+// Popular destinations (editorial overrides for the computed ranking)
+router.get('/popular-destinations', adminController.getAllPopularDestinations);
+router.post('/popular-destinations/:action', adminController.managePopularDestinations);
+router.put('/popular-destinations/:action', adminController.managePopularDestinations);
+
+// Cancellation policies (refund penalties by fare class, airline and time to departure)
+router.get('/cancellation-policies', adminController.getAllCancellationPolicies);
+router.post('/cancellation-policies/:action', adminController.manageCancellationPolicies);
+router.put('/cancellation-policies/:action', adminController.manageCancellationPolicies);
+
 // System management
 router.get('/system/logs', adminController.getSystemLogs);
 router.get('/system/settings', adminController.getSystemSettings);
@@ -13,6 +13,7 @@ router.post('/', bookingController.createBooking.bind(bookingController));
 router.get('/', bookingController.getUserBookings.bind(bookingController));
 router.post('/create-pending', bookingController.createPendingBooking.bind(bookingController));
 router.get('/:bookingId', bookingController.getBookingDetails.bind(bookingController));
+router.get('/:bookingId/cancellation-quote', bookingController.getCancellationQuote.bind(bookingController));
 router.put('/:bookingId/cancel', bookingController.cancelBooking.bind(bookingController));
 router.put('/:bookingId/modify', bookingController.modifyBooking.bind(bookingController));
 router.put('/:bookingId/confirm', bookingController.confirmBooking.bind(bookingController));
@@ -9,11 +9,16 @@ router.use(apiLimiter);
 
 // Flight search routes
 router.post('/search', flightController.searchFlights);
+router.get('/search/:searchId/results', flightController.getSearchResults);
+router.get('/search/:searchId/flexible', flightController.getFlexibleDateOffers);
 router.get('/details/:flightId', flightController.getFlightDetails);
 router.get('/fare-rules/:flightId', flightController.getFareRules);
+router.get('/seatmap/:flightId', flightController.getSeatMap);
+router.get('/ancillaries/:flightId', flightController.getAncillaries);
 
 // Airport and airline routes
 router.get('/airports/search', flightController.searchAirports);
+router.get('/airports/nearby', flightController.getNearbyAirports);
 router.get('/destinations/popular', flightController.getPopularDestinations);
 router.get('/airlines', flightController.getAirlines);
 
@@ -26,6 +31,9 @@ router.delete('/price-alerts/:alertId', authenticateToken, flightController.dele
 // Price calendar route
 router.get('/calendar/:route', flightController.getPriceCalendar);
 
+// Price history and trend route
+router.get('/price-history/:route', flightController.getPriceHistory);
+
 // Search history (protected)
 router.get('/history', authenticateToken, flightController.getSearchHistory);
 router.delete('/history/:searchId', authenticateToken, flightController.deleteSearchHistory);
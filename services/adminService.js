@@ -1,6 +1,12 @@
 const { createClient } = require('@supabase/supabase-js');
 const { sendEmail } = require('../utils/emailService');
 const WalletService = require('./walletService');
+const DestinationService = require('./destinationService');
+const CancellationPolicyService = require('./cancellationPolicyService');
+const BookingStatusService = require('./bookingStatusService');
+const DuplicateBookingService = require('./duplicateBookingService');
+
+const { PAID_STATUSES } = BookingStatusService;
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -20,7 +26,7 @@ class AdminService {
         supabase.from('users').select('*', { count: 'exact', head: true }),
         supabase.from('bookings').select('*', { count: 'exact', head: true }),
         supabase.from('partners').select('*', { count: 'exact', head: true }),
-        supabase.from('bookings').select('total_amount, created_at').eq('status', 'confirmed')
+        supabase.from('bookings').select('total_amount, created_at').in('status', PAID_STATUSES)
       ]);
 
       const totalRevenue = revenueData.reduce((sum, booking) => sum + booking.total_amount, 0);
@@ -1386,7 +1392,7 @@ async getPayoutDetails(payoutId) {
       .from('refunds')
       .select(`
         *,
-        bookings(booking_reference, total_amount),
+        bookings(booking_reference, total_amount, status),
         users(email, first_name, last_name)
       `)
       .eq('id', refundId)
@@ -1402,6 +1408,9 @@ async getPayoutDetails(payoutId) {
     }
 
     if (action === 'approve') {
+      // Checked before any money moves
+      BookingStatusService.assertTransition(refund.bookings?.status, 'refunded');
+
       // Process refund using WalletService for consistency
       const walletService = new WalletService();
       await walletService.creditWallet(
@@ -1427,10 +1436,10 @@ async getPayoutDetails(payoutId) {
       }
 
       // Update booking status to refunded
-      await supabase
-        .from('bookings')
-        .update({ status: 'refunded' })
-        .eq('id', refund.booking_id);
+      await BookingStatusService.transition(refund.booking_id, 'refunded', {
+        actor: { type: 'admin', id: adminId },
+        reason: refund.reason || 'Refund approved'
+      });
 
       // Send approval email
       if (refund.users) {
@@ -1545,6 +1554,8 @@ async getPayoutDetails(payoutId) {
         return await this.generatePartnersReport(startDate, endDate);
       case 'users':
         return await this.generateUsersReport(startDate, endDate);
+      case 'duplicate-bookings':
+        return await this.generateDuplicateBookingsReport(startDate, endDate);
       default:
         throw new Error('Invalid report type');
     }
@@ -1626,12 +1637,12 @@ async generateBookingsReport(startDate, endDate) {
 
   const summary = {
     totalBookings: bookings?.length || 0,
-    confirmedBookings: bookings?.filter(b => b.status === 'confirmed').length || 0,
+    confirmedBookings: bookings?.filter(b => PAID_STATUSES.includes(b.status)).length || 0,
     cancelledBookings: bookings?.filter(b => b.status === 'cancelled').length || 0,
     pendingBookings: bookings?.filter(b => b.status === 'pending_payment').length || 0,
     totalValue: bookings?.reduce((sum, b) => sum + (parseFloat(b.total_amount) || 0), 0) || 0,
     confirmedValue: bookings
-      ?.filter(b => b.status === 'confirmed')
+      ?.filter(b => PAID_STATUSES.includes(b.status))
       .reduce((sum, b) => sum + (parseFloat(b.total_amount) || 0), 0) || 0,
     oneWayBookings: bookings?.filter(b => b.booking_type === 'oneway').length || 0,
     roundTripBookings: bookings?.filter(b => b.booking_type === 'roundtrip').length || 0,
@@ -1650,6 +1661,14 @@ async generateBookingsReport(startDate, endDate) {
   };
 }
 
+// Bookings a customer or agent made more than once in quick succession; defaults to the last 90 days
+async generateDuplicateBookingsReport(startDate, endDate) {
+  const to = endDate || new Date().toISOString();
+  const from = startDate || new Date(Date.parse(to) - 90 * 24 * 60 * 60 * 1000).toISOString();
+
+  return DuplicateBookingService.getDuplicateReport(from, to);
+}
+
 async generateRevenueReport(startDate, endDate) {
   const { data: revenue, error } = await supabase
     .from('bookings')
@@ -1665,7 +1684,7 @@ async generateRevenueReport(startDate, endDate) {
       users(email, first_name, last_name),
       partners(business_name, commission_rate, email)
     `)
-    .eq('status', 'confirmed')
+    .in('status', PAID_STATUSES)
     .gte('created_at', startDate)
     .lte('created_at', endDate)
     .order('created_at', { ascending: false });
@@ -1751,7 +1770,7 @@ async generatePartnersReport(startDate, endDate) {
     // Process partner performance data with null safety
     const partnerStats = (allPartners || []).map(partner => {
       const partnerBookingsList = (partnerBookings || []).filter(b => b.partner_id === partner.id);
-      const confirmedBookings = partnerBookingsList.filter(b => b.status === 'confirmed');
+      const confirmedBookings = partnerBookingsList.filter(b => PAID_STATUSES.includes(b.status));
       
       return {
         id: partner.id,
@@ -1835,7 +1854,7 @@ async generateUsersReport(startDate, endDate) {
   // Process user data with null safety
   const processedUsers = (users || []).map(user => {
     const userBookings = user.bookings || [];
-    const confirmedBookings = userBookings.filter(b => b.status === 'confirmed');
+    const confirmedBookings = userBookings.filter(b => PAID_STATUSES.includes(b.status));
     
     return {
       ...user,
@@ -1956,6 +1975,208 @@ async generateUsersReport(startDate, endDate) {
   }
 }
 
+  // Curated popular destinations override the ranking computed from bookings and
+  // searches: pinned rows lead the list and inactive rows hide a destination
+  async managePopularDestinations(action, destinationData, destinationId = null) {
+    try {
+      switch (action) {
+        case 'create': {
+          if (!/^[A-Z]{3}$/i.test(destinationData.code || '')) {
+            throw new Error('A three-letter destination code is required');
+          }
+
+          const { data: destination, error } = await supabase
+            .from('popular_destinations')
+            .insert({
+              iata_code: destinationData.code.toUpperCase(),
+              origin_code: destinationData.originCode ? destinationData.originCode.toUpperCase() : null,
+              city: destinationData.city,
+              country: destinationData.country,
+              rank: destinationData.rank ?? 100,
+              description: destinationData.description || null,
+              image_url: destinationData.imageUrl || null,
+              is_pinned: Boolean(destinationData.isPinned),
+              is_active: destinationData.isActive !== false,
+              created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+          if (error) throw error;
+          DestinationService.clearCache();
+          return { destination, message: 'Popular destination created successfully' };
+        }
+
+        case 'update': {
+          const updateFields = {};
+          if (destinationData.code) updateFields.iata_code = destinationData.code.toUpperCase();
+          if (destinationData.originCode !== undefined) {
+            updateFields.origin_code = destinationData.originCode ? destinationData.originCode.toUpperCase() : null;
+          }
+          if (destinationData.city) updateFields.city = destinationData.city;
+          if (destinationData.country) updateFields.country = destinationData.country;
+          if (destinationData.rank !== undefined) updateFields.rank = destinationData.rank;
+          if (destinationData.description !== undefined) updateFields.description = destinationData.description;
+          if (destinationData.imageUrl !== undefined) updateFields.image_url = destinationData.imageUrl;
+          if (destinationData.isPinned !== undefined) updateFields.is_pinned = Boolean(destinationData.isPinned);
+          if (destinationData.isActive !== undefined) updateFields.is_active = Boolean(destinationData.isActive);
+
+          updateFields.updated_at = new Date().toISOString();
+
+          const { data: destination, error } = await supabase
+            .from('popular_destinations')
+            .update(updateFields)
+            .eq('id', destinationId)
+            .select()
+            .single();
+
+          if (error) throw error;
+          DestinationService.clearCache();
+          return { destination, message: 'Popular destination updated successfully' };
+        }
+
+        case 'delete': {
+          const { data: destination, error } = await supabase
+            .from('popular_destinations')
+            .delete()
+            .eq('id', destinationId)
+            .select()
+            .single();
+
+          if (error) throw error;
+          DestinationService.clearCache();
+          return { destination, message: 'Popular destination deleted successfully' };
+        }
+
+        default:
+          throw new Error('Invalid action');
+      }
+    } catch (error) {
+      console.error('Popular destination service error:', error);
+      throw error;
+    }
+  }
+
+  // Fields shared by create and update; only those present in policyData are returned
+  buildCancellationPolicyFields(policyData) {
+    const fields = {};
+    if (policyData.name !== undefined) fields.name = policyData.name;
+    if (policyData.fareClass !== undefined) {
+      if (policyData.fareClass && !/^[A-Z]$/i.test(policyData.fareClass)) {
+        throw new Error('fareClass must be a single booking class letter');
+      }
+      fields.fare_class = policyData.fareClass ? policyData.fareClass.toUpperCase() : null;
+    }
+    if (policyData.airline !== undefined) {
+      if (policyData.airline && !/^[A-Z0-9]{2}$/i.test(policyData.airline)) {
+        throw new Error('airline must be a two-character IATA code');
+      }
+      fields.airline = policyData.airline ? policyData.airline.toUpperCase() : null;
+    }
+    ['minHoursBeforeDeparture', 'maxHoursBeforeDeparture', 'maxHoursSinceBooking'].forEach(key => {
+      if (policyData[key] === undefined) return;
+      const value = policyData[key] === null ? null : Number(policyData[key]);
+      if (value !== null && (isNaN(value) || value < 0)) {
+        throw new Error(`${key} must be a non-negative number of hours`);
+      }
+      fields[key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)] = value;
+    });
+    if (policyData.refundable !== undefined) fields.refundable = Boolean(policyData.refundable);
+    if (policyData.penaltyType !== undefined) {
+      if (!['percentage', 'fixed'].includes(policyData.penaltyType)) {
+        throw new Error('penaltyType must be percentage or fixed');
+      }
+      fields.penalty_type = policyData.penaltyType;
+    }
+    if (policyData.penaltyValue !== undefined) {
+      const value = Number(policyData.penaltyValue);
+      if (isNaN(value) || value < 0) throw new Error('penaltyValue must be a non-negative number');
+      fields.penalty_value = value;
+    }
+    if (policyData.priority !== undefined) fields.priority = parseInt(policyData.priority);
+    if (policyData.isActive !== undefined) fields.is_active = Boolean(policyData.isActive);
+
+    if (fields.penalty_type === 'percentage' && fields.penalty_value > 100) {
+      throw new Error('A percentage penalty cannot exceed 100');
+    }
+    if (fields.min_hours_before_departure != null && fields.max_hours_before_departure != null &&
+        fields.min_hours_before_departure >= fields.max_hours_before_departure) {
+      throw new Error('minHoursBeforeDeparture must be less than maxHoursBeforeDeparture');
+    }
+
+    return fields;
+  }
+
+  async manageCancellationPolicies(action, policyData, policyId = null) {
+    try {
+      switch (action) {
+        case 'create': {
+          if (!policyData.name) {
+            throw new Error('A policy name is required');
+          }
+
+          const { data: policy, error } = await supabase
+            .from('cancellation_policies')
+            .insert({
+              fare_class: null,
+              airline: null,
+              min_hours_before_departure: null,
+              max_hours_before_departure: null,
+              max_hours_since_booking: null,
+              refundable: true,
+              penalty_type: 'percentage',
+              penalty_value: 0,
+              priority: 100,
+              is_active: true,
+              ...this.buildCancellationPolicyFields(policyData),
+              created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+          if (error) throw error;
+          CancellationPolicyService.clearCache();
+          return { policy, message: 'Cancellation policy created successfully' };
+        }
+
+        case 'update': {
+          const updateFields = this.buildCancellationPolicyFields(policyData);
+          updateFields.updated_at = new Date().toISOString();
+
+          const { data: policy, error } = await supabase
+            .from('cancellation_policies')
+            .update(updateFields)
+            .eq('id', policyId)
+            .select()
+            .single();
+
+          if (error) throw error;
+          CancellationPolicyService.clearCache();
+          return { policy, message: 'Cancellation policy updated successfully' };
+        }
+
+        case 'delete': {
+          const { data: policy, error } = await supabase
+            .from('cancellation_policies')
+            .delete()
+            .eq('id', policyId)
+            .select()
+            .single();
+
+          if (error) throw error;
+          CancellationPolicyService.clearCache();
+          return { policy, message: 'Cancellation policy deleted successfully' };
+        }
+
+        default:
+          throw new Error('Invalid action');
+      }
+    } catch (error) {
+      console.error('Cancellation policy service error:', error);
+      throw error;
+    }
+  }
+
   // async getSystemLogs(page = 1, limit = 50, filters = {}) {
   //   try {
   //     const offset = (page - 1) * limit;
@@ -2014,7 +2235,8 @@ async generateUsersReport(startDate, endDate) {
         passengers(count),
         payments(id, amount, status, payment_method, created_at),
         seat_selections(count),
-        baggage_selections(count)
+        baggage_selections(count),
+        booking_ancillaries(count)
       `, { count: 'exact' });
 
     // Apply status filter
@@ -2202,6 +2424,26 @@ async getBookingDetails(bookingId) {
           weight_kg,
           extra_cost,
           passenger_id
+        ),
+        booking_ancillaries(
+          id,
+          code,
+          name,
+          quantity,
+          total_price,
+          currency,
+          refundable,
+          status,
+          passenger_id
+        ),
+        booking_status_history(
+          id,
+          from_status,
+          to_status,
+          actor_type,
+          actor_id,
+          reason,
+          created_at
         )
       `)
       .eq('id', bookingId)
@@ -2214,6 +2456,9 @@ async getBookingDetails(bookingId) {
       throw error;
     }
 
+    booking.booking_status_history = (booking.booking_status_history || [])
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
     return booking;
   } catch (error) {
     console.error('Error in getBookingDetails service:', error);
@@ -0,0 +1,134 @@
+const { createClient } = require('@supabase/supabase-js');
+const LRUCache = require('../utils/lruCache');
+const { AIRLINES: AIRLINE_FIXTURES } = require('../utils/mockFlightFixtures');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Airline details change rarely; every offer and ticket reads them from memory
+const AIRLINE_LIST_TTL_MS = 6 * 60 * 60 * 1000;
+const AIRLINE_FIXTURE_TTL_MS = 5 * 60 * 1000;
+
+class AirlineService {
+  constructor() {
+    this.cache = new LRUCache({ maxEntries: 1, ttlMs: AIRLINE_LIST_TTL_MS });
+  }
+
+  // Airlines keyed by IATA code, from the airlines table or the bundled fixtures
+  async getAllAirlines() {
+    const cached = this.cache.get('airlines');
+    if (cached) return cached;
+
+    let rows = [];
+    try {
+      const { data, error } = await supabase
+        .from('airlines')
+        .select('iata_code, name, logo_url, alliance');
+
+      if (error) throw error;
+      rows = data || [];
+    } catch (error) {
+      console.warn('Failed to load airlines, using fixtures:', error.message || error);
+      rows = [];
+    }
+
+    const fromTable = rows.length > 0;
+    if (!fromTable) {
+      rows = AIRLINE_FIXTURES.map(airline => ({
+        iata_code: airline.code,
+        name: airline.name,
+        logo_url: null,
+        alliance: airline.alliance
+      }));
+    }
+
+    const airlines = new Map(rows
+      .filter(row => row.iata_code)
+      .map(row => [row.iata_code, {
+        code: row.iata_code,
+        name: row.name || row.iata_code,
+        logoUrl: row.logo_url || null,
+        alliance: row.alliance || null
+      }]));
+
+    // Retry the table soon when it was unavailable
+    return this.cache.set('airlines', airlines, Date.now() + (fromTable ? AIRLINE_LIST_TTL_MS : AIRLINE_FIXTURE_TTL_MS));
+  }
+
+  // Unknown carriers still get an entry so the frontend never has to special-case them
+  describeCarrier(code, airlines) {
+    if (!code) return null;
+    return airlines.get(code) || { code, name: code, logoUrl: null, alliance: null };
+  }
+
+  // The marketing carrier sells the flight under its own number; the operating carrier
+  // flies it. They differ on codeshares. Reads normalized segments and raw Amadeus ones.
+  enrichSegment(segment, airlines) {
+    const marketingCode = segment.carrierCode || segment.airline;
+    const operatingCode = segment.operating?.carrierCode || segment.operatingAirline || marketingCode;
+    const marketingCarrier = this.describeCarrier(marketingCode, airlines);
+    const operatingCarrier = this.describeCarrier(operatingCode, airlines);
+    const isCodeshare = Boolean(operatingCode && marketingCode && operatingCode !== marketingCode);
+
+    return {
+      ...segment,
+      airlineName: marketingCarrier?.name || null,
+      operatingAirline: operatingCode || null,
+      marketingCarrier,
+      operatingCarrier,
+      isCodeshare,
+      operatedBy: isCodeshare ? operatingCarrier.name : null
+    };
+  }
+
+  enrichOffer(offer, airlines) {
+    if (!offer) return offer;
+
+    const enriched = { ...offer };
+
+    if (Array.isArray(offer.itineraries)) {
+      enriched.itineraries = offer.itineraries.map(itinerary => ({
+        ...itinerary,
+        segments: (itinerary.segments || []).map(segment => this.enrichSegment(segment, airlines))
+      }));
+    }
+    if (Array.isArray(offer.segments)) {
+      enriched.segments = offer.segments.map(segment => this.enrichSegment(segment, airlines));
+    }
+
+    const carrier = this.describeCarrier(offer.airline || offer.validatingAirlineCodes?.[0], airlines);
+    if (carrier) {
+      enriched.airlineName = carrier.name;
+      enriched.airlineLogoUrl = carrier.logoUrl;
+      enriched.alliance = carrier.alliance;
+    }
+
+    return enriched;
+  }
+
+  async enrichOffers(offers) {
+    if (!Array.isArray(offers) || offers.length === 0) return offers;
+
+    const airlines = await this.getAllAirlines();
+    return offers.map(offer => this.enrichOffer(offer, airlines));
+  }
+
+  // For stored booking snapshots, which may predate enrichment or be raw supplier offers
+  async enrichFlightOffer(flightOffer) {
+    if (!flightOffer) return flightOffer;
+
+    try {
+      const airlines = await this.getAllAirlines();
+      return this.enrichOffer(flightOffer, airlines);
+    } catch (error) {
+      console.warn('Failed to enrich flight offer with airline details:', error.message || error);
+      return flightOffer;
+    }
+  }
+}
+
+const airlineService = new AirlineService();
+
+module.exports = airlineService;
@@ -0,0 +1,203 @@
+const { createClient } = require('@supabase/supabase-js');
+const LRUCache = require('../utils/lruCache');
+const { distanceKm } = require('../utils/geo');
+const { editDistance } = require('../utils/editDistance');
+const { AIRPORTS: AIRPORT_FIXTURES, METRO_AREAS } = require('../utils/mockFlightFixtures');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// The airport list is small and rarely changes, so search runs over an in-memory copy
+const AIRPORT_LIST_TTL_MS = 6 * 60 * 60 * 1000;
+const AIRPORT_FIXTURE_TTL_MS = 5 * 60 * 1000;
+const AIRPORT_PAGE_SIZE = 1000;
+const MAX_QUERY_LENGTH = 64;
+
+// Higher scores rank first
+const MATCH_SCORES = {
+  iata: 1000,
+  metro: 950,
+  city: 900,
+  cityPrefix: 800,
+  namePrefix: 700,
+  iataPrefix: 650,
+  contains: 500,
+  country: 400,
+  fuzzy: 300
+};
+
+// Keeps letters (any script), digits, spaces, apostrophes and hyphens; the query is
+// only ever compared in memory, never passed into a database filter
+const normalizeQuery = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}\s'-]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase()
+  .slice(0, MAX_QUERY_LENGTH);
+
+class AirportService {
+  constructor() {
+    this.cache = new LRUCache({ maxEntries: 1, ttlMs: AIRPORT_LIST_TTL_MS });
+  }
+
+  // Every airport with its search keys, from the airports table or the bundled fixtures
+  async getAllAirports() {
+    const cached = this.cache.get('airports');
+    if (cached) return cached;
+
+    let rows = [];
+    try {
+      for (let from = 0; ; from += AIRPORT_PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from('airports')
+          .select('iata_code, name, city, country, latitude, longitude')
+          .order('iata_code')
+          .range(from, from + AIRPORT_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < AIRPORT_PAGE_SIZE) break;
+      }
+    } catch (error) {
+      console.warn('Failed to load airports, using fixtures:', error.message || error);
+      rows = [];
+    }
+
+    const fromTable = rows.length > 0;
+    if (!fromTable) {
+      rows = AIRPORT_FIXTURES.map(airport => ({
+        iata_code: airport.code,
+        name: airport.name,
+        city: airport.city,
+        country: airport.country,
+        latitude: airport.latitude,
+        longitude: airport.longitude
+      }));
+    }
+
+    const airports = rows
+      .filter(row => row.iata_code)
+      .map(row => ({
+        code: row.iata_code,
+        name: row.name,
+        city: row.city,
+        country: row.country,
+        latitude: row.latitude !== null ? parseFloat(row.latitude) : null,
+        longitude: row.longitude !== null ? parseFloat(row.longitude) : null,
+        keys: {
+          code: row.iata_code.toLowerCase(),
+          name: normalizeQuery(row.name),
+          city: normalizeQuery(row.city),
+          country: normalizeQuery(row.country)
+        }
+      }));
+
+    // Retry the table soon when it was unavailable
+    return this.cache.set('airports', airports, Date.now() + (fromTable ? AIRPORT_LIST_TTL_MS : AIRPORT_FIXTURE_TTL_MS));
+  }
+
+  // Best way a query matches an airport, or null
+  scoreAirport(airport, query) {
+    const { keys } = airport;
+    const words = [...keys.city.split(' '), ...keys.name.split(' ')].filter(Boolean);
+
+    if (keys.code === query) return { score: MATCH_SCORES.iata, matchType: 'iata' };
+    if (keys.city === query) return { score: MATCH_SCORES.city, matchType: 'city' };
+    if (keys.city.startsWith(query)) return { score: MATCH_SCORES.cityPrefix, matchType: 'city_prefix' };
+    if (keys.name.startsWith(query) || words.some(word => word.startsWith(query))) {
+      return { score: MATCH_SCORES.namePrefix, matchType: 'name_prefix' };
+    }
+    if (query.length === 2 && keys.code.startsWith(query)) return { score: MATCH_SCORES.iataPrefix, matchType: 'iata_prefix' };
+    if (keys.city.includes(query) || keys.name.includes(query)) return { score: MATCH_SCORES.contains, matchType: 'contains' };
+    if (keys.country === query || keys.country.startsWith(query)) return { score: MATCH_SCORES.country, matchType: 'country' };
+
+    // Typo tolerance: one edit for short queries, two for longer ones
+    if (query.length >= 3) {
+      const allowed = query.length <= 5 ? 1 : 2;
+      const candidates = [keys.city, ...words].filter(word => Math.abs(word.length - query.length) <= allowed);
+      const distance = Math.min(...candidates.map(word => editDistance(query, word)), Infinity);
+      if (distance <= allowed) {
+        return { score: MATCH_SCORES.fuzzy - distance * 50, matchType: 'fuzzy' };
+      }
+    }
+
+    return null;
+  }
+
+  async searchAirports(q, limit = 10) {
+    const query = normalizeQuery(q);
+    if (query.length < 2) return [];
+
+    const airports = await this.getAllAirports();
+    const results = new Map();
+
+    // A metro code ("LON") lists the city itself, then each of its airports
+    const metro = METRO_AREAS[query.toUpperCase()];
+    if (metro) {
+      results.set(query.toUpperCase(), {
+        code: query.toUpperCase(),
+        name: `${metro.city} (all airports)`,
+        city: metro.city,
+        country: metro.country,
+        latitude: null,
+        longitude: null,
+        isMetroArea: true,
+        airports: metro.airports,
+        matchType: 'metro',
+        score: MATCH_SCORES.metro + 1
+      });
+
+      metro.airports.forEach((code, index) => {
+        const airport = airports.find(a => a.code === code);
+        if (airport) {
+          results.set(code, { ...this.formatAirport(airport), metroCode: query.toUpperCase(), matchType: 'metro', score: MATCH_SCORES.metro - index });
+        }
+      });
+    }
+
+    airports.forEach(airport => {
+      if (results.has(airport.code)) return;
+      const match = this.scoreAirport(airport, query);
+      if (match) {
+        results.set(airport.code, { ...this.formatAirport(airport), ...match });
+      }
+    });
+
+    return [...results.values()]
+      .sort((a, b) => b.score - a.score || (a.city || '').localeCompare(b.city || '') || a.code.localeCompare(b.code))
+      .slice(0, limit)
+      .map(({ score: _score, ...airport }) => airport);
+  }
+
+  async getNearbyAirports({ latitude, longitude, radiusKm, limit = 10 }) {
+    const airports = await this.getAllAirports();
+    const origin = { latitude, longitude };
+
+    return airports
+      .filter(airport => airport.latitude !== null && airport.longitude !== null)
+      .map(airport => ({ ...this.formatAirport(airport), distanceKm: Math.round(distanceKm(origin, airport) * 10) / 10 }))
+      .filter(airport => airport.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, limit);
+  }
+
+  // Matches the response format the frontend already expects
+  formatAirport(airport) {
+    return {
+      code: airport.code,
+      name: airport.name,
+      city: airport.city,
+      country: airport.country,
+      latitude: airport.latitude,
+      longitude: airport.longitude
+    };
+  }
+}
+
+const airportService = new AirportService();
+
+module.exports = airportService;
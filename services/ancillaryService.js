@@ -0,0 +1,333 @@
+const { createClient } = require('@supabase/supabase-js');
+const FlightSearchService = require('./flightSearchService');
+const SeatMapService = require('./seatMapService');
+const { distanceKm } = require('../utils/geo');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Extras sold with a ticket. Prices are per passenger in the offer currency, by haul of the
+// sector they cover; each product carries its own refund rule, applied when the booking is cancelled.
+const ANCILLARY_PRODUCTS = {
+  extra_bag: {
+    type: 'baggage',
+    name: 'Extra checked bag',
+    description: 'One additional checked bag up to 23kg',
+    scope: 'itinerary',
+    weightKg: 23,
+    prices: { short: 30, medium: 45, long: 70 },
+    maxQuantity: 3,
+    refund: { refundable: true, cutoffHours: 24 }
+  },
+  priority_boarding: {
+    type: 'priority_boarding',
+    name: 'Priority boarding',
+    description: 'Board early and stow cabin bags first',
+    scope: 'itinerary',
+    prices: { short: 8, medium: 10, long: 15 },
+    maxQuantity: 1,
+    excludedCabins: ['business', 'first'],
+    refund: { refundable: true, cutoffHours: 24 }
+  },
+  meal: {
+    type: 'meal',
+    name: 'Pre-ordered hot meal',
+    description: 'A hot meal served on this flight',
+    scope: 'segment',
+    prices: { short: 12, medium: 15, long: 20 },
+    maxQuantity: 1,
+    excludedCabins: ['business', 'first'],
+    refund: { refundable: true, cutoffHours: 48 }
+  },
+  lounge_pass: {
+    type: 'lounge',
+    name: 'Airport lounge pass',
+    description: 'Lounge access before departure',
+    scope: 'itinerary',
+    prices: { short: 40, medium: 40, long: 50 },
+    maxQuantity: 1,
+    excludedCabins: ['business', 'first'],
+    refund: { refundable: false, cutoffHours: null }
+  }
+};
+
+// Same haul bands as the emissions estimate
+const HAUL_BANDS = [
+  { maxDistanceKm: 1500, haul: 'short' },
+  { maxDistanceKm: 4000, haul: 'medium' },
+  { maxDistanceKm: Infinity, haul: 'long' }
+];
+
+// Seats are refunded like the other extras
+const SEAT_REFUND_POLICY = { refundable: true, cutoffHours: 24 };
+
+const normalizeCabin = (cabin) => String(cabin || 'economy').toLowerCase().replace('-', '_');
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const getHaul = (km) => (km === null ? 'medium' : HAUL_BANDS.find(band => km <= band.maxDistanceKm).haul);
+
+const getDepartureTime = (segment) => segment?.departure?.utcDateTime || segment?.departure?.dateTime || null;
+
+class AncillaryService {
+  // Catalogue for a cached offer, or null when the offer doesn't exist
+  async getAncillaries(offerId) {
+    const offer = await FlightSearchService.getFlightDetails(offerId);
+    if (!offer) return null;
+
+    return this.getCatalogue(offer);
+  }
+
+  // Every extra that can be added to this offer, one entry per product and itinerary
+  // (or segment, for meals); ids are stable for the same offer
+  async getCatalogue(offer) {
+    const currency = FlightSearchService.getOfferCurrency(offer);
+    const cabin = normalizeCabin(offer.cabinClass);
+    const itineraries = Array.isArray(offer.itineraries) && offer.itineraries.length > 0
+      ? offer.itineraries
+      : [{ segments: offer.segments || [] }];
+    const segments = SeatMapService.getOfferSegments(offer);
+
+    const airportCodes = segments.flatMap(segment => [segment.departure?.airport, segment.arrival?.airport]);
+    const [airports, supplierBagPrice] = await Promise.all([
+      FlightSearchService.getAirports([...new Set(airportCodes)].filter(Boolean)),
+      this.getSupplierBagPrice(offer, currency)
+    ]);
+
+    const sectorKm = (segment) => {
+      const from = airports.get(segment.departure?.airport);
+      const to = airports.get(segment.arrival?.airport);
+      return from && to ? distanceKm(from, to) : null;
+    };
+
+    const items = [];
+    Object.entries(ANCILLARY_PRODUCTS).forEach(([code, product]) => {
+      if ((product.excludedCabins || []).includes(cabin)) return;
+
+      const add = (id, target, km) => {
+        const supplierPrice = code === 'extra_bag' ? supplierBagPrice : null;
+        items.push({
+          id,
+          code,
+          type: product.type,
+          name: product.name,
+          description: product.description,
+          scope: product.scope,
+          ...target,
+          weightKg: product.weightKg || null,
+          price: supplierPrice ?? product.prices[getHaul(km)],
+          currency,
+          maxQuantity: product.maxQuantity,
+          refundPolicy: product.refund,
+          source: supplierPrice !== null && supplierPrice !== undefined ? 'amadeus' : 'generated'
+        });
+      };
+
+      if (product.scope === 'segment') {
+        segments.forEach((segment, segmentIndex) => add(`${code}:s${segmentIndex}`, {
+          itineraryIndex: segment.itineraryIndex,
+          segmentIndex,
+          flightNumber: segment.flightNumber,
+          from: segment.departure?.airport || null,
+          to: segment.arrival?.airport || null,
+          departureAt: getDepartureTime(segment)
+        }, sectorKm(segment)));
+        return;
+      }
+
+      itineraries.forEach((itinerary, itineraryIndex) => {
+        const itinerarySegments = itinerary.segments || [];
+        if (itinerarySegments.length === 0) return;
+
+        // The whole journey's distance sets the band, so a connection doesn't make it cheaper
+        const distances = itinerarySegments.map(sectorKm);
+        const km = distances.includes(null) ? null : distances.reduce((total, value) => total + value, 0);
+
+        add(`${code}:i${itineraryIndex}`, {
+          itineraryIndex,
+          segmentIndex: null,
+          flightNumber: null,
+          from: itinerarySegments[0].departure?.airport || null,
+          to: itinerarySegments[itinerarySegments.length - 1].arrival?.airport || null,
+          departureAt: getDepartureTime(itinerarySegments[0])
+        }, km);
+      });
+    });
+
+    return {
+      offerId: offer.id,
+      currency,
+      items
+    };
+  }
+
+  // Amadeus prices the first extra bag when asked for bags; only usable in the offer currency
+  async getSupplierBagPrice(offer, currency) {
+    if (offer.source !== 'amadeus' || !offer.supplierOffer) return null;
+
+    try {
+      const pricing = await FlightSearchService.getAmadeusDetailedPricing(offer.supplierOffer);
+      const bag = Object.values(pricing?.bags || {}).find(entry => entry.quantity === 1 && entry.price);
+      if (!bag || bag.price.currencyCode !== currency) return null;
+
+      const amount = parseFloat(bag.price.amount);
+      return isNaN(amount) ? null : roundPrice(amount);
+    } catch (error) {
+      console.warn('Amadeus bag pricing failed, using catalogue prices:', error.response?.data || error.message);
+      return null;
+    }
+  }
+
+  // Checks the requested extras against the offer's catalogue and prices them. Accepts
+  // { id, passengerIndex, quantity } or { code, itineraryIndex | segmentIndex, passengerIndex, quantity };
+  // legacy baggage selections ({ passengerIndex, itineraryIndex, quantity }) are extra bags.
+  // On an existing booking, passengerId may replace passengerIndex and existingItems (active
+  // booking_ancillaries rows) count towards each product's limit.
+  async priceAncillarySelections(flightOffer, ancillarySelections, baggageSelections, passengers, existingItems = []) {
+    const selections = [
+      ...(Array.isArray(ancillarySelections) ? ancillarySelections : []),
+      ...(Array.isArray(baggageSelections) ? baggageSelections : [])
+        .map(bag => ({ code: 'extra_bag', ...bag }))
+    ];
+    if (selections.length === 0) {
+      return { items: [], total: 0 };
+    }
+
+    const catalogue = await this.getCatalogue(flightOffer);
+    const catalogueById = new Map(catalogue.items.map(item => [item.id, item]));
+    const quantities = new Map();
+    existingItems.forEach(row => {
+      const key = `${row.ancillary_id}:${passengers.findIndex(p => p.id === row.passenger_id)}`;
+      quantities.set(key, (quantities.get(key) || 0) + (row.quantity || 1));
+    });
+
+    const items = selections.map((selection, index) => {
+      const code = selection.code;
+      const itemId = selection.id || (ANCILLARY_PRODUCTS[code]?.scope === 'segment'
+        ? `${code}:s${parseInt(selection.segmentIndex ?? selection.segment_index ?? 0)}`
+        : `${code}:i${parseInt(selection.itineraryIndex ?? selection.itinerary_index ?? 0)}`);
+      const passengerId = selection.passengerId || selection.passenger_id;
+      const passengerIndex = passengerId
+        ? passengers.findIndex(p => p.id === passengerId)
+        : parseInt(selection.passengerIndex ?? selection.passenger_index ?? 0);
+      const quantity = selection.quantity === undefined ? 1 : Number(selection.quantity);
+
+      const item = catalogueById.get(itemId);
+      if (!item) {
+        throw new Error(`Extra ${index + 1} (${itemId}) is not available on this flight`);
+      }
+
+      if (!passengers[passengerIndex]) {
+        throw new Error(`Extra ${index + 1} refers to a passenger that does not exist`);
+      }
+
+      const key = `${itemId}:${passengerIndex}`;
+      const totalQuantity = (quantities.get(key) || 0) + quantity;
+      if (!Number.isInteger(quantity) || quantity < 1 || totalQuantity > item.maxQuantity) {
+        throw new Error(`${item.name} can be added at most ${item.maxQuantity} time(s) per passenger`);
+      }
+      quantities.set(key, totalQuantity);
+
+      return {
+        id: item.id,
+        code: item.code,
+        type: item.type,
+        name: item.name,
+        passengerIndex,
+        itineraryIndex: item.itineraryIndex,
+        segmentIndex: item.segmentIndex,
+        weightKg: item.weightKg,
+        quantity,
+        unitPrice: item.price,
+        price: roundPrice(item.price * quantity),
+        currency: item.currency,
+        refundable: item.refundPolicy.refundable,
+        refundCutoffHours: item.refundPolicy.cutoffHours,
+        departureAt: item.departureAt
+      };
+    });
+
+    return {
+      items,
+      total: roundPrice(items.reduce((sum, item) => sum + item.price, 0))
+    };
+  }
+
+  async getBookingAncillaries(bookingId) {
+    const { data, error } = await supabase
+      .from('booking_ancillaries')
+      .select('*')
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.warn(`Failed to load extras for booking ${bookingId}:`, error.message);
+      return [];
+    }
+
+    return data || [];
+  }
+
+  isRefundable(policy, departureAt, at) {
+    if (!policy.refundable) return false;
+    if (!policy.cutoffHours || !departureAt) return true;
+
+    const hoursToDeparture = (Date.parse(departureAt) - at.getTime()) / (60 * 60 * 1000);
+    return hoursToDeparture >= policy.cutoffHours;
+  }
+
+  // What each paid extra returns if the booking is cancelled at `at`. Expects the booking
+  // with its booking_ancillaries; seat fees follow SEAT_REFUND_POLICY from the first departure.
+  quoteAncillaryRefund(booking, at = new Date()) {
+    const items = (booking.booking_ancillaries || [])
+      .filter(row => row.status !== 'refunded' && row.status !== 'forfeited')
+      .map(row => {
+        const refundable = this.isRefundable(
+          { refundable: row.refundable, cutoffHours: row.refund_cutoff_hours },
+          row.departure_at,
+          at
+        );
+        return {
+          id: row.id,
+          code: row.code,
+          name: row.name,
+          amount: refundable ? parseFloat(row.total_price) || 0 : 0,
+          refundable
+        };
+      });
+
+    const firstSegment = SeatMapService.getOfferSegments(booking.flight_offer || {})[0];
+    const seatFees = parseFloat(booking.seat_fees) || 0;
+    const seatsRefundable = this.isRefundable(SEAT_REFUND_POLICY, getDepartureTime(firstSegment), at);
+    const seats = seatsRefundable ? seatFees : 0;
+
+    return {
+      items,
+      seats,
+      total: roundPrice(items.reduce((sum, item) => sum + item.amount, 0) + seats)
+    };
+  }
+
+  // Records the outcome of a refund quote on each extra
+  async settleAncillaryRefund(quote) {
+    const byStatus = { refunded: [], forfeited: [] };
+    quote.items.forEach(item => byStatus[item.refundable ? 'refunded' : 'forfeited'].push(item.id));
+
+    await Promise.all(Object.entries(byStatus)
+      .filter(([, ids]) => ids.length > 0)
+      .map(async ([status, ids]) => {
+        const { error } = await supabase
+          .from('booking_ancillaries')
+          .update({ status, updated_at: new Date().toISOString() })
+          .in('id', ids);
+
+        if (error) console.warn(`Failed to mark extras as ${status}:`, error.message);
+      }));
+  }
+}
+
+const ancillaryService = new AncillaryService();
+
+module.exports = ancillaryService;
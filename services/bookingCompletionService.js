@@ -0,0 +1,122 @@
+const { createClient } = require('@supabase/supabase-js');
+const BookingStatusService = require('./bookingStatusService');
+const { getItineraries, getArrivalTime } = require('../utils/flightItinerary');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// How often the sweeper looks for bookings whose trip is over
+const BOOKING_COMPLETION_INTERVAL_MINUTES = parseInt(process.env.BOOKING_COMPLETION_INTERVAL_MINUTES) || 60;
+// Bookings read per page; flight times live in the stored offer, so every open booking is scanned
+const BOOKING_COMPLETION_PAGE_SIZE = 500;
+
+// Paid bookings that have not flown yet
+const OPEN_STATUSES = ['confirmed', 'ticketed'];
+
+class BookingCompletionService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  // When the last segment of the trip lands, or null when a segment has no usable arrival time
+  getTripEndTime(flightOffer) {
+    const arrivals = getItineraries(flightOffer).map(getArrivalTime);
+    if (arrivals.length === 0 || arrivals.some(arrival => arrival === null)) return null;
+    return Math.max(...arrivals);
+  }
+
+  isFlown(booking, at = new Date()) {
+    const tripEnd = this.getTripEndTime(booking.flight_offer);
+    return OPEN_STATUSES.includes(booking.status) && tripEnd !== null && tripEnd <= at.getTime();
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`Booking completion sweeper scheduled every ${BOOKING_COMPLETION_INTERVAL_MINUTES} minutes`);
+    this.timer = setInterval(() => this.run(), BOOKING_COMPLETION_INTERVAL_MINUTES * 60 * 1000);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Scheduler entry point; a slow run is never overlapped by the next one
+  async run() {
+    if (this.isRunning) {
+      console.log('Booking completion sweep already running, skipping this tick');
+      return null;
+    }
+
+    this.isRunning = true;
+    try {
+      return await this.completeFlownBookings();
+    } catch (error) {
+      console.error('Booking completion sweep failed:', error);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async completeFlownBookings(at = new Date()) {
+    const summary = { completed: 0, skipped: 0, failed: 0 };
+    const flown = [];
+
+    for (let from = 0; ; from += BOOKING_COMPLETION_PAGE_SIZE) {
+      const { data: bookings, error } = await supabase
+        .from('bookings')
+        .select('id, booking_reference, status, flight_offer')
+        .in('status', OPEN_STATUSES)
+        .order('created_at', { ascending: true })
+        .range(from, from + BOOKING_COMPLETION_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      flown.push(...(bookings || []).filter(booking => this.isFlown(booking, at)));
+      if (!bookings || bookings.length < BOOKING_COMPLETION_PAGE_SIZE) break;
+    }
+
+    for (const booking of flown) {
+      try {
+        const completed = await this.completeBooking(booking);
+        summary[completed ? 'completed' : 'skipped'] += 1;
+      } catch (bookingError) {
+        summary.failed += 1;
+        console.error(`Failed to complete booking ${booking.id}:`, bookingError.message || bookingError);
+      }
+    }
+
+    if (summary.completed || summary.failed) {
+      console.log('Booking completion sweep complete:', summary);
+    }
+
+    return summary;
+  }
+
+  // Returns false when the booking was cancelled or refunded before we got to it
+  async completeBooking(booking) {
+    try {
+      await BookingStatusService.transition(booking.id, 'completed', {
+        actor: { type: 'system' },
+        reason: 'Last flight landed',
+        fields: { completed_at: new Date().toISOString() }
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_STATUS_TRANSITION') return false;
+      throw error;
+    }
+
+    return true;
+  }
+}
+
+const bookingCompletionService = new BookingCompletionService();
+
+module.exports = bookingCompletionService;
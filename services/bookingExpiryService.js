@@ -0,0 +1,239 @@
+const { createClient } = require('@supabase/supabase-js');
+const BookingStatusService = require('./bookingStatusService');
+const WalletService = require('./walletService');
+const { getItineraries, getDepartureTime } = require('../utils/flightItinerary');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// How long an unpaid booking holds its seats, unless the booking asks for another limit
+const PAYMENT_TIME_LIMIT_MINUTES = parseInt(process.env.PAYMENT_TIME_LIMIT_MINUTES) || 15;
+// Bounds for a per-booking time limit
+const MIN_PAYMENT_TIME_LIMIT_MINUTES = 5;
+const MAX_PAYMENT_TIME_LIMIT_MINUTES = 24 * 60;
+// How often the sweeper looks for overdue bookings
+const BOOKING_EXPIRY_INTERVAL_MINUTES = parseInt(process.env.BOOKING_EXPIRY_INTERVAL_MINUTES) || 1;
+// Bookings expired per run, oldest deadline first
+const BOOKING_EXPIRY_BATCH_SIZE = 100;
+
+// Statuses still waiting for payment; "pending" is the pre-state-machine name
+const UNPAID_STATUSES = ['pending_payment', 'pending'];
+
+const walletService = new WalletService();
+
+class BookingExpiryService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  // Deadline for a new booking: the requested limit (within bounds) or the default,
+  // and never later than the first departure
+  getPaymentDeadline(flightOffer, requestedMinutes = null, now = new Date()) {
+    const requested = parseInt(requestedMinutes);
+    const minutes = Number.isFinite(requested)
+      ? Math.min(MAX_PAYMENT_TIME_LIMIT_MINUTES, Math.max(MIN_PAYMENT_TIME_LIMIT_MINUTES, requested))
+      : PAYMENT_TIME_LIMIT_MINUTES;
+
+    let deadline = now.getTime() + minutes * 60 * 1000;
+
+    const firstDeparture = getDepartureTime(getItineraries(flightOffer || {})[0]);
+    if (firstDeparture) {
+      deadline = Math.min(deadline, firstDeparture);
+    }
+
+    return new Date(deadline).toISOString();
+  }
+
+  isOverdue(booking, at = new Date()) {
+    return UNPAID_STATUSES.includes(booking.status) &&
+      Boolean(booking.expires_at) &&
+      Date.parse(booking.expires_at) <= at.getTime();
+  }
+
+  // Seconds left to pay, or null once the booking no longer waits for payment
+  getSecondsRemaining(booking, at = new Date()) {
+    if (!UNPAID_STATUSES.includes(booking.status) || !booking.expires_at) return null;
+    return Math.max(0, Math.floor((Date.parse(booking.expires_at) - at.getTime()) / 1000));
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`Booking expiry sweeper scheduled every ${BOOKING_EXPIRY_INTERVAL_MINUTES} minutes`);
+    this.timer = setInterval(() => this.run(), BOOKING_EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Scheduler entry point; a slow run is never overlapped by the next one
+  async run() {
+    if (this.isRunning) {
+      console.log('Booking expiry sweep already running, skipping this tick');
+      return null;
+    }
+
+    this.isRunning = true;
+    try {
+      return await this.expireOverdueBookings();
+    } catch (error) {
+      console.error('Booking expiry sweep failed:', error);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async expireOverdueBookings() {
+    const { data: bookings, error } = await supabase
+      .from('bookings')
+      .select('id, booking_reference, status, expires_at')
+      .in('status', UNPAID_STATUSES)
+      .lt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true })
+      .limit(BOOKING_EXPIRY_BATCH_SIZE);
+
+    if (error) throw error;
+
+    const summary = { expired: 0, skipped: 0, failed: 0 };
+
+    for (const booking of bookings || []) {
+      try {
+        const expired = await this.expireBooking(booking);
+        summary[expired ? 'expired' : 'skipped'] += 1;
+      } catch (bookingError) {
+        summary.failed += 1;
+        console.error(`Failed to expire booking ${booking.id}:`, bookingError.message || bookingError);
+      }
+    }
+
+    if (summary.expired || summary.failed) {
+      console.log('Booking expiry sweep complete:', summary);
+    }
+
+    return summary;
+  }
+
+  // Returns false when the booking was paid (or otherwise moved on) before we got to it
+  async expireBooking(booking) {
+    try {
+      await BookingStatusService.transition(booking.id, 'expired', {
+        actor: { type: 'system' },
+        reason: 'Payment time limit reached',
+        fields: { expired_at: new Date().toISOString() }
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_STATUS_TRANSITION') return false;
+      throw error;
+    }
+
+    await this.releaseBooking(booking.id);
+    return true;
+  }
+
+  async releaseBooking(bookingId) {
+    const { error: seatError } = await supabase
+      .from('seat_selections')
+      .delete()
+      .eq('booking_id', bookingId);
+
+    if (seatError) {
+      console.error(`Failed to release seats for booking ${bookingId}:`, seatError.message);
+    }
+
+    // Hosted payment links can't be revoked at the gateway, so the payment is closed on our
+    // side; anything still paid through it is refunded by refundLatePayment
+    const { error: paymentError } = await supabase
+      .from('payments')
+      .update({ status: 'cancelled' })
+      .eq('booking_id', bookingId)
+      .eq('status', 'pending');
+
+    if (paymentError) {
+      console.error(`Failed to cancel payment links for booking ${bookingId}:`, paymentError.message);
+    }
+  }
+
+  // A gateway payment for a booking that can no longer be confirmed (it expired, or was
+  // cancelled while the customer was paying) goes back to the customer's wallet. Booking
+  // changes that can no longer be applied are refunded the same way, with their own reason.
+  async refundLatePayment(booking, transactionId, reason = null) {
+    if (this.isOverdue(booking)) {
+      await this.expireBooking(booking);
+    }
+
+    const reference = `late_payment_${transactionId}`;
+
+    // Verification and the webhook can both report the same payment
+    const { data: existingCredit } = await supabase
+      .from('wallet_transactions')
+      .select('id')
+      .eq('reference', reference)
+      .limit(1);
+
+    if (existingCredit?.length > 0) {
+      console.log(`Late payment ${transactionId} was already refunded`);
+      // A repeated webhook may have marked it completed again
+      await supabase
+        .from('payments')
+        .update({ status: 'refunded' })
+        .eq('transaction_id', transactionId)
+        .eq('status', 'completed');
+      return null;
+    }
+
+    const { data: payment, error: claimError } = await supabase
+      .from('payments')
+      .update({ status: 'refunded' })
+      .eq('transaction_id', transactionId)
+      .eq('status', 'completed')
+      .select('id, amount')
+      .maybeSingle();
+
+    if (claimError) {
+      throw new Error(`Failed to claim late payment: ${claimError.message}`);
+    }
+    if (!payment) {
+      console.log(`Late payment ${transactionId} is already being refunded`);
+      return null;
+    }
+
+    const creditResult = await walletService.creditWallet(
+      booking.user_id,
+      payment.amount,
+      `Refund for late payment on booking ${booking.booking_reference}`,
+      reference
+    );
+
+    const { error: refundError } = await supabase
+      .from('refunds')
+      .insert({
+        booking_id: booking.id,
+        user_id: booking.user_id,
+        amount: payment.amount,
+        reason: reason || `Payment received after the booking was ${booking.status === 'cancelled' ? 'cancelled' : 'expired'}`,
+        status: 'completed',
+        processed_at: new Date().toISOString(),
+        created_at: new Date().toISOString()
+      });
+
+    if (refundError) {
+      console.error(`Failed to record refund for late payment ${transactionId}:`, refundError.message);
+    }
+
+    console.log(`Late payment ${transactionId} for booking ${booking.booking_reference} refunded to wallet`);
+
+    return creditResult;
+  }
+}
+
+const bookingExpiryService = new BookingExpiryService();
+
+module.exports = bookingExpiryService;
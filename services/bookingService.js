@@ -1,5 +1,17 @@
 const { createClient } = require('@supabase/supabase-js');
 const emailService = require('../utils/emailService');
+const { getItineraries, getDepartureTime, getTripType, getItineraryLabel, formatFlightTime } = require('../utils/flightItinerary');
+const FlightSearchService = require('./flightSearchService');
+const AirlineService = require('./airlineService');
+const SeatMapService = require('./seatMapService');
+const AncillaryService = require('./ancillaryService');
+const CancellationPolicyService = require('./cancellationPolicyService');
+const BookingStatusService = require('./bookingStatusService');
+const BookingExpiryService = require('./bookingExpiryService');
+const DuplicateBookingService = require('./duplicateBookingService');
+const PaymentService = require('./paymentService');
+const WalletService = require('./walletService');
+const { editDistance } = require('../utils/editDistance');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -8,6 +20,22 @@ const supabase = createClient(
 
 const PDFDocument = require('pdfkit');
 
+const paymentService = new PaymentService();
+const walletService = new WalletService();
+
+// Bookings that have been paid for and not yet flown or cancelled
+const UNFLOWN_STATUSES = ['confirmed', 'ticketed'];
+// Only paid bookings can be changed; pending ones are simply rebooked
+const MODIFIABLE_STATUSES = UNFLOWN_STATUSES;
+// Name corrections allow this many character edits per passenger (a first/last swap is also allowed)
+const NAME_CORRECTION_MAX_EDITS = 3;
+// Per corrected passenger, in the booking currency
+const NAME_CORRECTION_FEE = 25;
+// How long a change paid by card or transfer waits for its payment
+const PENDING_CHANGE_TTL_MS = 30 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
 class BookingService {
   mapGender(gender) {
   if (!gender) return 'male';
@@ -22,7 +50,140 @@ class BookingService {
   
   return genderMap[gender] || 'male';
 }
-async createBooking(bookingData, userId, partnerUserId = null) {
+
+  // Resolves the booked offer server-side and compares it with the price the customer saw.
+  // A mismatch is rejected with the new price so the customer can confirm it.
+  async resolveServerOffer(bookingData, clientOffer) {
+    const offerId = bookingData.offerId || clientOffer.id;
+
+    const resolved = await FlightSearchService.resolveBookableOffer(offerId);
+
+    const clientPrice = parseFloat(bookingData.confirmedPrice ?? clientOffer.price?.total ?? clientOffer.price);
+    if (isNaN(clientPrice) || Math.abs(clientPrice - resolved.price) > 0.01) {
+      const error = new Error(`Flight price has changed to ${resolved.currency} ${resolved.price.toFixed(2)}. Please confirm the new price to continue.`);
+      error.code = 'PRICE_CHANGED';
+      error.priceChange = {
+        previousPrice: isNaN(clientPrice) ? null : clientPrice,
+        newPrice: resolved.price,
+        currency: resolved.currency,
+        repriced: resolved.repriced
+      };
+      throw error;
+    }
+
+    return {
+      price: resolved.price,
+      currency: resolved.currency,
+      // Store the server's copy of the offer, with the price in the booking format
+      flightOffer: {
+        ...resolved.offer,
+        searchId: resolved.searchId,
+        price: { total: resolved.price, currency: resolved.currency }
+      }
+    };
+  }
+
+  normalizePassengerType(type) {
+    const typeMap = {
+      'ADULT': 'adult',
+      'SENIOR': 'adult',
+      'YOUNG': 'adult',
+      'STUDENT': 'adult',
+      'CHILD': 'child',
+      'HELD_INFANT': 'infant',
+      'SEATED_INFANT': 'infant'
+    };
+
+    if (!type) return 'adult';
+    return typeMap[type.toUpperCase()] || type.toLowerCase();
+  }
+
+  // Passenger ages (at first departure) must match the traveler types the offer was priced for
+  validatePassengerTypes(passengers, flightOffer) {
+    const firstDeparture = getItineraries(flightOffer)[0]?.departureAt;
+    const travelDate = firstDeparture && !isNaN(new Date(firstDeparture).getTime())
+      ? new Date(firstDeparture)
+      : new Date();
+
+    const ageAt = (dateOfBirth) => {
+      const dob = new Date(dateOfBirth);
+      let age = travelDate.getFullYear() - dob.getFullYear();
+      const birthdayPassed = travelDate.getMonth() > dob.getMonth() ||
+        (travelDate.getMonth() === dob.getMonth() && travelDate.getDate() >= dob.getDate());
+      if (!birthdayPassed) age -= 1;
+      return age;
+    };
+
+    const counts = { adult: 0, child: 0, infant: 0 };
+
+    passengers.forEach((passenger, index) => {
+      const type = this.normalizePassengerType(passenger.passengerType || passenger.passenger_type);
+      const name = `${passenger.firstName || passenger.first_name || ''} ${passenger.lastName || passenger.last_name || ''}`.trim() || `Passenger ${index + 1}`;
+      const dateOfBirth = passenger.dateOfBirth || passenger.date_of_birth;
+
+      if (!counts.hasOwnProperty(type)) {
+        throw new Error(`Invalid passenger type for ${name}: ${type}`);
+      }
+      counts[type] += 1;
+
+      if (type !== 'adult' && !dateOfBirth) {
+        throw new Error(`Date of birth is required for ${type} passenger ${name}`);
+      }
+
+      if (dateOfBirth) {
+        if (isNaN(new Date(dateOfBirth).getTime())) {
+          throw new Error(`Invalid date of birth for ${name}`);
+        }
+
+        const age = ageAt(dateOfBirth);
+        if (type === 'adult' && age < 12) {
+          throw new Error(`${name} is ${age} at departure and cannot travel on an adult fare`);
+        }
+        if (type === 'child' && (age < 2 || age >= 12)) {
+          throw new Error(`${name} is ${age} at departure; child fares are for ages 2 to 11`);
+        }
+        if (type === 'infant' && (age < 0 || age >= 2)) {
+          throw new Error(`${name} is ${age} at departure; infant fares are for children under 2`);
+        }
+      }
+    });
+
+    if (counts.infant > counts.adult) {
+      throw new Error('Each infant must travel with an adult');
+    }
+
+    // When the offer carries a per-type breakdown, the passenger list must match it
+    const breakdown = flightOffer.priceBreakdown;
+    if (Array.isArray(breakdown) && breakdown.length > 0) {
+      const pricedCounts = { adult: 0, child: 0, infant: 0 };
+      breakdown.forEach(line => {
+        const type = this.normalizePassengerType(line.travelerType);
+        pricedCounts[type] = (pricedCounts[type] || 0) + line.count;
+      });
+
+      Object.keys(counts).forEach(type => {
+        if (counts[type] !== pricedCounts[type]) {
+          throw new Error(`Passenger mismatch: offer was priced for ${pricedCounts[type]} ${type}(s) but ${counts[type]} provided`);
+        }
+      });
+    }
+
+    return counts;
+  }
+
+  // Concurrent submissions of the same booking (a double click, a retry racing the original)
+  // run one after the other, so the second one finds the first in the duplicate check
+  async createBooking(bookingData, userId, partnerUserId = null) {
+    const lockKey = DuplicateBookingService.getLockKey(userId, bookingData.flightOffer, bookingData.passengers);
+    return DuplicateBookingService.runExclusive(lockKey, () => this.createBookingRecord(bookingData, userId, partnerUserId));
+  }
+
+  async createPendingBooking(bookingData, userId, partnerUserId = null) {
+    const lockKey = DuplicateBookingService.getLockKey(userId, bookingData.selectedFlight || bookingData.flightOffer, bookingData.passengers);
+    return DuplicateBookingService.runExclusive(lockKey, () => this.createPendingBookingRecord(bookingData, userId, partnerUserId));
+  }
+
+async createBookingRecord(bookingData, userId, partnerUserId = null) {
   try {
     
     console.log('=== BOOKING CREATION START ===');
@@ -67,28 +228,39 @@ async createBooking(bookingData, userId, partnerUserId = null) {
     }
 
     const {
-      flightOffer,
+      flightOffer: clientFlightOffer,
       passengers,
       contactInfo,
       paymentMethodId,
       seatSelections,
       baggageSelections,
-      promoCode
+      ancillarySelections,
+      promoCode,
+      paymentTimeLimitMinutes,
+      allowDuplicate
     } = bookingData;
 
     // Validate required fields
-    if (!flightOffer) {
+    if (!clientFlightOffer) {
       throw new Error('Flight offer is required');
     }
-    
-    if (!flightOffer.price || !flightOffer.price.total) {
-      console.error('Missing price in flightOffer:', flightOffer);
-      throw new Error('Flight price information is missing or invalid');
-    }
+
+    // Never trust the client's price - resolve the offer from our own search cache
+    const { flightOffer, price: serverPrice } = await this.resolveServerOffer(bookingData, clientFlightOffer);
     
     if (!passengers || passengers.length === 0) {
       throw new Error('At least one passenger is required');
     }
+
+    this.validatePassengerTypes(passengers, flightOffer);
+
+    // Checked before seats, which the earlier booking already holds
+    const duplicateResult = await this.findDuplicateBooking(userId, flightOffer, passengers, allowDuplicate);
+    if (duplicateResult) return duplicateResult;
+
+    // Seats are checked against the live seat map and priced by us, not the client
+    const pricedSeats = await SeatMapService.priceSeatSelections(flightOffer, seatSelections, passengers);
+    const pricedAncillaries = await AncillaryService.priceAncillarySelections(flightOffer, ancillarySelections, baggageSelections, passengers);
     
     if (!contactInfo || !contactInfo.email) {
       throw new Error('Contact information with email is required');
@@ -98,16 +270,9 @@ async createBooking(bookingData, userId, partnerUserId = null) {
     const bookingReference = this.generateBookingReference();
     console.log('Generated booking reference:', bookingReference);
 
-    // Calculate total amount with proper error handling
-    let totalAmount;
-    try {
-      totalAmount = parseFloat(flightOffer.price.total);
-      console.log('Parsed total amount:', totalAmount);
-    } catch (priceError) {
-      console.error('Price parsing error:', priceError);
-      console.error('Flight offer price:', flightOffer.price);
-      throw new Error('Invalid flight price format');
-    }
+    // Total comes from the server-side offer
+    let totalAmount = serverPrice;
+    console.log('Server-side total amount:', totalAmount);
 
     if (isNaN(totalAmount) || totalAmount <= 0) {
       throw new Error(`Invalid flight price amount: ${totalAmount}`);
@@ -148,8 +313,11 @@ async createBooking(bookingData, userId, partnerUserId = null) {
       }
     }
 
+    // Seats and other extras are paid on top of the fare and earn no commission
+    totalAmount = Math.round((totalAmount + pricedSeats.total + pricedAncillaries.total) * 100) / 100;
+
     // Determine booking type
-    const bookingType = flightOffer.itineraries && flightOffer.itineraries.length > 1 ? 'roundtrip' : 'oneway';
+    const bookingType = getTripType(flightOffer);
     console.log('Booking type:', bookingType);
 
     // Create booking record with additional safety checks
@@ -159,13 +327,16 @@ async createBooking(bookingData, userId, partnerUserId = null) {
       partner_id: partnerId, // This is the validated partner's user ID
       flight_offer: flightOffer,
       total_amount: totalAmount,
+      seat_fees: pricedSeats.total,
+      ancillary_fees: pricedAncillaries.total,
       commission_earned: commissionEarned,
       discount_amount: discount,
       promo_code: promoCode,
       contact_info: contactInfo,
       status: 'pending_payment',
       booking_type: bookingType,
-      created_at: new Date().toISOString()
+      created_at: new Date().toISOString(),
+      expires_at: BookingExpiryService.getPaymentDeadline(flightOffer, paymentTimeLimitMinutes)
     };
 
     console.log('Inserting booking with validated data:', JSON.stringify(bookingInsertData, null, 2));
@@ -193,12 +364,10 @@ async createBooking(bookingData, userId, partnerUserId = null) {
 
     console.log('Booking created successfully:', booking);
 
-    // Update partner commission AFTER successful booking creation - FIXED
-    if (partnerId && commissionEarned > 0) {
-      await this.updatePartnerCommission(partnerId, commissionEarned, booking.id);
-    }
+    await BookingStatusService.recordHistory(booking.id, null, booking.status, { type: 'user', id: userId }, 'Booking created');
 
     // Add passengers with enhanced error handling
+    let insertedPassengers = [];
     try {
       const passengerInserts = passengers.map((passenger, index) => ({
         booking_id: booking.id,
@@ -208,21 +377,23 @@ async createBooking(bookingData, userId, partnerUserId = null) {
         gender: this.mapGender(passenger.gender),
         nationality: passenger.nationality || 'NG',
         passport_number: passenger.documentNumber || passenger.passport_number,
-        passenger_type: passenger.passengerType || 'adult',
+        passenger_type: this.normalizePassengerType(passenger.passengerType || passenger.passenger_type),
         created_at: new Date().toISOString()
       }));
 
       console.log('Inserting passengers:', JSON.stringify(passengerInserts, null, 2));
 
-      const { error: passengerError } = await supabase
+      const { data: passengerRows, error: passengerError } = await supabase
         .from('passengers')
-        .insert(passengerInserts);
+        .insert(passengerInserts)
+        .select('id');
         
       if (passengerError) {
         console.error('Passenger insertion error:', passengerError);
         throw passengerError;
       }
 
+      insertedPassengers = passengerRows || [];
       console.log('Passengers added successfully');
     } catch (passengerError) {
       console.error('Passenger insertion failed:', passengerError);
@@ -231,48 +402,35 @@ async createBooking(bookingData, userId, partnerUserId = null) {
       throw new Error(`Failed to add passengers: ${passengerError.message}`);
     }
 
-    // Add seat selections if provided
-    if (seatSelections && seatSelections.length > 0) {
+    // Seats are paid for, so a booking that can't record them is removed
+    if (pricedSeats.seats.length > 0) {
       try {
-        const seatInserts = seatSelections.map(seat => ({
-          booking_id: booking.id,
-          ...seat,
-          created_at: new Date().toISOString()
-        }));
-        
-        const { error: seatError } = await supabase
-          .from('seat_selections')
-          .insert(seatInserts);
-          
-        if (seatError) throw seatError;
+        await this.saveSeatSelections(booking.id, pricedSeats.seats, insertedPassengers);
         console.log('Seat selections added successfully');
       } catch (seatError) {
-        console.warn('Seat selection insertion failed:', seatError.message);
-        // Continue without seat selections
+        console.error('Seat selection insertion failed:', seatError);
+        await supabase.from('bookings').delete().eq('id', booking.id);
+        throw new Error(`Failed to reserve seats: ${seatError.message}`);
       }
     }
 
-    // Add baggage selections if provided
-    if (baggageSelections && baggageSelections.length > 0) {
+    // Extras are paid for too, so the same applies
+    if (pricedAncillaries.items.length > 0) {
       try {
-        const baggageInserts = baggageSelections.map(baggage => ({
-          booking_id: booking.id,
-          ...baggage,
-          created_at: new Date().toISOString()
-        }));
-        
-        const { error: baggageError } = await supabase
-          .from('baggage_selections')
-          .insert(baggageInserts);
-          
-        if (baggageError) throw baggageError;
-        console.log('Baggage selections added successfully');
-      } catch (baggageError) {
-        console.warn('Baggage selection insertion failed:', baggageError.message);
-        // Continue without baggage selections
+        await this.saveAncillarySelections(booking.id, pricedAncillaries.items, insertedPassengers);
+        console.log('Extras added successfully');
+      } catch (ancillaryError) {
+        console.error('Extras insertion failed:', ancillaryError);
+        await supabase.from('bookings').delete().eq('id', booking.id);
+        throw new Error(`Failed to add extras: ${ancillaryError.message}`);
       }
     }
 
+    // Credited only after passengers, seats and extras are saved: any of those failing deletes the booking
+    if (partnerId && commissionEarned > 0) {
+      await this.updatePartnerCommission(partnerId, commissionEarned, booking.id);
+    }
+
     console.log('=== BOOKING CREATION COMPLETE ===');
     
     return { 
@@ -290,13 +448,84 @@ async createBooking(bookingData, userId, partnerUserId = null) {
   }
 }
 
+  // A double-clicked "Book" or a retried request returns the booking already made for the same
+  // flights and passengers; allowDuplicate books them again anyway
+  async findDuplicateBooking(userId, flightOffer, passengers, allowDuplicate = false) {
+    if (allowDuplicate === true) return null;
+
+    const existing = await DuplicateBookingService.findDuplicate(userId, flightOffer, passengers);
+    if (!existing) return null;
+
+    console.log(`Returning existing booking ${existing.booking_reference} instead of a duplicate`);
+
+    return {
+      booking: existing,
+      bookingReference: existing.booking_reference,
+      success: true,
+      bookingId: existing.id,
+      duplicate: true
+    };
+  }
+
+  // passengerRows are the inserted passengers, in the order they were submitted
+  async saveSeatSelections(bookingId, seats, passengerRows) {
+    const seatInserts = seats.map(seat => ({
+      booking_id: bookingId,
+      passenger_id: passengerRows[seat.passengerIndex]?.id || null,
+      segment_index: seat.segmentIndex,
+      flight_number: seat.flightNumber,
+      departure_date: seat.departureDate,
+      seat_number: seat.seatNumber,
+      seat_class: seat.cabin,
+      characteristics: seat.characteristics,
+      extra_cost: seat.price,
+      currency: seat.currency,
+      created_at: new Date().toISOString()
+    }));
+
+    const { error } = await supabase
+      .from('seat_selections')
+      .insert(seatInserts);
+
+    if (error) throw error;
+  }
+
+  async saveAncillarySelections(bookingId, items, passengerRows) {
+    const ancillaryInserts = items.map(item => ({
+      booking_id: bookingId,
+      passenger_id: item.passengerId || passengerRows[item.passengerIndex]?.id || null,
+      ancillary_id: item.id,
+      code: item.code,
+      type: item.type,
+      name: item.name,
+      itinerary_index: item.itineraryIndex,
+      segment_index: item.segmentIndex,
+      weight_kg: item.weightKg,
+      quantity: item.quantity,
+      unit_price: item.unitPrice,
+      total_price: item.price,
+      currency: item.currency,
+      refundable: item.refundable,
+      refund_cutoff_hours: item.refundCutoffHours,
+      departure_at: item.departureAt,
+      status: 'active',
+      created_at: new Date().toISOString()
+    }));
+
+    const { error } = await supabase
+      .from('booking_ancillaries')
+      .insert(ancillaryInserts);
+
+    if (error) throw error;
+  }
+
   generateBookingReference() {
     const timestamp = Date.now().toString().slice(-8);
     const random = Math.random().toString(36).substr(2, 5).toUpperCase();
     return `BK${timestamp}${random}`;
   }
 
-async createPendingBooking(bookingData, userId, partnerUserId = null) {
+async createPendingBookingRecord(bookingData, userId, partnerUserId = null) {
     try {
       console.log('=== PENDING BOOKING CREATION START ===');
       console.log('User ID:', userId);
@@ -347,28 +576,36 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
         contactInfo,
         seatSelections,
         baggageSelections,
+        ancillarySelections,
         promoCode,
-        totalAmount
+        paymentTimeLimitMinutes,
+        allowDuplicate
       } = bookingData;
 
       // Use selectedFlight if available, otherwise fallback to flightOffer
-      const flight = selectedFlight || flightOffer;
+      const clientFlight = selectedFlight || flightOffer;
 
       // Validate required fields
-      if (!flight) {
+      if (!clientFlight) {
         throw new Error('Flight offer is required');
       }
-      
-      // Handle different price formats from frontend
-      const flightPrice = flight.price || flight.totalPrice;
-      if (!flightPrice || !flightPrice.total) {
-        console.error('Missing price in flight:', flight);
-        throw new Error('Flight price information is missing or invalid');
-      }
+
+      // Never trust the client's price - resolve the offer from our own search cache
+      const { flightOffer: flight, price: serverPrice } = await this.resolveServerOffer(bookingData, clientFlight);
       
       if (!passengers || passengers.length === 0) {
         throw new Error('At least one passenger is required');
       }
+
+      this.validatePassengerTypes(passengers, flight);
+
+      // Checked before seats, which the earlier booking already holds
+      const duplicateResult = await this.findDuplicateBooking(userId, flight, passengers, allowDuplicate);
+      if (duplicateResult) return duplicateResult;
+
+      // Seats are checked against the live seat map and priced by us, not the client
+      const pricedSeats = await SeatMapService.priceSeatSelections(flight, seatSelections, passengers);
+      const pricedAncillaries = await AncillaryService.priceAncillarySelections(flight, ancillarySelections, baggageSelections, passengers);
       
       if (!contactInfo || !contactInfo.email) {
         throw new Error('Contact information with email is required');
@@ -378,13 +615,8 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
       const bookingReference = this.generateBookingReference();
       console.log('Generated booking reference:', bookingReference);
 
-      // Calculate total amount with proper error handling
-      let calculatedTotalAmount;
-      if (totalAmount) {
-        calculatedTotalAmount = parseFloat(totalAmount);
-      } else {
-        calculatedTotalAmount = parseFloat(flightPrice.total);
-      }
+      // Total comes from the server-side offer, not from the request body
+      let calculatedTotalAmount = serverPrice;
       
       console.log('Calculated total amount:', calculatedTotalAmount);
 
@@ -427,8 +659,11 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
         }
       }
 
+      // Seats and other extras are paid on top of the fare and earn no commission
+      calculatedTotalAmount = Math.round((calculatedTotalAmount + pricedSeats.total + pricedAncillaries.total) * 100) / 100;
+
       // Determine booking type
-      const bookingType = flight.itineraries && flight.itineraries.length > 1 ? 'roundtrip' : 'oneway';
+      const bookingType = getTripType(flight);
       console.log('Booking type:', bookingType);
 
       // Create pending booking record
@@ -438,14 +673,16 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
         partner_id: partnerId,
         flight_offer: flight,
         total_amount: calculatedTotalAmount,
+        seat_fees: pricedSeats.total,
+        ancillary_fees: pricedAncillaries.total,
         commission_earned: commissionEarned,
         discount_amount: discount,
         promo_code: promoCode,
         contact_info: contactInfo,
-        status: 'pending', // Different status for pending bookings
+        status: 'pending_payment',
         booking_type: bookingType,
         created_at: new Date().toISOString(),
-        expires_at: new Date(Date.now() + 15 * 60 * 1000).toISOString() // Expires in 15 minutes
+        expires_at: BookingExpiryService.getPaymentDeadline(flight, paymentTimeLimitMinutes)
       };
 
       console.log('Inserting pending booking with validated data:', JSON.stringify(bookingInsertData, null, 2));
@@ -473,7 +710,10 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
 
       console.log('Pending booking created successfully:', booking);
 
+      await BookingStatusService.recordHistory(booking.id, null, booking.status, { type: 'user', id: userId }, 'Booking created');
+
       // Add passengers with enhanced error handling
+      let insertedPassengers = [];
       try {
         const passengerInserts = passengers.map((passenger, index) => ({
           booking_id: booking.id,
@@ -483,21 +723,23 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
           gender: this.mapGender(passenger.gender),
           nationality: passenger.nationality || 'NG',
           passport_number: passenger.documentNumber || passenger.passport_number,
-          passenger_type: passenger.passengerType || 'adult',
+          passenger_type: this.normalizePassengerType(passenger.passengerType || passenger.passenger_type),
           created_at: new Date().toISOString()
         }));
 
         console.log('Inserting passengers:', JSON.stringify(passengerInserts, null, 2));
 
-        const { error: passengerError } = await supabase
+        const { data: passengerRows, error: passengerError } = await supabase
           .from('passengers')
-          .insert(passengerInserts);
+          .insert(passengerInserts)
+          .select('id');
           
         if (passengerError) {
           console.error('Passenger insertion error:', passengerError);
           throw passengerError;
         }
 
+        insertedPassengers = passengerRows || [];
         console.log('Passengers added successfully');
       } catch (passengerError) {
         console.error('Passenger insertion failed:', passengerError);
@@ -506,45 +748,27 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
         throw new Error(`Failed to add passengers: ${passengerError.message}`);
       }
 
-      // Add seat selections if provided
-      if (seatSelections && seatSelections.length > 0) {
+      // Seats are paid for, so a booking that can't record them is removed
+      if (pricedSeats.seats.length > 0) {
         try {
-          const seatInserts = seatSelections.map(seat => ({
-            booking_id: booking.id,
-            ...seat,
-            created_at: new Date().toISOString()
-          }));
-          
-          const { error: seatError } = await supabase
-            .from('seat_selections')
-            .insert(seatInserts);
-            
-          if (seatError) throw seatError;
+          await this.saveSeatSelections(booking.id, pricedSeats.seats, insertedPassengers);
           console.log('Seat selections added successfully');
         } catch (seatError) {
-          console.warn('Seat selection insertion failed:', seatError.message);
-          // Continue without seat selections
+          console.error('Seat selection insertion failed:', seatError);
+          await supabase.from('bookings').delete().eq('id', booking.id);
+          throw new Error(`Failed to reserve seats: ${seatError.message}`);
         }
       }
 
-      // Add baggage selections if provided
-      if (baggageSelections && baggageSelections.length > 0) {
+      // Extras are paid for too, so the same applies
+      if (pricedAncillaries.items.length > 0) {
         try {
-          const baggageInserts = baggageSelections.map(baggage => ({
-            booking_id: booking.id,
-            ...baggage,
-            created_at: new Date().toISOString()
-          }));
-          
-          const { error: baggageError } = await supabase
-            .from('baggage_selections')
-            .insert(baggageInserts);
-            
-          if (baggageError) throw baggageError;
-          console.log('Baggage selections added successfully');
-        } catch (baggageError) {
-          console.warn('Baggage selection insertion failed:', baggageError.message);
-          // Continue without baggage selections
+          await this.saveAncillarySelections(booking.id, pricedAncillaries.items, insertedPassengers);
+          console.log('Extras added successfully');
+        } catch (ancillaryError) {
+          console.error('Extras insertion failed:', ancillaryError);
+          await supabase.from('bookings').delete().eq('id', booking.id);
+          throw new Error(`Failed to add extras: ${ancillaryError.message}`);
         }
       }
 
@@ -610,28 +834,26 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
         throw new Error('Booking not found or access denied');
       }
 
-      // Check if booking is in a valid state for confirmation
-      if (existingBooking.status !== 'pending_payment') {
-        throw new Error(`Cannot confirm booking with status: ${existingBooking.status}`);
+      // Ticketing, cancellation and expiry have their own flows
+      if (status !== 'confirmed') {
+        throw new Error(`Bookings cannot be marked ${status} on confirmation`);
+      }
+
+      // The sweeper may not have caught up with it yet
+      if (BookingExpiryService.isOverdue(existingBooking)) {
+        await BookingExpiryService.expireBooking(existingBooking);
+        throw new Error('The payment time limit for this booking has passed');
       }
 
       // Update booking status and add payment confirmation timestamp
-      const { data: updatedBooking, error: updateError } = await supabase
-        .from('bookings')
-        .update({
-          status: status,
+      const updatedBooking = await BookingStatusService.transition(bookingId, status, {
+        actor: { type: 'user', id: userId },
+        reason: 'Payment confirmed',
+        fields: {
           confirmed_at: new Date().toISOString(),
-          payment_confirmed: true,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', bookingId)
-        .eq('user_id', userId)
-        .select()
-        .single();
-
-      if (updateError) {
-        throw new Error(`Failed to update booking: ${updateError.message}`);
-      }
+          payment_confirmed: true
+        }
+      });
 
       // Store payment information if provided
       if (paymentData) {
@@ -766,14 +988,18 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
           *,
           passengers(*),
           seat_selections(*),
-          baggage_selections(*)
+          baggage_selections(*),
+          booking_ancillaries(*)
         `)
         .eq('user_id', userId)
         .order('created_at', { ascending: false });
 
       if (error) throw error;
 
-      return bookings;
+      return bookings.map(booking => ({
+        ...booking,
+        payment_seconds_remaining: BookingExpiryService.getSecondsRemaining(booking)
+      }));
     } catch (error) {
       throw error;
     }
@@ -788,6 +1014,9 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
           passengers(*),
           seat_selections(*),
           baggage_selections(*),
+          booking_ancillaries(*),
+          booking_versions(*),
+          booking_status_history(*),
           payments(*)
         `)
         .eq('id', bookingId);
@@ -802,23 +1031,25 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
 
       if (error) throw error;
 
+      booking.booking_status_history = (booking.booking_status_history || [])
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      // Countdown for unpaid bookings, alongside expires_at
+      booking.payment_seconds_remaining = BookingExpiryService.getSecondsRemaining(booking);
+
       return booking;
     } catch (error) {
       throw error;
     }
   }
 
-  async cancelBooking(bookingId, userId, reason) {
-  try {
-    console.log(`Starting cancellation for booking ${bookingId}`);
-
-    // Fetch the booking with all related data
+  async getCancellableBooking(bookingId, userId) {
     const { data: booking, error: fetchError } = await supabase
       .from('bookings')
       .select(`
         *,
         passengers(*),
-        payments(*)
+        payments(*),
+        booking_ancillaries(*)
       `)
       .eq('id', bookingId)
       .eq('user_id', userId)
@@ -833,39 +1064,116 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
     }
 
     // Check if booking can be cancelled
-    if (booking.status === 'completed') {
-      throw new Error('Cannot cancel completed bookings');
+    if (!BookingStatusService.canTransition(booking.status, 'cancelled')) {
+      throw new Error(`Cannot cancel ${booking.status} bookings`);
     }
 
-    // Calculate refund amount (you can customize this logic)
-    let refundAmount = 0;
-    if (booking.status === 'confirmed') {
-      // Apply cancellation policy - for now, 50% refund for confirmed bookings
-      refundAmount = booking.total_amount * 0.5; 
+    return booking;
+  }
+
+  // What the customer gets back if they cancel now, shown before they confirm
+  async getCancellationQuote(bookingId, userId) {
+    const booking = await this.getCancellableBooking(bookingId, userId);
+    return this.quoteCancellation(booking);
+  }
+
+  async quoteCancellation(booking, at = new Date()) {
+    const currency = booking.flight_offer?.price?.currency || FlightSearchService.getOfferCurrency(booking.flight_offer || {});
+
+    // Nothing has been paid on a booking that was never confirmed
+    if (!UNFLOWN_STATUSES.includes(booking.status)) {
+      return {
+        bookingId: booking.id,
+        currency,
+        policy: null,
+        fareAmount: 0,
+        penaltyAmount: 0,
+        fareRefund: 0,
+        ancillaryRefund: null,
+        refundAmount: 0,
+        quotedAt: at.toISOString()
+      };
+    }
+
+    const { policy, context } = await CancellationPolicyService.findApplicablePolicy(booking, at);
+
+    // Seats and extras follow their own refund rules and change fees are never refunded
+    const ancillaryRefund = AncillaryService.quoteAncillaryRefund(booking, at);
+    const fareAmount = roundAmount(booking.total_amount - (parseFloat(booking.seat_fees) || 0) -
+      (parseFloat(booking.ancillary_fees) || 0) - (parseFloat(booking.change_fees) || 0));
+
+    const penaltyAmount = CancellationPolicyService.getPenaltyAmount(policy, fareAmount);
+    const fareRefund = roundAmount(this.calculateRefund({ total_amount: fareAmount }, { refundable: policy.refundable, penaltyAmount }));
+
+    return {
+      bookingId: booking.id,
+      currency,
+      policy: {
+        id: policy.id,
+        name: policy.name,
+        refundable: policy.refundable,
+        penaltyType: policy.penaltyType,
+        penaltyValue: policy.penaltyValue,
+        fareClass: context.fareClass,
+        airline: context.airline,
+        hoursToDeparture: Number.isFinite(context.hoursToDeparture) ? Math.floor(context.hoursToDeparture) : null
+      },
+      fareAmount,
+      penaltyAmount,
+      fareRefund,
+      ancillaryRefund,
+      refundAmount: roundAmount(fareRefund + ancillaryRefund.total),
+      quotedAt: at.toISOString()
+    };
+  }
+
+  // quotedRefundAmount is the refund the customer agreed to; if the quote has moved since
+  // (a policy band was crossed), the cancellation stops so they can review the new one
+  async cancelBooking(bookingId, userId, reason, quotedRefundAmount = null) {
+  try {
+    console.log(`Starting cancellation for booking ${bookingId}`);
+
+    const booking = await this.getCancellableBooking(bookingId, userId);
+    const quote = await this.quoteCancellation(booking);
+
+    if (quotedRefundAmount !== null && quotedRefundAmount !== undefined &&
+        Math.abs(parseFloat(quotedRefundAmount) - quote.refundAmount) > 0.01) {
+      const error = new Error(`The refund for this cancellation is now ${quote.currency} ${quote.refundAmount.toFixed(2)}. Please review the new quote to continue.`);
+      error.code = 'CANCELLATION_QUOTE_CHANGED';
+      error.quote = quote;
+      throw error;
     }
 
+    const refundAmount = quote.refundAmount;
+
     // Update booking status
-    const { data: updatedBooking, error: updateError } = await supabase
-      .from('bookings')
-      .update({
-        status: 'cancelled',
+    let updatedBooking = await BookingStatusService.transition(bookingId, 'cancelled', {
+      actor: { type: 'user', id: userId },
+      reason: reason || 'Cancelled by customer',
+      fields: {
         cancellation_reason: reason,
         cancelled_at: new Date().toISOString(),
         refund_amount: refundAmount,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', bookingId)
-      .eq('user_id', userId)
-      .select()
-      .single();
+        // The policy as it stood at cancellation, in case it is edited later
+        cancellation_policy: quote.policy ? { ...quote.policy, penaltyAmount: quote.penaltyAmount, fareRefund: quote.fareRefund } : null
+      }
+    });
 
-    if (updateError) {
-      throw new Error(`Failed to cancel booking: ${updateError.message}`);
+    // Process refund if applicable; a pending one moves the booking on when an admin approves it
+    if (refundAmount > 0 && await this.processRefund(userId, refundAmount, bookingId)) {
+      try {
+        updatedBooking = await BookingStatusService.transition(bookingId, 'refunded', {
+          actor: { type: 'user', id: userId },
+          reason: 'Cancellation refund paid to wallet'
+        });
+      } catch (statusError) {
+        // The money has moved; the status can be caught up without failing the cancellation
+        console.error(`Failed to mark cancelled booking ${bookingId} as refunded:`, statusError.message);
+      }
     }
 
-    // Process refund if applicable
-    if (refundAmount > 0) {
-      await this.processRefund(userId, refundAmount, bookingId);
+    if (quote.ancillaryRefund) {
+      await AncillaryService.settleAncillaryRefund(quote.ancillaryRefund);
     }
 
     // Send cancellation email
@@ -880,6 +1188,7 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
     return { 
       message: 'Booking cancelled successfully',
       refundAmount: refundAmount,
+      quote,
       booking: updatedBooking
     };
 
@@ -889,10 +1198,592 @@ async createPendingBooking(bookingData, userId, partnerUserId = null) {
   }
 }
 
+  // Amendments to a confirmed booking: { type: 'date_change' | 'name_correction' | 'add_ancillaries', ... }.
+  // Each is priced first (fare difference plus fees), paid or refunded through the wallet or the
+  // payment gateway, and recorded as a new booking version. quoteOnly returns the price without applying it.
+  async modifyBooking(bookingId, userId, modification = {}) {
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select(`
+        *,
+        passengers(*),
+        seat_selections(*),
+        booking_ancillaries(*)
+      `)
+      .eq('id', bookingId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !booking) {
+      throw new Error('Booking not found or access denied');
+    }
+
+    if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+      throw new Error(`Bookings that are ${booking.status} cannot be changed`);
+    }
+
+    const firstDeparture = getDepartureTime(getItineraries(booking.flight_offer)[0]);
+    if (firstDeparture && firstDeparture <= Date.now()) {
+      throw new Error('Bookings cannot be changed after departure');
+    }
+
+    // A change left unpaid for long enough expires, so it no longer blocks new ones and a
+    // late payment for it is refunded instead of applied
+    await this.expireStaleBookingVersions(bookingId);
+
+    const { data: pendingVersions } = await supabase
+      .from('booking_versions')
+      .select('id')
+      .eq('booking_id', bookingId)
+      .eq('status', 'pending_payment')
+      .limit(1);
+
+    if (pendingVersions?.length > 0) {
+      throw new Error('Another change to this booking is awaiting payment');
+    }
+
+    const quote = await this.quoteModification(booking, modification);
+    if (modification.quoteOnly) {
+      return { success: true, quote };
+    }
+
+    const paymentMethod = modification.paymentMethod;
+    if (quote.amountDue > 0 && !paymentMethod?.type) {
+      throw new Error(`A payment method is required to pay ${quote.currency} ${quote.amountDue.toFixed(2)} for this change`);
+    }
+
+    const version = await this.createBookingVersion(booking, quote, userId);
+
+    // Card, transfer and other gateway payments apply the change once the payment is verified
+    if (quote.amountDue > 0 && paymentMethod.type !== 'wallet') {
+      let paymentResult;
+      try {
+        paymentResult = await paymentService.processFlutterwavePayment(paymentMethod, quote.amountDue, userId, bookingId);
+      } catch (paymentError) {
+        await this.failBookingVersion(version.id, paymentError.message);
+        throw paymentError;
+      }
+      try {
+        await this.recordModificationPayment(booking, version, paymentMethod.type, paymentResult, quote.amountDue);
+      } catch (recordError) {
+        // Without the payment row a payment through this link could never be matched to the change
+        await this.failBookingVersion(version.id, recordError.message);
+        throw new Error(`${recordError.message}. Please do not use the payment link and try again.`);
+      }
+
+      return {
+        success: true,
+        status: 'pending_payment',
+        message: 'Complete the payment to apply this change',
+        quote,
+        version: version.version,
+        paymentLink: paymentResult.paymentResult?.paymentLink,
+        transactionId: paymentResult.transactionId,
+        nextAction: paymentResult.nextAction
+      };
+    }
+
+    if (quote.amountDue > 0) {
+      let paymentResult;
+      try {
+        paymentResult = await walletService.processWalletPayment(
+          userId,
+          quote.amountDue,
+          `Change to booking ${booking.booking_reference}`
+        );
+      } catch (paymentError) {
+        await this.failBookingVersion(version.id, paymentError.message);
+        throw paymentError;
+      }
+      try {
+        await this.recordModificationPayment(booking, version, 'wallet', paymentResult, quote.amountDue);
+      } catch (recordError) {
+        await this.failBookingVersion(version.id, recordError.message);
+        await walletService.creditWallet(
+          userId,
+          quote.amountDue,
+          `Refund for change to booking ${booking.booking_reference}`,
+          paymentResult.transactionId
+        );
+        throw recordError;
+      }
+    }
+
+    const updatedBooking = await this.applyBookingVersion(version.id);
+
+    if (quote.amountDue < 0) {
+      await walletService.creditWallet(
+        userId,
+        -quote.amountDue,
+        `Refund for change to booking ${booking.booking_reference}`,
+        booking.booking_reference
+      );
+    }
+
+    return {
+      success: true,
+      status: 'applied',
+      message: 'Booking updated successfully',
+      quote,
+      version: version.version,
+      booking: updatedBooking
+    };
+  }
+
+  async quoteModification(booking, modification) {
+    const currency = FlightSearchService.getOfferCurrency(booking.flight_offer);
+    let quote;
+
+    switch (modification.type) {
+      case 'date_change':
+        quote = await this.quoteDateChange(booking, modification);
+        break;
+      case 'name_correction':
+        quote = this.quoteNameCorrection(booking, modification);
+        break;
+      case 'add_ancillaries':
+        quote = await this.quoteAncillaryAddition(booking, modification);
+        break;
+      default:
+        throw new Error('Unsupported change type. Use date_change, name_correction or add_ancillaries');
+    }
+
+    const fareDifference = quote.fareDifference || 0;
+    const changeFee = quote.changeFee || 0;
+    const extras = quote.extras || 0;
+    const credit = quote.credit || 0;
+
+    return {
+      type: modification.type,
+      currency,
+      fareDifference: roundAmount(fareDifference),
+      changeFee: roundAmount(changeFee),
+      extras: roundAmount(extras),
+      credit: roundAmount(credit),
+      amountDue: roundAmount(fareDifference + changeFee + extras - credit),
+      changes: quote.changes
+    };
+  }
+
+  // Another offer on the same route; the booked fare's change rules set the fee
+  async quoteDateChange(booking, modification) {
+    const clientOffer = modification.flightOffer || modification.selectedFlight;
+    if (!clientOffer) {
+      throw new Error('The new flight offer is required for a date change');
+    }
+
+    const { flightOffer: newOffer, price: newPrice, currency } = await this.resolveServerOffer(modification, clientOffer);
+    const oldOffer = booking.flight_offer;
+
+    if (currency !== FlightSearchService.getOfferCurrency(oldOffer)) {
+      throw new Error('The new flight is priced in a different currency and cannot replace this booking');
+    }
+
+    const oldItineraries = getItineraries(oldOffer);
+    const newItineraries = getItineraries(newOffer);
+    const sameRoute = oldItineraries.length === newItineraries.length &&
+      oldItineraries.every((itinerary, index) => itinerary.from === newItineraries[index].from &&
+        itinerary.to === newItineraries[index].to);
+    if (!sameRoute) {
+      throw new Error('A date change must keep the same route');
+    }
+
+    this.validatePassengerTypes(booking.passengers || [], newOffer);
+
+    const fareRules = await FlightSearchService.buildFareRulesFromTable(oldOffer);
+    if (!fareRules.change.allowed) {
+      throw new Error('This fare does not allow changes');
+    }
+
+    // Residual value of a cheaper flight is only returned on refundable fares
+    let fareDifference = newPrice - FlightSearchService.getOfferPrice(oldOffer);
+    if (fareDifference < 0 && !fareRules.refundable) {
+      fareDifference = 0;
+    }
+
+    // Seats and per-flight extras don't carry over to different flights, so they are credited
+    const releasedAncillaries = (booking.booking_ancillaries || [])
+      .filter(row => row.status === 'active' && row.segment_index !== null && row.segment_index !== undefined);
+    const credit = (parseFloat(booking.seat_fees) || 0) +
+      releasedAncillaries.reduce((sum, row) => sum + (parseFloat(row.total_price) || 0), 0);
+
+    return {
+      fareDifference,
+      changeFee: (fareRules.change.penalty?.amount || 0) * (booking.passengers || []).length,
+      credit,
+      changes: {
+        flightOffer: newOffer,
+        previousOfferId: oldOffer.id || null,
+        releasedAncillaryIds: releasedAncillaries.map(row => row.id)
+      }
+    };
+  }
+
+  // Small spelling fixes only; anything more is a different traveler and needs a new ticket
+  quoteNameCorrection(booking, modification) {
+    const corrections = modification.passengers;
+    if (!Array.isArray(corrections) || corrections.length === 0) {
+      throw new Error('At least one passenger name correction is required');
+    }
+
+    const normalizeName = (name) => String(name || '').trim().toUpperCase();
+
+    const changes = corrections.map(correction => {
+      const passenger = (booking.passengers || []).find(p => p.id === (correction.passengerId || correction.passenger_id));
+      if (!passenger) {
+        throw new Error('Name correction refers to a passenger that is not on this booking');
+      }
+
+      const firstName = (correction.firstName || correction.first_name || '').trim();
+      const lastName = (correction.lastName || correction.last_name || '').trim();
+      if (!firstName || !lastName) {
+        throw new Error('Corrected first and last names are required');
+      }
+
+      const edits = editDistance(normalizeName(passenger.first_name), normalizeName(firstName)) +
+        editDistance(normalizeName(passenger.last_name), normalizeName(lastName));
+      const swapped = normalizeName(passenger.first_name) === normalizeName(lastName) &&
+        normalizeName(passenger.last_name) === normalizeName(firstName);
+
+      if (edits === 0) {
+        throw new Error(`The name of ${passenger.first_name} ${passenger.last_name} is unchanged`);
+      }
+      if (!swapped && edits > NAME_CORRECTION_MAX_EDITS) {
+        throw new Error(`Name corrections are limited to ${NAME_CORRECTION_MAX_EDITS} characters; changing ${passenger.first_name} ${passenger.last_name} to a different traveler needs a new booking`);
+      }
+
+      return {
+        passengerId: passenger.id,
+        previousFirstName: passenger.first_name,
+        previousLastName: passenger.last_name,
+        firstName,
+        lastName
+      };
+    });
+
+    return {
+      changeFee: NAME_CORRECTION_FEE * changes.length,
+      changes: { passengers: changes }
+    };
+  }
+
+  async quoteAncillaryAddition(booking, modification) {
+    const passengers = booking.passengers || [];
+    const activeAncillaries = (booking.booking_ancillaries || []).filter(row => row.status === 'active');
+
+    const priced = await AncillaryService.priceAncillarySelections(
+      booking.flight_offer,
+      modification.ancillarySelections,
+      modification.baggageSelections,
+      passengers,
+      activeAncillaries
+    );
+
+    if (priced.items.length === 0) {
+      throw new Error('At least one extra is required');
+    }
+
+    return {
+      extras: priced.total,
+      // Passenger ids, as the passenger list may come back in a different order when applied
+      changes: { ancillaries: priced.items.map(item => ({ ...item, passengerId: passengers[item.passengerIndex].id })) }
+    };
+  }
+
+  // The next version of the booking, not yet applied
+  async createBookingVersion(booking, quote, userId) {
+    const { data: latest } = await supabase
+      .from('booking_versions')
+      .select('version')
+      .eq('booking_id', booking.id)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const { data: version, error } = await supabase
+      .from('booking_versions')
+      .insert({
+        booking_id: booking.id,
+        // Version 1 is the booking as originally made
+        version: (latest?.version || booking.version || 1) + 1,
+        change_type: quote.type,
+        changes: quote.changes,
+        fare_difference: quote.fareDifference,
+        change_fee: quote.changeFee,
+        extras_amount: quote.extras,
+        credit_amount: quote.credit,
+        amount_due: quote.amountDue,
+        currency: quote.currency,
+        status: 'pending_payment',
+        created_by: userId,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record booking change: ${error.message}`);
+    }
+
+    return version;
+  }
+
+  async recordModificationPayment(booking, version, method, paymentResult, amount) {
+    const { error } = await supabase
+      .from('payments')
+      .insert({
+        booking_id: booking.id,
+        booking_version_id: version.id,
+        user_id: booking.user_id,
+        amount,
+        currency: version.currency,
+        payment_method: method,
+        transaction_id: paymentResult.transactionId,
+        status: paymentResult.status,
+        processed_at: paymentResult.status === 'completed' ? new Date().toISOString() : null,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error('Error storing change payment record:', error);
+      throw new Error(`Failed to record the payment for this change: ${error.message}`);
+    }
+  }
+
+  async expireStaleBookingVersions(bookingId) {
+    const { error } = await supabase
+      .from('booking_versions')
+      .update({ status: 'expired', failure_reason: 'Payment not received in time' })
+      .eq('booking_id', bookingId)
+      .eq('status', 'pending_payment')
+      .lt('created_at', new Date(Date.now() - PENDING_CHANGE_TTL_MS).toISOString());
+
+    if (error) {
+      throw new Error(`Failed to expire unpaid booking changes: ${error.message}`);
+    }
+  }
+
+  // The change's completed payment goes back to the customer's wallet
+  async refundBookingVersionPayment(version, booking, reason) {
+    const { data: payment } = await supabase
+      .from('payments')
+      .select('transaction_id')
+      .eq('booking_version_id', version.id)
+      .eq('status', 'completed')
+      .maybeSingle();
+
+    if (!payment) return null;
+
+    return BookingExpiryService.refundLatePayment(booking, payment.transaction_id, reason);
+  }
+
+  // A paid change only applies to a booking that can still be changed, and only if no
+  // later change has been made since it was priced
+  async checkBookingVersionApplicable(version, booking) {
+    if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+      return `the booking is ${booking.status}`;
+    }
+
+    const { data: newer, error } = await supabase
+      .from('booking_versions')
+      .select('id')
+      .eq('booking_id', booking.id)
+      .gt('version', version.version)
+      .in('status', ['pending_payment', 'applying', 'applied'])
+      .limit(1);
+
+    if (error) throw error;
+    if (newer?.length > 0) {
+      return 'a newer change has been made to the booking';
+    }
+
+    return null;
+  }
+
+  // Applies a paid (or free) version to the booking. Safe to call again: only a version
+  // still awaiting payment is applied, so repeated payment verifications do nothing.
+  // A payment for a version that expired or can no longer apply is refunded instead.
+  async applyBookingVersion(versionId) {
+    const { data: version, error: claimError } = await supabase
+      .from('booking_versions')
+      .update({ status: 'applying' })
+      .eq('id', versionId)
+      .eq('status', 'pending_payment')
+      .select()
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+
+    if (!version) {
+      const { data: existing } = await supabase
+        .from('booking_versions')
+        .select('*, bookings(id, booking_reference, user_id, status)')
+        .eq('id', versionId)
+        .maybeSingle();
+
+      if (existing?.status === 'expired') {
+        await this.refundBookingVersionPayment(existing, existing.bookings, 'Payment received after the booking change expired');
+      }
+      return null;
+    }
+
+    let booking;
+    let notApplicable;
+    try {
+      const { data, error } = await supabase
+        .from('bookings')
+        .select('*, passengers(*), booking_ancillaries(*)')
+        .eq('id', version.booking_id)
+        .single();
+
+      if (error) throw error;
+      booking = data;
+      notApplicable = await this.checkBookingVersionApplicable(version, booking);
+    } catch (error) {
+      await this.failBookingVersion(version.id, error.message);
+      throw new Error(`Failed to apply booking change: ${error.message}`);
+    }
+
+    if (notApplicable) {
+      await this.failBookingVersion(version.id, `Not applied: ${notApplicable}`);
+      await this.refundBookingVersionPayment(version, booking, `Booking change not applied: ${notApplicable}`);
+      throw new Error(`This change can no longer be applied because ${notApplicable}. Any payment for it has been refunded to your wallet.`);
+    }
+
+    try {
+
+      const updates = {
+        version: version.version,
+        total_amount: roundAmount(booking.total_amount + version.amount_due),
+        change_fees: roundAmount((parseFloat(booking.change_fees) || 0) + version.change_fee),
+        updated_at: new Date().toISOString()
+      };
+      const changes = version.changes || {};
+
+      if (version.change_type === 'date_change') {
+        const { error: seatError } = await supabase
+          .from('seat_selections')
+          .delete()
+          .eq('booking_id', booking.id);
+        if (seatError) throw seatError;
+
+        if (changes.releasedAncillaryIds?.length > 0) {
+          const { error: releaseError } = await supabase
+            .from('booking_ancillaries')
+            .update({ status: 'refunded', updated_at: new Date().toISOString() })
+            .in('id', changes.releasedAncillaryIds);
+          if (releaseError) throw releaseError;
+        }
+
+        // Per-journey extras move to the new flights of the same journey
+        const newItineraries = getItineraries(changes.flightOffer);
+        await Promise.all((booking.booking_ancillaries || [])
+          .filter(row => row.status === 'active' && !changes.releasedAncillaryIds?.includes(row.id))
+          .map(async row => {
+            const { error: moveError } = await supabase
+              .from('booking_ancillaries')
+              .update({ departure_at: newItineraries[row.itinerary_index]?.departureUtcAt || row.departure_at })
+              .eq('id', row.id);
+            if (moveError) throw moveError;
+          }));
+
+        const releasedExtras = (booking.booking_ancillaries || [])
+          .filter(row => changes.releasedAncillaryIds?.includes(row.id))
+          .reduce((sum, row) => sum + (parseFloat(row.total_price) || 0), 0);
+
+        updates.flight_offer = changes.flightOffer;
+        updates.booking_type = getTripType(changes.flightOffer);
+        updates.seat_fees = 0;
+        updates.ancillary_fees = roundAmount((parseFloat(booking.ancillary_fees) || 0) - releasedExtras);
+      }
+
+      if (version.change_type === 'name_correction') {
+        await Promise.all((changes.passengers || []).map(async correction => {
+          const { error: nameError } = await supabase
+            .from('passengers')
+            .update({ first_name: correction.firstName, last_name: correction.lastName })
+            .eq('id', correction.passengerId)
+            .eq('booking_id', booking.id);
+          if (nameError) throw nameError;
+        }));
+      }
+
+      if (version.change_type === 'add_ancillaries') {
+        await this.saveAncillarySelections(booking.id, changes.ancillaries || [], []);
+        updates.ancillary_fees = roundAmount((parseFloat(booking.ancillary_fees) || 0) + version.extras_amount);
+      }
+
+      const { data: updatedBooking, error: updateError } = await supabase
+        .from('bookings')
+        .update(updates)
+        .eq('id', booking.id)
+        .select('*, passengers(*), seat_selections(*), booking_ancillaries(*)')
+        .single();
+
+      if (updateError) throw updateError;
+
+      await supabase
+        .from('booking_versions')
+        .update({
+          status: 'applied',
+          snapshot: {
+            flight_offer: updatedBooking.flight_offer,
+            passengers: (updatedBooking.passengers || []).map(p => ({ id: p.id, first_name: p.first_name, last_name: p.last_name })),
+            total_amount: updatedBooking.total_amount,
+            seat_fees: updatedBooking.seat_fees,
+            ancillary_fees: updatedBooking.ancillary_fees,
+            change_fees: updatedBooking.change_fees
+          },
+          applied_at: new Date().toISOString()
+        })
+        .eq('id', version.id);
+
+      return updatedBooking;
+    } catch (error) {
+      console.error(`Failed to apply booking version ${version.id}:`, error);
+      await this.failBookingVersion(version.id, error.message);
+      throw new Error(`Failed to apply booking change: ${error.message}`);
+    }
+  }
+
+  async failBookingVersion(versionId, reason) {
+    const { error } = await supabase
+      .from('booking_versions')
+      .update({ status: 'failed', failure_reason: reason })
+      .eq('id', versionId);
+
+    if (error) {
+      console.error(`Failed to mark booking version ${versionId} as failed:`, error);
+    }
+  }
+
+  // The first ticket issued for a confirmed booking moves it to ticketed; later downloads reissue the same ticket
+  async issueTicket(booking, userId) {
+    if (!UNFLOWN_STATUSES.includes(booking.status)) {
+      throw new Error('Ticket can only be downloaded for confirmed bookings');
+    }
+
+    const ticketBuffer = await this.generateTicket(booking);
+
+    if (booking.status === 'confirmed') {
+      const ticketedBooking = await BookingStatusService.transition(booking.id, 'ticketed', {
+        actor: { type: 'user', id: userId },
+        reason: 'Ticket issued',
+        fields: { ticketed_at: new Date().toISOString() }
+      });
+      booking.status = ticketedBooking.status;
+    }
+
+    return ticketBuffer;
+  }
+
 async generateTicket(booking) {
   try {
     console.log(`Generating ticket for booking ${booking.id}`);
 
+    // Airline names for bookings stored before offers carried them
+    const flightOffer = await AirlineService.enrichFlightOffer(booking.flight_offer);
+
     // Create a new PDF document
     const doc = new PDFDocument({ margin: 50 });
     const chunks = [];
@@ -909,7 +1800,7 @@ async generateTicket(booking) {
       doc.on('error', reject);
 
       // Add content to PDF
-      this.addTicketContent(doc, booking);
+      this.addTicketContent(doc, { ...booking, flight_offer: flightOffer });
       
       // Finalize the PDF
       doc.end();
@@ -939,28 +1830,56 @@ addTicketContent(doc, booking) {
 
   let yPosition = 180;
 
-  // Extract flight details
-  const flightOffer = booking.flight_offer;
-  const itinerary = flightOffer.itineraries?.[0];
-  const segment = itinerary?.segments?.[0];
+  // Start a new page when the itinerary runs past the bottom margin
+  const ensureSpace = (needed) => {
+    if (yPosition + needed > doc.page.height - 80) {
+      doc.rect(30, 30, doc.page.width - 60, doc.page.height - 60).stroke();
+      doc.addPage();
+      yPosition = 50;
+    }
+  };
+
+  // Extract flight details - one block per direction (or per multi-city leg)
+  const flightOffer = booking.flight_offer || {};
+  const itineraries = getItineraries(flightOffer);
+
+  itineraries.forEach((itinerary, itineraryIndex) => {
+    ensureSpace(60);
+    doc.fontSize(13)
+       .font('Helvetica-Bold')
+       .text(`${getItineraryLabel(itineraryIndex, itineraries)}: ${itinerary.from} → ${itinerary.to}`, 50, yPosition);
 
-  if (segment) {
-    doc.fontSize(12)
-       .font('Helvetica')
-       .text(`Route: ${segment.departure?.iataCode || 'N/A'} → ${segment.arrival?.iataCode || 'N/A'}`, 50, yPosition);
-    
-    yPosition += 20;
-    doc.text(`Flight: ${segment.carrierCode || ''} ${segment.number || ''}`, 50, yPosition);
-    
-    yPosition += 20;
-    doc.text(`Departure: ${segment.departure?.at || 'N/A'}`, 50, yPosition);
-    
     yPosition += 20;
-    doc.text(`Arrival: ${segment.arrival?.at || 'N/A'}`, 50, yPosition);
-  }
+    doc.fontSize(11)
+       .font('Helvetica')
+       .text(`Duration: ${itinerary.duration || 'N/A'}   Stops: ${itinerary.stops}`, 50, yPosition);
+
+    itinerary.segments.forEach(segment => {
+      ensureSpace(80);
+      yPosition += 20;
+      doc.fontSize(12)
+         .font('Helvetica')
+         .text(`Flight ${segment.flightNumber || 'N/A'} (${segment.carrierName || 'N/A'}): ${segment.from} → ${segment.to}`, 50, yPosition);
+
+      if (segment.isCodeshare) {
+        yPosition += 20;
+        doc.text(`Operated by ${segment.operatingCarrierName}`, 70, yPosition);
+      }
+
+      yPosition += 20;
+      doc.text(`Departure: ${formatFlightTime(segment.departureAt, segment.departureDayOffset)}${segment.departureTerminal ? ` (Terminal ${segment.departureTerminal})` : ''}`, 70, yPosition);
+
+      yPosition += 20;
+      doc.text(`Arrival: ${formatFlightTime(segment.arrivalAt, segment.arrivalDayOffset)}${segment.arrivalTerminal ? ` (Terminal ${segment.arrivalTerminal})` : ''}`, 70, yPosition);
+    });
+
+    yPosition += 30;
+  });
+
+  ensureSpace(200);
 
   // Add passenger information
-  yPosition += 40;
+  yPosition += 10;
   doc.fontSize(16)
      .font('Helvetica-Bold')
      .text('Passenger Information', 50, yPosition);
@@ -968,6 +1887,7 @@ addTicketContent(doc, booking) {
   yPosition += 20;
   if (booking.passengers && booking.passengers.length > 0) {
     booking.passengers.forEach((passenger, index) => {
+      ensureSpace(40);
       yPosition += 20;
       doc.fontSize(12)
          .font('Helvetica')
@@ -976,6 +1896,7 @@ addTicketContent(doc, booking) {
   }
 
   // Add contact information
+  ensureSpace(160);
   yPosition += 40;
   doc.fontSize(16)
      .font('Helvetica-Bold')
@@ -995,10 +1916,48 @@ addTicketContent(doc, booking) {
      .font('Helvetica-Bold')
      .text('Payment Information', 50, yPosition);
 
+  const currency = flightOffer.price?.currency || 'NGN';
+  const passengerName = (passengerId) => {
+    const passenger = (booking.passengers || []).find(p => p.id === passengerId);
+    return passenger ? `${passenger.first_name} ${passenger.last_name}` : 'Passenger';
+  };
+
+  // Itemized: the fare, then every paid seat and extra the customer still has
+  const lineItems = [];
+  (booking.seat_selections || [])
+    .filter(seat => parseFloat(seat.extra_cost) > 0)
+    .forEach(seat => lineItems.push({
+      label: `Seat ${seat.seat_number}${seat.flight_number ? ` on ${seat.flight_number}` : ''} - ${passengerName(seat.passenger_id)}`,
+      amount: parseFloat(seat.extra_cost)
+    }));
+  (booking.booking_ancillaries || []).filter(item => item.status === 'active').forEach(item => lineItems.push({
+    label: `${item.name}${item.quantity > 1 ? ` x${item.quantity}` : ''} - ${passengerName(item.passenger_id)}`,
+    amount: parseFloat(item.total_price) || 0
+  }));
+
+  const changeFees = parseFloat(booking.change_fees) || 0;
+  if (changeFees > 0) {
+    lineItems.push({ label: 'Change fees', amount: changeFees });
+  }
+
+  const extrasTotal = (parseFloat(booking.seat_fees) || 0) + (parseFloat(booking.ancillary_fees) || 0) + changeFees;
+  const fareAmount = booking.total_amount - extrasTotal;
+
   yPosition += 20;
   doc.fontSize(12)
      .font('Helvetica')
-     .text(`Total Amount: ${flightOffer.price?.currency || 'NGN'} ${booking.total_amount.toFixed(2)}`, 50, yPosition);
+     .text(`Fare${booking.discount_amount > 0 ? ` (after ${currency} ${parseFloat(booking.discount_amount).toFixed(2)} discount)` : ''}: ${currency} ${fareAmount.toFixed(2)}`, 50, yPosition);
+
+  lineItems.forEach(item => {
+    ensureSpace(40);
+    yPosition += 20;
+    doc.text(`${item.label}: ${currency} ${item.amount.toFixed(2)}`, 50, yPosition);
+  });
+
+  ensureSpace(100);
+  yPosition += 20;
+  doc.font('Helvetica-Bold')
+     .text(`Total Amount: ${currency} ${booking.total_amount.toFixed(2)}`, 50, yPosition);
 
   // Add footer
   yPosition += 60;
@@ -1112,13 +2071,18 @@ async sendCancellationEmail(booking) {
     return Math.max(0, totalAmount - penaltyAmount);
   }
 
+  // Returns whether the refund reached the wallet; one that didn't is left pending for an admin
   async processRefund(userId, amount, bookingId) {
     // Add to user wallet
-    await supabase.rpc('add_to_wallet', {
+    const { error: walletError } = await supabase.rpc('add_to_wallet', {
       user_id: userId,
       amount: amount
     });
 
+    if (walletError) {
+      console.error(`Failed to refund booking ${bookingId} to the wallet:`, walletError.message);
+    }
+
     // Create refund record
     await supabase
       .from('refunds')
@@ -1126,9 +2090,11 @@ async sendCancellationEmail(booking) {
         booking_id: bookingId,
         user_id: userId,
         amount: amount,
-        status: 'completed',
-        processed_at: new Date().toISOString()
+        status: walletError ? 'pending' : 'completed',
+        processed_at: walletError ? null : new Date().toISOString()
       });
+
+    return !walletError;
   }
 }
 
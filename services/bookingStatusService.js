@@ -0,0 +1,138 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Every booking status change goes through here, so the rules live in one place and
+// each change leaves a row in booking_status_history.
+//
+//   pending_payment -> confirmed -> ticketed -> completed
+//   pending_payment -> expired        (never paid)
+//   confirmed -> completed            (flown without the ticket being downloaded)
+//   any unflown status -> cancelled   (by the customer or an admin)
+//   paid or cancelled -> refunded     (once money has gone back)
+//
+// Bookings are completed by BookingCompletionService once the last flight lands, and
+// cancellations are refunded when the refund reaches the customer's wallet.
+const BOOKING_TRANSITIONS = {
+  pending_payment: ['confirmed', 'cancelled', 'expired'],
+  confirmed: ['ticketed', 'completed', 'cancelled', 'refunded'],
+  ticketed: ['completed', 'cancelled', 'refunded'],
+  completed: ['refunded'],
+  cancelled: ['refunded'],
+  expired: [],
+  refunded: []
+};
+
+// Paid for and not refunded: what counts towards revenue, spend and partner commission
+const PAID_STATUSES = ['confirmed', 'ticketed', 'completed'];
+
+// Bookings created before the state machine used "pending"
+const LEGACY_STATUSES = {
+  pending: 'pending_payment'
+};
+
+const ACTOR_TYPES = ['user', 'admin', 'partner', 'system'];
+
+class BookingStatusService {
+  normalizeStatus(status) {
+    return LEGACY_STATUSES[status] || status;
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return (BOOKING_TRANSITIONS[this.normalizeStatus(fromStatus)] || []).includes(toStatus);
+  }
+
+  assertTransition(fromStatus, toStatus) {
+    if (!this.canTransition(fromStatus, toStatus)) {
+      const error = new Error(`A ${this.normalizeStatus(fromStatus)} booking cannot be ${toStatus}`);
+      error.code = 'INVALID_STATUS_TRANSITION';
+      error.fromStatus = fromStatus;
+      error.toStatus = toStatus;
+      throw error;
+    }
+  }
+
+  // Moves a booking to toStatus, together with any extra booking fields. The update only
+  // applies if the status is still the one we checked, so two racing transitions can't
+  // both win. actor is { type: 'user' | 'admin' | 'partner' | 'system', id }.
+  async transition(bookingId, toStatus, { actor = { type: 'system' }, reason = null, fields = {} } = {}) {
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('id, status')
+      .eq('id', bookingId)
+      .single();
+
+    if (fetchError || !booking) {
+      throw new Error('Booking not found');
+    }
+
+    this.assertTransition(booking.status, toStatus);
+
+    const { data: updatedBooking, error: updateError } = await supabase
+      .from('bookings')
+      .update({
+        ...fields,
+        status: toStatus,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', bookingId)
+      .eq('status', booking.status)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      throw new Error(`Failed to update booking status: ${updateError.message}`);
+    }
+    if (!updatedBooking) {
+      const error = new Error('The booking was updated by another request. Please try again.');
+      error.code = 'INVALID_STATUS_TRANSITION';
+      throw error;
+    }
+
+    await this.recordHistory(bookingId, booking.status, toStatus, actor, reason);
+
+    return updatedBooking;
+  }
+
+  // History is an audit trail; a failed write is logged rather than undoing the change
+  async recordHistory(bookingId, fromStatus, toStatus, actor = { type: 'system' }, reason = null) {
+    const { error } = await supabase
+      .from('booking_status_history')
+      .insert({
+        booking_id: bookingId,
+        from_status: fromStatus ? this.normalizeStatus(fromStatus) : null,
+        to_status: toStatus,
+        actor_type: ACTOR_TYPES.includes(actor.type) ? actor.type : 'system',
+        actor_id: actor.id || null,
+        reason,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error(`Failed to record status history for booking ${bookingId}:`, error.message);
+    }
+  }
+
+  async getStatusHistory(bookingId) {
+    const { data, error } = await supabase
+      .from('booking_status_history')
+      .select('*')
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.warn(`Failed to load status history for booking ${bookingId}:`, error.message);
+      return [];
+    }
+
+    return data || [];
+  }
+}
+
+const bookingStatusService = new BookingStatusService();
+
+module.exports = bookingStatusService;
+module.exports.PAID_STATUSES = PAID_STATUSES;
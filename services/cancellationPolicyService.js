@@ -0,0 +1,184 @@
+const { createClient } = require('@supabase/supabase-js');
+const LRUCache = require('../utils/lruCache');
+const { getItineraries, getDepartureTime } = require('../utils/flightItinerary');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const POLICY_LIST_TTL_MS = 10 * 60 * 1000;
+const POLICY_FALLBACK_TTL_MS = 60 * 1000;
+
+// Used when no cancellation_policies rows are configured. Penalties apply to the fare only;
+// seats and extras follow their own refund rules.
+const DEFAULT_CANCELLATION_POLICIES = [
+  {
+    id: 'default-24h-grace',
+    name: 'Free cancellation within 24 hours of booking',
+    fareClass: null,
+    airline: null,
+    minHoursBeforeDeparture: 48,
+    maxHoursBeforeDeparture: null,
+    maxHoursSinceBooking: 24,
+    refundable: true,
+    penaltyType: 'percentage',
+    penaltyValue: 0,
+    priority: 10
+  },
+  {
+    id: 'default-under-48h',
+    name: 'Non-refundable within 48 hours of departure',
+    fareClass: null,
+    airline: null,
+    minHoursBeforeDeparture: null,
+    maxHoursBeforeDeparture: 48,
+    maxHoursSinceBooking: null,
+    refundable: false,
+    penaltyType: 'percentage',
+    penaltyValue: 100,
+    priority: 20
+  },
+  {
+    id: 'default-over-7d',
+    name: '25% penalty more than 7 days before departure',
+    fareClass: null,
+    airline: null,
+    minHoursBeforeDeparture: 168,
+    maxHoursBeforeDeparture: null,
+    maxHoursSinceBooking: null,
+    refundable: true,
+    penaltyType: 'percentage',
+    penaltyValue: 25,
+    priority: 100
+  },
+  {
+    id: 'default-48h-7d',
+    name: '50% penalty between 48 hours and 7 days before departure',
+    fareClass: null,
+    airline: null,
+    minHoursBeforeDeparture: 48,
+    maxHoursBeforeDeparture: 168,
+    maxHoursSinceBooking: null,
+    refundable: true,
+    penaltyType: 'percentage',
+    penaltyValue: 50,
+    priority: 100
+  }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toNumberOrNull = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  fareClass: row.fare_class ? row.fare_class.toUpperCase() : null,
+  airline: row.airline ? row.airline.toUpperCase() : null,
+  minHoursBeforeDeparture: toNumberOrNull(row.min_hours_before_departure),
+  maxHoursBeforeDeparture: toNumberOrNull(row.max_hours_before_departure),
+  maxHoursSinceBooking: toNumberOrNull(row.max_hours_since_booking),
+  refundable: row.refundable !== false,
+  penaltyType: row.penalty_type === 'fixed' ? 'fixed' : 'percentage',
+  penaltyValue: Number(row.penalty_value) || 0,
+  priority: row.priority ?? 100
+});
+
+class CancellationPolicyService {
+  constructor() {
+    this.cache = new LRUCache({ maxEntries: 1, ttlMs: POLICY_LIST_TTL_MS });
+  }
+
+  // Active policies from the cancellation_policies table, or the defaults when none are set up
+  async getPolicies() {
+    const cached = this.cache.get('policies');
+    if (cached) return cached;
+
+    let rows = [];
+    try {
+      const { data, error } = await supabase
+        .from('cancellation_policies')
+        .select('*')
+        .eq('is_active', true);
+
+      if (error) throw error;
+      rows = data || [];
+    } catch (error) {
+      console.warn('Failed to load cancellation policies, using defaults:', error.message || error);
+      rows = [];
+    }
+
+    const fromTable = rows.length > 0;
+    const policies = fromTable ? rows.map(fromRow) : DEFAULT_CANCELLATION_POLICIES;
+
+    return this.cache.set('policies', policies, Date.now() + (fromTable ? POLICY_LIST_TTL_MS : POLICY_FALLBACK_TTL_MS));
+  }
+
+  // Booking class, i.e. the first letter of the fare basis, as in the fare rules table
+  getFareClass(flightOffer) {
+    const fareBasis = flightOffer?.fareBasis || flightOffer?.bookingClass || 'Y';
+    return fareBasis.charAt(0).toUpperCase();
+  }
+
+  getAirline(flightOffer) {
+    return flightOffer?.airline || flightOffer?.validatingAirlineCodes?.[0] || null;
+  }
+
+  matches(policy, { fareClass, airline, hoursToDeparture, hoursSinceBooking }) {
+    if (policy.fareClass && policy.fareClass !== fareClass) return false;
+    if (policy.airline && policy.airline !== airline) return false;
+    if (policy.minHoursBeforeDeparture !== null && hoursToDeparture < policy.minHoursBeforeDeparture) return false;
+    if (policy.maxHoursBeforeDeparture !== null && hoursToDeparture >= policy.maxHoursBeforeDeparture) return false;
+    if (policy.maxHoursSinceBooking !== null && hoursSinceBooking > policy.maxHoursSinceBooking) return false;
+    return true;
+  }
+
+  // The lowest priority number wins; between equal priorities, airline and fare class
+  // specific policies win over general ones
+  pickPolicy(policies, context) {
+    const specificity = (policy) => (policy.airline ? 2 : 0) + (policy.fareClass ? 1 : 0);
+
+    return policies
+      .filter(candidate => this.matches(candidate, context))
+      .sort((a, b) => a.priority - b.priority || specificity(b) - specificity(a))[0] || null;
+  }
+
+  // Configured policies first; the defaults cover every departure band, so one always applies
+  async findApplicablePolicy(booking, at = new Date()) {
+    const flightOffer = booking.flight_offer || {};
+    // The UTC instant, so the bands don't shift with the airport's or the server's time zone
+    const firstDeparture = getDepartureTime(getItineraries(flightOffer)[0]);
+    const context = {
+      fareClass: this.getFareClass(flightOffer),
+      airline: this.getAirline(flightOffer),
+      hoursToDeparture: firstDeparture ? (firstDeparture - at.getTime()) / HOUR_MS : Infinity,
+      hoursSinceBooking: booking.created_at ? (at.getTime() - Date.parse(booking.created_at)) / HOUR_MS : Infinity
+    };
+
+    const policy = this.pickPolicy(await this.getPolicies(), context) ||
+      this.pickPolicy(DEFAULT_CANCELLATION_POLICIES, context);
+
+    return { policy, context };
+  }
+
+  // Penalty on the fare for a policy; a non-refundable policy keeps the whole fare
+  getPenaltyAmount(policy, fareAmount) {
+    if (!policy.refundable) return fareAmount;
+
+    const penalty = policy.penaltyType === 'fixed'
+      ? policy.penaltyValue
+      : fareAmount * policy.penaltyValue / 100;
+
+    return Math.min(fareAmount, Math.round(penalty * 100) / 100);
+  }
+
+  // Called after admin changes so they apply to the next cancellation
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+const cancellationPolicyService = new CancellationPolicyService();
+
+module.exports = cancellationPolicyService;
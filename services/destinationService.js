@@ -0,0 +1,232 @@
+const { createClient } = require('@supabase/supabase-js');
+const LRUCache = require('../utils/lruCache');
+const AirportService = require('./airportService');
+const { getItineraries } = require('../utils/flightItinerary');
+const { PAID_STATUSES } = require('./bookingStatusService');
+const { METRO_AREAS } = require('../utils/mockFlightFixtures');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Bookings and searches older than this no longer count towards popularity
+const POPULARITY_WINDOW_DAYS = 180;
+// A booking says far more about demand than a search does
+const BOOKING_WEIGHT = 5;
+const SEARCH_WEIGHT = 1;
+const MAX_SOURCE_ROWS = 5000;
+// "From" prices only use fares seen in searches this recently
+const FROM_PRICE_WINDOW_DAYS = 7;
+const DESTINATIONS_CACHE_TTL_MS = 15 * 60 * 1000;
+
+// Northern-hemisphere travel seasons, by month of departure
+const SEASONS = {
+  winter: [12, 1, 2],
+  spring: [3, 4, 5],
+  summer: [6, 7, 8],
+  autumn: [9, 10, 11]
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const getMonth = (date) => {
+  const month = parseInt(String(date || '').slice(5, 7));
+  return month >= 1 && month <= 12 ? month : null;
+};
+
+class DestinationService {
+  constructor() {
+    this.cache = new LRUCache({ maxEntries: 200, ttlMs: DESTINATIONS_CACHE_TTL_MS });
+  }
+
+  // A metro code ("LON") covers each of its airports
+  matchesAirport(code, target) {
+    if (!code || !target) return false;
+    if (code === target) return true;
+    return Boolean(METRO_AREAS[target]?.airports.includes(code) || METRO_AREAS[code]?.airports.includes(target));
+  }
+
+  matchesSeason(departureDate, season) {
+    if (!season) return true;
+    return SEASONS[season].includes(getMonth(departureDate));
+  }
+
+  async getPopularDestinations({ from = null, season = null, limit = 12 } = {}) {
+    const cacheKey = `${from || '*'}|${season || '*'}|${limit}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const [scores, curated] = await Promise.all([
+      this.getDemandScores({ from, season }),
+      this.getCuratedDestinations(from)
+    ]);
+
+    const hidden = new Set(curated.filter(row => row.is_active === false).map(row => row.iata_code));
+    const visibleCurated = curated.filter(row => row.is_active !== false);
+    const curatedByCode = new Map(visibleCurated.map(row => [row.iata_code, row]));
+
+    const selected = new Map();
+    const add = (code, source) => {
+      if (selected.size >= limit || selected.has(code) || hidden.has(code)) return;
+      if (from && this.matchesAirport(code, from)) return;
+      selected.set(code, source);
+    };
+
+    // Pinned editorial picks lead, then demand, then the rest of the curated list as filler
+    visibleCurated.filter(row => row.is_pinned).forEach(row => add(row.iata_code, 'curated'));
+    [...scores.values()]
+      .sort((a, b) => b.score - a.score || a.code.localeCompare(b.code))
+      .forEach(entry => add(entry.code, 'computed'));
+    visibleCurated.forEach(row => add(row.iata_code, 'curated'));
+
+    const codes = [...selected.keys()];
+    const [airports, fromPrices] = await Promise.all([
+      AirportService.getAllAirports(),
+      this.getFromPrices(codes, from)
+    ]);
+
+    const destinations = codes.map((code, index) => {
+      const curatedRow = curatedByCode.get(code);
+      const airport = airports.find(a => a.code === code);
+      const metro = METRO_AREAS[code];
+      const demand = scores.get(code);
+      const price = fromPrices.get(code);
+
+      return {
+        code,
+        city: curatedRow?.city || airport?.city || metro?.city || null,
+        country: curatedRow?.country || airport?.country || metro?.country || null,
+        rank: index + 1,
+        description: curatedRow?.description || null,
+        image_url: curatedRow?.image_url || null,
+        fromPrice: price ? price.price : null,
+        currency: price ? price.currency : null,
+        bookings: demand?.bookings || 0,
+        searches: demand?.searches || 0,
+        score: demand?.score || 0,
+        source: selected.get(code)
+      };
+    });
+
+    return this.cache.set(cacheKey, destinations);
+  }
+
+  // Demand per destination from recent bookings and searches, weighted towards bookings
+  async getDemandScores({ from, season }) {
+    const since = daysAgo(POPULARITY_WINDOW_DAYS);
+    const scores = new Map();
+
+    const count = (code, field, weight) => {
+      if (!code) return;
+      const entry = scores.get(code) || { code, bookings: 0, searches: 0, score: 0 };
+      entry[field] += 1;
+      entry.score += weight;
+      scores.set(code, entry);
+    };
+
+    const [bookingsResult, searchesResult] = await Promise.all([
+      supabase
+        .from('bookings')
+        .select('flight_offer')
+        .in('status', PAID_STATUSES)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(MAX_SOURCE_ROWS),
+      supabase
+        .from('search_history')
+        .select('search_params')
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(MAX_SOURCE_ROWS)
+    ]);
+
+    // Either source alone still gives a usable ranking
+    if (bookingsResult.error) {
+      console.warn('Failed to load bookings for popular destinations:', bookingsResult.error.message);
+    }
+    if (searchesResult.error) {
+      console.warn('Failed to load search history for popular destinations:', searchesResult.error.message);
+    }
+
+    (bookingsResult.data || []).forEach(booking => {
+      const [outbound] = getItineraries(booking.flight_offer);
+      if (!outbound) return;
+      if (from && !this.matchesAirport(outbound.from, from)) return;
+      if (!this.matchesSeason(outbound.departureAt, season)) return;
+      count(outbound.to, 'bookings', BOOKING_WEIGHT);
+    });
+
+    (searchesResult.data || []).forEach(({ search_params: params }) => {
+      if (!params) return;
+      // A multi-city search counts towards its first leg
+      const leg = params.tripType === 'multicity' && Array.isArray(params.legs) && params.legs.length > 0
+        ? params.legs[0]
+        : params;
+      if (from && !this.matchesAirport(leg.from, from)) return;
+      if (!this.matchesSeason(leg.departureDate, season)) return;
+      count(leg.to, 'searches', SEARCH_WEIGHT);
+    });
+
+    return scores;
+  }
+
+  // Curated rows that apply to this origin; rows without an origin apply everywhere
+  async getCuratedDestinations(from) {
+    const { data, error } = await supabase
+      .from('popular_destinations')
+      .select('*')
+      .order('rank', { ascending: true });
+
+    if (error) {
+      console.warn('Failed to load curated destinations:', error.message);
+      return [];
+    }
+
+    return (data || []).filter(row => !row.origin_code || (from && this.matchesAirport(from, row.origin_code)));
+  }
+
+  // Cheapest fare seen for each destination in recent searches
+  async getFromPrices(codes, from) {
+    const prices = new Map();
+    if (codes.length === 0) return prices;
+
+    let query = supabase
+      .from('flight_price_observations')
+      .select('origin, destination, price, currency')
+      .in('destination', codes)
+      .gte('observed_at', daysAgo(FROM_PRICE_WINDOW_DAYS))
+      .gte('departure_date', new Date().toISOString().split('T')[0])
+      .order('price', { ascending: true })
+      .limit(MAX_SOURCE_ROWS);
+
+    if (from) {
+      query = query.in('origin', METRO_AREAS[from] ? [from, ...METRO_AREAS[from].airports] : [from]);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.warn('Failed to load from prices:', error.message);
+      return prices;
+    }
+
+    (data || []).forEach(row => {
+      const price = parseFloat(row.price);
+      if (!prices.has(row.destination) && !isNaN(price)) {
+        prices.set(row.destination, { price, currency: row.currency });
+      }
+    });
+
+    return prices;
+  }
+
+  // Called after editorial changes so they show up immediately
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+const destinationService = new DestinationService();
+
+module.exports = destinationService;
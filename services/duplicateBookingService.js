@@ -0,0 +1,188 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getItineraries } = require('../utils/flightItinerary');
+const { PAID_STATUSES } = require('./bookingStatusService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Two bookings this close together for the same flights and passengers are treated as one
+const DUPLICATE_BOOKING_WINDOW_MINUTES = parseInt(process.env.DUPLICATE_BOOKING_WINDOW_MINUTES) || 30;
+// Cancelled, expired and refunded bookings no longer hold anything, so rebooking them is fine
+const ACTIVE_STATUSES = ['pending', 'pending_payment', 'confirmed', 'ticketed'];
+// Upper bound on bookings scanned by the admin report
+const DUPLICATE_REPORT_MAX_BOOKINGS = 5000;
+
+const normalizeName = (value) => (value || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+class DuplicateBookingService {
+  constructor() {
+    // Lock key -> tail of the bookings being created for it in this process
+    this.inFlight = new Map();
+  }
+
+  // Flights and their departure times (to the minute), e.g. "BA75@2026-10-19T10:30|BA76@..."
+  getFlightSignature(flightOffer) {
+    return getItineraries(flightOffer)
+      .flatMap(itinerary => itinerary.segments)
+      .map(segment => `${segment.flightNumber || `${segment.from}-${segment.to}`}@${(segment.departureAt || '').slice(0, 16)}`)
+      .join('|');
+  }
+
+  // Passenger names in any order; accepts request passengers and passengers rows
+  getPassengerSignature(passengers = []) {
+    return passengers
+      .map(passenger => `${normalizeName(passenger.firstName || passenger.first_name)} ${normalizeName(passenger.lastName || passenger.last_name)}`)
+      .sort()
+      .join(',');
+  }
+
+  // Only serializes requests handled by this process; the duplicate check covers the rest
+  getLockKey(userId, flightOffer, passengers) {
+    return `${userId}#${this.getFlightSignature(flightOffer)}#${this.getPassengerSignature(Array.isArray(passengers) ? passengers : [])}`;
+  }
+
+  // Runs task after any earlier task with the same key has settled
+  async runExclusive(key, task) {
+    const previous = this.inFlight.get(key) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    this.inFlight.set(key, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.inFlight.get(key) === tail) {
+        this.inFlight.delete(key);
+      }
+    }
+  }
+
+  isSameBooking(booking, flightSignature, passengerSignature) {
+    return this.getFlightSignature(booking.flight_offer) === flightSignature &&
+      this.getPassengerSignature(booking.passengers || []) === passengerSignature;
+  }
+
+  // The user's most recent live booking for the same flights and passengers within the window
+  async findDuplicate(userId, flightOffer, passengers, at = new Date()) {
+    const flightSignature = this.getFlightSignature(flightOffer);
+    if (!flightSignature) return null;
+
+    const since = new Date(at.getTime() - DUPLICATE_BOOKING_WINDOW_MINUTES * 60 * 1000).toISOString();
+
+    const { data: candidates, error } = await supabase
+      .from('bookings')
+      .select(`
+        *,
+        passengers(first_name, last_name)
+      `)
+      .eq('user_id', userId)
+      .in('status', ACTIVE_STATUSES)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false });
+
+    // Never block a booking because the check itself failed
+    if (error) {
+      console.warn('Duplicate booking check failed:', error.message);
+      return null;
+    }
+
+    const passengerSignature = this.getPassengerSignature(passengers);
+    return (candidates || []).find(booking => this.isSameBooking(booking, flightSignature, passengerSignature)) || null;
+  }
+
+  // Groups bookings (oldest first) into runs of the same user, flights and passengers made
+  // within the window of each other; only runs of two or more are returned
+  groupDuplicates(bookings, windowMinutes = DUPLICATE_BOOKING_WINDOW_MINUTES) {
+    const windowMs = windowMinutes * 60 * 1000;
+    const runs = new Map();
+    const groups = [];
+
+    for (const booking of bookings) {
+      const flightSignature = this.getFlightSignature(booking.flight_offer);
+      if (!flightSignature) continue;
+
+      const key = `${booking.user_id}#${flightSignature}#${this.getPassengerSignature(booking.passengers || [])}`;
+      const run = runs.get(key);
+      const createdAt = Date.parse(booking.created_at);
+
+      if (run && createdAt - run.lastCreatedAt <= windowMs) {
+        run.bookings.push(booking);
+        run.lastCreatedAt = createdAt;
+      } else {
+        const next = { key, flightSignature, bookings: [booking], lastCreatedAt: createdAt };
+        runs.set(key, next);
+        groups.push(next);
+      }
+    }
+
+    return groups.filter(group => group.bookings.length > 1);
+  }
+
+  async getDuplicateReport(startDate, endDate) {
+    const { data: bookings, error } = await supabase
+      .from('bookings')
+      .select(`
+        id,
+        booking_reference,
+        user_id,
+        partner_id,
+        status,
+        total_amount,
+        flight_offer,
+        created_at,
+        passengers(first_name, last_name),
+        users(email, first_name, last_name)
+      `)
+      .gte('created_at', startDate)
+      .lte('created_at', endDate)
+      .order('created_at', { ascending: true })
+      .limit(DUPLICATE_REPORT_MAX_BOOKINGS);
+
+    if (error) throw error;
+
+    const groups = this.groupDuplicates(bookings || []).map(group => {
+      const [first] = group.bookings;
+      const paid = group.bookings.filter(booking => PAID_STATUSES.includes(booking.status));
+
+      return {
+        userId: first.user_id,
+        user: first.users || null,
+        flights: group.flightSignature,
+        passengers: (first.passengers || []).map(passenger => `${passenger.first_name} ${passenger.last_name}`),
+        count: group.bookings.length,
+        paidCount: paid.length,
+        firstCreatedAt: first.created_at,
+        lastCreatedAt: group.bookings[group.bookings.length - 1].created_at,
+        bookings: group.bookings.map(booking => ({
+          id: booking.id,
+          booking_reference: booking.booking_reference,
+          partner_id: booking.partner_id,
+          status: booking.status,
+          total_amount: booking.total_amount,
+          created_at: booking.created_at
+        }))
+      };
+    });
+
+    return {
+      reportType: 'duplicate-bookings',
+      period: { startDate, endDate },
+      windowMinutes: DUPLICATE_BOOKING_WINDOW_MINUTES,
+      data: groups,
+      summary: {
+        scannedBookings: (bookings || []).length,
+        duplicateGroups: groups.length,
+        extraBookings: groups.reduce((sum, group) => sum + group.count - 1, 0),
+        // Groups where the customer paid more than once
+        multiplePaidGroups: groups.filter(group => group.paidCount > 1).length,
+        truncated: (bookings || []).length === DUPLICATE_REPORT_MAX_BOOKINGS
+      }
+    };
+  }
+}
+
+const duplicateBookingService = new DuplicateBookingService();
+
+module.exports = duplicateBookingService;
@@ -1,16 +1,155 @@
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const LRUCache = require('../utils/lruCache');
+const AirlineService = require('./airlineService');
+const { distanceKm } = require('../utils/geo');
+const { createSeededRandom } = require('../utils/seededRandom');
+const { estimateOfferEmissions } = require('../utils/emissions');
+const { addConnectionAnalysis } = require('../utils/connections');
+const { zonedTimeToUtc, formatLocalDateTime, localDateTimeToUtc, getDayOffset } = require('../utils/timeZone');
+const {
+  AIRPORTS: MOCK_AIRPORT_FIXTURES,
+  AIRLINES: MOCK_AIRLINES,
+  AIRCRAFT_BY_RANGE: MOCK_AIRCRAFT_BY_RANGE,
+  METRO_AREAS
+} = require('../utils/mockFlightFixtures');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// Price observations older than this are not trusted for the price calendar
+const CALENDAR_OBSERVATION_MAX_AGE_HOURS = 24;
+// Number of days fetched from the supplier in parallel when filling the calendar
+const CALENDAR_SUPPLIER_CONCURRENCY = 3;
+// Flexible-date searches cover this many days either side of the requested dates
+const FLEXIBLE_DATE_WINDOW = 3;
+// Searches (and every offer in them) can be looked up and booked for this long
+const SEARCH_CACHE_TTL_MINUTES = 30;
+// Searches kept in process memory in front of flight_search_cache
+const SEARCH_CACHE_MAX_ENTRIES = 200;
+// Price history looks back this many days unless asked otherwise
+const PRICE_HISTORY_DEFAULT_DAYS = 90;
+// Trend direction compares the last week of daily lows with the week before
+const PRICE_TREND_WINDOW_DAYS = 7;
+// Changes within this percentage count as stable
+const PRICE_TREND_STABLE_PERCENT = 5;
+const PRICE_HISTORY_BOOKING_WINDOWS = [
+  { label: '0-7 days', min: 0, max: 7 },
+  { label: '8-21 days', min: 8, max: 21 },
+  { label: '22-60 days', min: 22, max: 60 },
+  { label: '61+ days', min: 61, max: Infinity }
+];
+// Separates the search id, flexible date key and supplier id in an offer id
+const OFFER_ID_SEPARATOR = '~';
+
+// JSON with sorted object keys, so equal search params always give the same key
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const shiftDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateKey(date);
+};
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Linear-interpolated percentile (0-1) of a list of numbers
+const percentile = (values, fraction) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Runs an async task over items with at most `size` supplier calls in flight
+const runInBatches = async (items, size, task) => {
+  const results = [];
+  for (let i = 0; i < items.length; i += size) {
+    const batch = items.slice(i, i + size);
+    results.push(...await Promise.all(batch.map(task)));
+  }
+  return results;
+};
+
+// Fallback fare rules keyed by booking class (first letter of the fare basis),
+// used when the supplier cannot price the offer and no fare_rules row exists.
+// Penalties are expressed in the offer currency.
+const FARE_CLASS_RULES = {
+  F: { fareFamily: 'FIRST FLEX', refundable: true, changePenalty: 0, cancellationPenalty: 0, noShowPenalty: 200 },
+  A: { fareFamily: 'FIRST', refundable: true, changePenalty: 100, cancellationPenalty: 200, noShowPenalty: 300 },
+  J: { fareFamily: 'BUSINESS FLEX', refundable: true, changePenalty: 0, cancellationPenalty: 0, noShowPenalty: 150 },
+  C: { fareFamily: 'BUSINESS', refundable: true, changePenalty: 75, cancellationPenalty: 150, noShowPenalty: 250 },
+  D: { fareFamily: 'BUSINESS SAVER', refundable: false, changePenalty: 150, cancellationPenalty: null, noShowPenalty: null },
+  W: { fareFamily: 'PREMIUM FLEX', refundable: true, changePenalty: 50, cancellationPenalty: 100, noShowPenalty: 150 },
+  P: { fareFamily: 'PREMIUM', refundable: false, changePenalty: 100, cancellationPenalty: null, noShowPenalty: null },
+  Y: { fareFamily: 'ECONOMY FLEX', refundable: true, changePenalty: 0, cancellationPenalty: 50, noShowPenalty: 100 },
+  B: { fareFamily: 'ECONOMY FLEX', refundable: true, changePenalty: 0, cancellationPenalty: 50, noShowPenalty: 100 },
+  M: { fareFamily: 'ECONOMY STANDARD', refundable: true, changePenalty: 75, cancellationPenalty: 150, noShowPenalty: 200 },
+  H: { fareFamily: 'ECONOMY STANDARD', refundable: true, changePenalty: 75, cancellationPenalty: 150, noShowPenalty: 200 },
+  K: { fareFamily: 'ECONOMY STANDARD', refundable: true, changePenalty: 75, cancellationPenalty: 150, noShowPenalty: 200 },
+  L: { fareFamily: 'ECONOMY SAVER', refundable: false, changePenalty: 100, cancellationPenalty: null, noShowPenalty: null },
+  Q: { fareFamily: 'ECONOMY SAVER', refundable: false, changePenalty: 100, cancellationPenalty: null, noShowPenalty: null },
+  V: { fareFamily: 'ECONOMY LIGHT', refundable: false, changePenalty: null, cancellationPenalty: null, noShowPenalty: null }
+};
+
+// Mock fares for children and infants as a share of the adult fare
+const MOCK_TRAVELER_FARE_RATIOS = {
+  ADULT: 1,
+  CHILD: 0.75,
+  HELD_INFANT: 0.1
+};
+
+// Booking classes handed out by the mock supplier, cheapest first
+const MOCK_BOOKING_CLASSES = {
+  economy: ['V', 'Q', 'M', 'Y'],
+  premium_economy: ['P', 'W'],
+  business: ['D', 'C', 'J'],
+  first: ['A', 'F']
+};
+
+const MOCK_AIRPORTS = new Map(MOCK_AIRPORT_FIXTURES.map(airport => [airport.code, airport]));
+// Mock fares in USD: a fixed part plus a rate per great-circle kilometre, scaled by cabin
+const MOCK_BASE_FARE = 60;
+const MOCK_FARE_PER_KM = 0.075;
+const MOCK_CABIN_FARE_MULTIPLIERS = {
+  economy: 1,
+  premium_economy: 1.7,
+  business: 3.4,
+  first: 5.5
+};
+// Hubs closer than this to either end are not worth a connection
+const MOCK_MIN_SECTOR_KM = 200;
+const MOCK_MAX_OFFERS = 12;
+
 class FlightSearchService {
   constructor() {
     this.amadeusBaseUrl = 'https://test.api.amadeus.com';
     this.tokenCache = null;
     this.tokenExpiry = null;
+    this.searchCache = new LRUCache({
+      maxEntries: SEARCH_CACHE_MAX_ENTRIES,
+      ttlMs: SEARCH_CACHE_TTL_MINUTES * 60 * 1000
+    });
+    // Supplier calls in progress, keyed by search params
+    this.pendingSearches = new Map();
+    this.airportCache = new LRUCache({ maxEntries: 500, ttlMs: 24 * 60 * 60 * 1000 });
   }
 
   async getAmadeusToken() {
@@ -44,22 +183,22 @@ class FlightSearchService {
     }
   }
 
+  // Extract airport codes from the format "City (CODE)"
+  extractAirportCode(location) {
+    if (!location) return '';
+    const match = location.match(/\(([A-Z]{3})\)/);
+    return match ? match[1] : location.trim().toUpperCase();
+  }
+
   buildAmadeusSearchParams(searchParams) {
     const params = {};
 
-    // Extract airport codes from the format "City (CODE)"
-    const extractAirportCode = (location) => {
-      if (!location) return '';
-      const match = location.match(/\(([A-Z]{3})\)/);
-      return match ? match[1] : location.toUpperCase();
-    };
-
     // Handle both frontend parameter names (origin/destination) and backend names (from/to)
     const fromLocation = searchParams.from || searchParams.origin;
     const toLocation = searchParams.to || searchParams.destination;
     
-    params.originLocationCode = extractAirportCode(fromLocation);
-    params.destinationLocationCode = extractAirportCode(toLocation);
+    params.originLocationCode = this.extractAirportCode(fromLocation);
+    params.destinationLocationCode = this.extractAirportCode(toLocation);
     
     // Handle both departureDate and departDate
     const departureDate = searchParams.departureDate || searchParams.departDate;
@@ -71,8 +210,8 @@ class FlightSearchService {
     }
 
     // Handle return date
-    const returnDate = searchParams.returnDate || searchParams.returnDate;
-    if (returnDate && searchParams.tripType === 'round-trip') {
+    const returnDate = searchParams.returnDate;
+    if (returnDate && ['round-trip', 'roundtrip'].includes(searchParams.tripType)) {
       const retDate = new Date(returnDate);
       if (!isNaN(retDate.getTime())) {
         params.returnDate = retDate.toISOString().split('T')[0];
@@ -110,37 +249,86 @@ class FlightSearchService {
     return params;
   }
 
-  transformAmadeusResponse(amadeusData, searchParams) {
+  // Multi-city searches use the POST flight-offers form with one originDestination per leg
+  buildAmadeusMultiCityBody(searchParams) {
+    const params = this.buildAmadeusSearchParams(searchParams);
+    const legs = searchParams.legs || [];
+
+    const originDestinations = legs.map((leg, index) => ({
+      id: String(index + 1),
+      originLocationCode: this.extractAirportCode(leg.from || leg.origin),
+      destinationLocationCode: this.extractAirportCode(leg.to || leg.destination),
+      departureDateTimeRange: {
+        date: toDateKey(leg.departureDate)
+      }
+    }));
+
+    const travelers = [];
+    const addTravelers = (count, travelerType, extra = () => ({})) => {
+      for (let i = 0; i < count; i++) {
+        travelers.push({ id: String(travelers.length + 1), travelerType, ...extra(i) });
+      }
+    };
+    addTravelers(params.adults, 'ADULT');
+    addTravelers(params.children || 0, 'CHILD');
+    // Each infant sits on an adult's lap
+    addTravelers(params.infants || 0, 'HELD_INFANT', (i) => ({ associatedAdultId: String(i + 1) }));
+
+    const flightFilters = {
+      cabinRestrictions: [{
+        cabin: params.travelClass,
+        coverage: 'MOST_SEGMENTS',
+        originDestinationIds: originDestinations.map(od => od.id)
+      }]
+    };
+
+    if (params.nonStop) {
+      flightFilters.connectionRestriction = { maxNumberOfConnections: 0 };
+    }
+
+    const body = {
+      originDestinations,
+      travelers,
+      sources: ['GDS'],
+      searchCriteria: {
+        maxFlightOffers: params.max,
+        flightFilters
+      }
+    };
+
+    console.log('Built Amadeus multi-city body:', JSON.stringify(body));
+    return body;
+  }
+
+  async transformAmadeusResponse(amadeusData, searchParams) {
     if (!amadeusData || !amadeusData.data) {
       return [];
     }
 
-    return amadeusData.data.map((offer, index) => {
-      const itinerary = offer.itineraries[0];
-      const segment = itinerary.segments[0];
-      const lastSegment = itinerary.segments[itinerary.segments.length - 1];
-      
-      // Calculate total duration
-      const totalDuration = this.parseDuration(itinerary.duration);
+    // Amadeus reports local times without an offset; the airport time zones make them comparable
+    const airportCodes = new Set();
+    amadeusData.data.forEach(offer => offer.itineraries.forEach(itinerary => itinerary.segments.forEach(seg => {
+      airportCodes.add(seg.departure.iataCode);
+      airportCodes.add(seg.arrival.iataCode);
+    })));
+    const airports = await this.getAirports([...airportCodes]);
+
+    const offers = amadeusData.data.map((offer, index) => {
+      const itineraries = offer.itineraries.map(it => this.transformAmadeusItinerary(it, airports));
+      const [outbound] = itineraries;
+      const segment = offer.itineraries[0].segments[0];
       
       return {
         id: offer.id || `flight_${index}`,
         airline: segment.carrierCode,
         flightNumber: `${segment.carrierCode}${segment.number}`,
-        departure: {
-          time: this.formatTime(segment.departure.at),
-          airport: segment.departure.iataCode,
-          terminal: segment.departure.terminal || ''
-        },
-        arrival: {
-          time: this.formatTime(lastSegment.arrival.at),
-          airport: lastSegment.arrival.iataCode,
-          terminal: lastSegment.arrival.terminal || ''
-        },
-        duration: totalDuration,
-        stops: itinerary.segments.length - 1,
+        departure: outbound.departure,
+        arrival: outbound.arrival,
+        duration: outbound.duration,
+        stops: outbound.stops,
         price: parseFloat(offer.price.total),
         currency: offer.price.currency,
+        priceBreakdown: this.buildAmadeusPriceBreakdown(offer),
         cabinClass: offer.travelerPricings[0]?.fareDetailsBySegment[0]?.cabin || 'ECONOMY',
         baggage: {
           cabin: '1 carry-on bag',
@@ -148,24 +336,153 @@ class FlightSearchService {
         },
         amenities: this.getAmenities(offer),
         bookingClass: offer.travelerPricings[0]?.fareDetailsBySegment[0]?.class || 'Y',
-        segments: itinerary.segments.map(seg => ({
-          departure: {
-            airport: seg.departure.iataCode,
-            time: this.formatTime(seg.departure.at),
-            terminal: seg.departure.terminal
-          },
-          arrival: {
-            airport: seg.arrival.iataCode,
-            time: this.formatTime(seg.arrival.at),
-            terminal: seg.arrival.terminal
-          },
-          airline: seg.carrierCode,
-          flightNumber: `${seg.carrierCode}${seg.number}`,
-          aircraft: seg.aircraft?.code || 'Unknown',
-          duration: this.parseDuration(seg.duration)
-        }))
+        fareBasis: offer.travelerPricings[0]?.fareDetailsBySegment[0]?.fareBasis || null,
+        lastTicketingDate: offer.lastTicketingDate || null,
+        source: 'amadeus',
+        // Raw offer is required by the Amadeus pricing endpoints
+        supplierOffer: offer,
+        segments: outbound.segments,
+        // One entry per direction (round trip) or per leg (multi-city)
+        itineraries
       };
     });
+
+    return this.enrichOffers(offers);
+  }
+
+  // Airline details, a per-passenger CO2 estimate and connection analysis on every offer
+  async enrichOffers(offers) {
+    const enriched = await AirlineService.enrichOffers(offers);
+    if (!Array.isArray(enriched) || enriched.length === 0) return enriched;
+
+    const airportCodes = new Set();
+    enriched.forEach(offer => (offer.itineraries || [{ segments: offer.segments || [] }]).forEach(itinerary => {
+      (itinerary.segments || []).forEach(segment => {
+        airportCodes.add(segment.departure?.airport);
+        airportCodes.add(segment.arrival?.airport);
+      });
+    }));
+    const airports = await this.getAirports([...airportCodes].filter(Boolean));
+
+    return enriched.map(offer => addConnectionAnalysis({ ...offer, emissions: estimateOfferEmissions(offer, airports) }));
+  }
+
+  transformAmadeusSegment(seg, airports) {
+    const departure = this.buildTimePoint(seg.departure.at, seg.departure.iataCode, seg.departure.terminal, airports);
+    const arrival = this.buildTimePoint(seg.arrival.at, seg.arrival.iataCode, seg.arrival.terminal, airports);
+
+    return {
+      departure,
+      arrival,
+      airline: seg.carrierCode,
+      // Differs from the marketing carrier on codeshares
+      operatingAirline: seg.operating?.carrierCode || seg.carrierCode,
+      flightNumber: `${seg.carrierCode}${seg.number}`,
+      aircraft: seg.aircraft?.code || 'Unknown',
+      aircraftCode: seg.aircraft?.code || null,
+      duration: this.getElapsedDuration(departure, arrival, this.parseDuration(seg.duration))
+    };
+  }
+
+  transformAmadeusItinerary(itinerary, airports) {
+    const segments = itinerary.segments.map(seg => this.transformAmadeusSegment(seg, airports));
+    return this.buildItinerary(segments, this.parseDuration(itinerary.duration));
+  }
+
+  // Departure or arrival in the airport's local time. dateTime is the local wall clock
+  // as suppliers report it; utcDateTime is the same instant, used for durations.
+  buildTimePoint(localDateTime, airportCode, terminal, airports) {
+    const timeZone = airports.get(airportCode)?.timezone || null;
+    const utc = timeZone ? localDateTimeToUtc(localDateTime, timeZone) : null;
+
+    return {
+      time: this.formatTime(localDateTime),
+      dateTime: localDateTime,
+      timeZone,
+      utcDateTime: utc ? utc.toISOString() : null,
+      airport: airportCode,
+      terminal: terminal || ''
+    };
+  }
+
+  // Elapsed time between two points; the supplier's figure is only used without time zones
+  getElapsedDuration(from, to, fallback = '0h 0m') {
+    if (!from.utcDateTime || !to.utcDateTime) return fallback;
+    return this.formatMinutes(Math.round((Date.parse(to.utcDateTime) - Date.parse(from.utcDateTime)) / 60000));
+  }
+
+  // Marks every point with its day offset from the itinerary's first departure, so a
+  // 23:40 departure landing at 06:15 shows the arrival as "+1"
+  buildItinerary(segments, fallbackDuration) {
+    const startDateTime = segments[0].departure.dateTime;
+    const withDayOffset = (point) => {
+      const dayOffset = getDayOffset(startDateTime, point.dateTime);
+      return { ...point, dayOffset, dayOffsetLabel: dayOffset ? `${dayOffset > 0 ? '+' : ''}${dayOffset}` : '' };
+    };
+
+    const markedSegments = segments.map(segment => ({
+      ...segment,
+      departure: withDayOffset(segment.departure),
+      arrival: withDayOffset(segment.arrival)
+    }));
+    const first = markedSegments[0];
+    const last = markedSegments[markedSegments.length - 1];
+
+    return {
+      departure: { ...first.departure },
+      arrival: { ...last.arrival },
+      duration: this.getElapsedDuration(first.departure, last.arrival, fallbackDuration),
+      stops: markedSegments.length - 1,
+      segments: markedSegments
+    };
+  }
+
+  // Groups travelerPricings by traveler type: one line per type with the per-traveler fare
+  buildAmadeusPriceBreakdown(offer) {
+    const breakdown = new Map();
+
+    (offer.travelerPricings || []).forEach(pricing => {
+      const travelerType = pricing.travelerType || 'ADULT';
+      const total = parseFloat(pricing.price?.total || 0);
+      const base = parseFloat(pricing.price?.base || 0);
+      const line = breakdown.get(travelerType) || {
+        travelerType,
+        count: 0,
+        perTraveler: { total, base, taxes: Math.round((total - base) * 100) / 100 },
+        total: 0
+      };
+
+      line.count += 1;
+      line.total = Math.round((line.total + total) * 100) / 100;
+      breakdown.set(travelerType, line);
+    });
+
+    return Array.from(breakdown.values());
+  }
+
+  buildMockPriceBreakdown(adultFare, passengers = {}) {
+    if (typeof passengers === 'number') {
+      passengers = { adults: passengers };
+    }
+
+    const counts = {
+      ADULT: passengers.adults || 1,
+      CHILD: passengers.children || 0,
+      HELD_INFANT: passengers.infants || 0
+    };
+
+    return Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([travelerType, count]) => {
+        const total = Math.round(adultFare * MOCK_TRAVELER_FARE_RATIOS[travelerType]);
+        const base = Math.round(total * 0.8);
+        return {
+          travelerType,
+          count,
+          perTraveler: { total, base, taxes: total - base },
+          total: total * count
+        };
+      });
   }
 
   parseDuration(isoDuration) {
@@ -180,21 +497,10 @@ class FlightSearchService {
     return `${hours}h ${minutes}m`;
   }
 
-  formatTime(isoString) {
-    if (!isoString) return '00:00';
-    
-    try {
-      const date = new Date(isoString);
-      if (isNaN(date.getTime())) return '00:00';
-      
-      return date.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: false
-      });
-    } catch (error) {
-      return '00:00';
-    }
+  // "HH:MM" straight from a local wall-clock ISO string; never converted through the server's zone
+  formatTime(localDateTime) {
+    const match = String(localDateTime || '').match(/T(\d{2}):(\d{2})/);
+    return match ? `${match[1]}:${match[2]}` : '00:00';
   }
 
   getAmenities(offer) {
@@ -224,148 +530,419 @@ class FlightSearchService {
     return amenities;
   }
 
-  getMockFlightData(searchParams) {
-    // Your existing mock data generation code...
+  // Airport coordinates and time zones: the airports table first, bundled fixtures otherwise
+  async getAirports(codes) {
+    const airports = new Map();
+    const missing = [];
+
+    codes.forEach(code => {
+      const cached = this.airportCache.get(code);
+      if (cached) {
+        airports.set(code, cached);
+      } else {
+        missing.push(code);
+      }
+    });
+
+    if (missing.length === 0) return airports;
+
+    let rows = [];
     try {
-      const now = new Date();
-      const departureDate = searchParams.departureDate || searchParams.departDate ? 
-        new Date(searchParams.departureDate || searchParams.departDate) : 
-        new Date(now.getTime() + 24 * 60 * 60 * 1000);
-      
-      const returnDate = searchParams.returnDate ? 
-        new Date(searchParams.returnDate) : 
-        new Date(departureDate.getTime() + 7 * 24 * 60 * 60 * 1000);
+      const { data, error } = await supabase
+        .from('airports')
+        .select('iata_code, name, city, country, latitude, longitude, timezone')
+        .in('iata_code', missing);
+
+      if (error) throw error;
+      rows = data || [];
+    } catch (error) {
+      console.warn('Failed to load airports, using fixtures:', error.message || error);
+    }
+
+    missing.forEach(code => {
+      const fixture = MOCK_AIRPORTS.get(code);
+      const row = rows.find(r => r.iata_code === code);
+      const hasCoordinates = row && row.latitude !== null && row.longitude !== null;
+
+      if (!hasCoordinates && !fixture) return;
+
+      const airport = hasCoordinates
+        ? {
+          code,
+          name: row.name,
+          city: row.city,
+          country: row.country,
+          latitude: parseFloat(row.latitude),
+          longitude: parseFloat(row.longitude),
+          timezone: row.timezone || fixture?.timezone || null,
+          terminals: fixture?.terminals || ['1']
+        }
+        : fixture;
+
+      this.airportCache.set(code, airport);
+      airports.set(code, airport);
+    });
+
+    return airports;
+  }
+
+  // Carriers that can fly the route: nonstop when the airline has a hub at either
+  // end, otherwise one stop over whichever of its hubs adds the least distance
+  planMockRoutings(origin, destination) {
+    const directDistance = distanceKm(origin, destination);
+    const maxDetour = directDistance < 1500 ? 1.6 : (directDistance < 4000 ? 1.4 : 1.3);
+    const routings = [];
+
+    MOCK_AIRLINES.forEach(airline => {
+      if (airline.hubs.includes(origin.code) || airline.hubs.includes(destination.code)) {
+        if (directDistance <= airline.maxRangeKm) {
+          routings.push({ airline, via: [], distanceKm: directDistance, detour: 1 });
+        }
+        return;
+      }
 
-      // Validate dates
-      if (isNaN(departureDate.getTime()) || isNaN(returnDate.getTime())) {
-        throw new Error('Invalid date provided');
+      const connection = airline.hubs
+        .map(code => MOCK_AIRPORTS.get(code))
+        .filter(Boolean)
+        .map(hub => {
+          const firstLeg = distanceKm(origin, hub);
+          const secondLeg = distanceKm(hub, destination);
+          return { hub, firstLeg, secondLeg, detour: (firstLeg + secondLeg) / directDistance };
+        })
+        .filter(({ firstLeg, secondLeg }) =>
+          firstLeg >= MOCK_MIN_SECTOR_KM && secondLeg >= MOCK_MIN_SECTOR_KM &&
+          firstLeg <= airline.maxRangeKm && secondLeg <= airline.maxRangeKm)
+        .sort((a, b) => a.detour - b.detour)[0];
+
+      if (connection && connection.detour <= maxDetour) {
+        routings.push({
+          airline,
+          via: [connection.hub],
+          distanceKm: connection.firstLeg + connection.secondLeg,
+          detour: connection.detour
+        });
       }
+    });
+
+    return routings.sort((a, b) => a.via.length - b.via.length || a.detour - b.detour);
+  }
+
+  // Same airline, route and departure slot always gives the same schedule,
+  // like a real timetable; only fares vary with the travel date
+  buildMockItinerary(routing, points, dateKey, slot) {
+    const { airline } = routing;
+    const schedule = createSeededRandom(`${airline.code}-${points.map(p => p.code).join('-')}-${slot}`);
+    const departureMinutes = (6 + Math.floor(schedule() * 16) + slot * 7) % 24 * 60 + Math.floor(schedule() * 12) * 5;
+
+    // Airports without a known zone are scheduled in UTC rather than the server's zone
+    points = points.map(point => ({ ...point, timezone: point.timezone || 'UTC' }));
+    const airports = new Map(points.map(point => [point.code, point]));
+    let departureAt = zonedTimeToUtc(dateKey, departureMinutes, points[0].timezone);
+    const segments = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const from = points[i];
+      const to = points[i + 1];
+      const sectorKm = distanceKm(from, to);
+      // Taxi, climb and descent plus ~800 km/h cruise, rounded like a timetable
+      const blockMinutes = Math.round((30 + sectorKm / 800 * 60) / 5) * 5;
+      const arrivalAt = new Date(departureAt.getTime() + blockMinutes * 60000);
+      const aircraftChoices = MOCK_AIRCRAFT_BY_RANGE.find(band => sectorKm <= band.maxDistanceKm).aircraft;
+      const aircraft = aircraftChoices[Math.floor(schedule() * aircraftChoices.length)];
+
+      segments.push({
+        departure: this.buildTimePoint(
+          formatLocalDateTime(departureAt, from.timezone), from.code, this.getMockTerminal(airline.code, from), airports
+        ),
+        arrival: this.buildTimePoint(
+          formatLocalDateTime(arrivalAt, to.timezone), to.code, this.getMockTerminal(airline.code, to), airports
+        ),
+        airline: airline.code,
+        operatingAirline: airline.code,
+        flightNumber: `${airline.code}${100 + Math.floor(schedule() * 900)}`,
+        aircraft: aircraft.name,
+        aircraftCode: aircraft.code,
+        duration: this.formatMinutes(blockMinutes)
+      });
+
+      // Minimum connection of an hour, up to three
+      departureAt = new Date(arrivalAt.getTime() + (60 + Math.floor(schedule() * 25) * 5) * 60000);
+    }
+
+    return this.buildItinerary(segments);
+  }
 
-      const airlines = [
-        { code: 'DL', name: 'Delta Airlines' },
-        { code: 'AA', name: 'American Airlines' },
-        { code: 'UA', name: 'United Airlines' },
-        { code: 'BA', name: 'British Airways' },
-        { code: 'LH', name: 'Lufthansa' },
-        { code: 'EK', name: 'Emirates' },
-        { code: 'QR', name: 'Qatar Airways' },
-        { code: 'AF', name: 'Air France' }
-      ];
-
-      const extractAirportCode = (location) => {
-        if (!location) return 'NYC';
-        const match = location.match(/\(([A-Z]{3})\)/);
-        return match ? match[1] : location.substring(0, 3).toUpperCase();
+  // An airline always uses the same terminal at an airport
+  getMockTerminal(airlineCode, airport) {
+    const terminals = airport.terminals || ['1'];
+    const index = createSeededRandom(`${airlineCode}-${airport.code}`)();
+    return terminals[Math.floor(index * terminals.length)];
+  }
+
+  formatMinutes(totalMinutes) {
+    return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+  }
+
+  // One-way fare for an itinerary before traveler-type ratios
+  getMockFare(routing, itineraryKm, cabin, bookingClassIndex, dateKey, random) {
+    const dayOfWeek = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    const weekendFactor = dayOfWeek === 5 || dayOfWeek === 0 ? 1.1 : 1;
+    const nonstopFactor = routing.via.length === 0 ? 1.12 : 1;
+    const noise = 0.9 + random() * 0.25;
+
+    return (MOCK_BASE_FARE + itineraryKm * MOCK_FARE_PER_KM) *
+      (MOCK_CABIN_FARE_MULTIPLIERS[cabin] || 1) *
+      (1 + bookingClassIndex * 0.2) *
+      weekendFactor * nonstopFactor * noise;
+  }
+
+  getMockBaggage(cabin, bookingClass) {
+    if (cabin === 'business' || cabin === 'first') {
+      return { cabin: '2 carry-on bags (7kg each)', checked: '2 checked bags (32kg each)' };
+    }
+    if (bookingClass === 'V') {
+      return { cabin: '1 carry-on bag (7kg)', checked: 'No checked bag' };
+    }
+    return { cabin: '1 carry-on bag (7kg)', checked: cabin === 'premium_economy' ? '2 checked bags (23kg each)' : '1 checked bag (23kg)' };
+  }
+
+  getMockAmenities(cabin, itineraryKm, stops) {
+    const amenities = [];
+    if (stops === 0) amenities.push('Direct flight');
+    amenities.push(itineraryKm > 2500 ? 'Meal service' : 'Snacks and drinks');
+    if (itineraryKm > 1500) amenities.push('In-flight entertainment');
+    if ((cabin === 'business' || cabin === 'first') && itineraryKm > 4500) amenities.push('Lie-flat seat');
+    if (cabin === 'business' || cabin === 'first') amenities.push('Lounge access');
+    return amenities;
+  }
+
+  // Deterministic mock supplier: the same query always returns the same offers.
+  // Carriers, hubs and aircraft come from the fixtures, durations from great-circle distance.
+  async getMockFlightData(searchParams) {
+    try {
+      const departureDate = searchParams.departureDate || searchParams.departDate
+        ? toDateKey(searchParams.departureDate || searchParams.departDate)
+        : toDateKey(new Date(Date.now() + 24 * 60 * 60 * 1000));
+      const isRoundTrip = ['roundtrip', 'round-trip'].includes(searchParams.tripType) && Boolean(searchParams.returnDate);
+      const returnDate = isRoundTrip ? toDateKey(searchParams.returnDate) : null;
+
+      // Metro codes (LON) are flown from their primary airport
+      const toAirportCode = (location) => {
+        const code = this.extractAirportCode(location);
+        return METRO_AREAS[code] ? METRO_AREAS[code].airports[0] : code;
       };
+      const fromCode = toAirportCode(searchParams.from || searchParams.origin);
+      const toCode = toAirportCode(searchParams.to || searchParams.destination);
+      const cabin = (searchParams.class || searchParams.cabinClass || 'economy').replace('-', '_');
 
-      const fromLocation = searchParams.from || searchParams.origin;
-      const toLocation = searchParams.to || searchParams.destination;
-      
-      const fromCode = extractAirportCode(fromLocation);
-      const toCode = extractAirportCode(toLocation);
-
-      const mockFlights = [];
-
-      // Generate multiple flight options
-      for (let i = 0; i < 8; i++) {
-        const airline = airlines[i % airlines.length];
-        const basePrice = 200 + (i * 50) + Math.floor(Math.random() * 200);
-        const departureHour = 6 + (i * 2);
-        const flightDuration = 180 + Math.floor(Math.random() * 300); // 3-8 hours in minutes
-        
-        const departureTime = new Date(departureDate);
-        departureTime.setHours(departureHour, Math.floor(Math.random() * 60));
-        
-        const arrivalTime = new Date(departureTime.getTime() + (flightDuration * 60 * 1000));
-        
-        const stops = i % 3 === 0 ? 0 : (i % 4 === 0 ? 2 : 1);
-        
-        const flight = {
-          id: `mock_flight_${i + 1}`,
-          airline: airline.code,
-          airlineName: airline.name,
-          flightNumber: `${airline.code}${100 + i}`,
-          departure: {
-            time: departureTime.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false }),
-            airport: fromCode,
-            terminal: String.fromCharCode(65 + (i % 4)) // A, B, C, D
-          },
-          arrival: {
-            time: arrivalTime.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false }),
-            airport: toCode,
-            terminal: String.fromCharCode(65 + ((i + 1) % 4))
-          },
-          duration: `${Math.floor(flightDuration / 60)}h ${flightDuration % 60}m`,
-          stops: stops,
-          price: basePrice,
-          currency: 'USD',
-          cabinClass: (searchParams.class || searchParams.cabinClass || 'economy').toUpperCase(),
-          baggage: {
-            cabin: '1 carry-on bag (10kg)',
-            checked: stops === 0 ? '1 checked bag (23kg)' : '2 checked bags (23kg each)'
-          },
-          amenities: stops === 0 ? 
-            ['Direct flight', 'In-flight entertainment', 'Meal service'] :
-            ['In-flight entertainment', 'Meal service', 'Wi-Fi available'],
-          bookingClass: 'Y',
-          segments: [{
-            departure: {
-              airport: fromCode,
-              time: departureTime.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false }),
-              terminal: String.fromCharCode(65 + (i % 4))
-            },
-            arrival: {
-              airport: toCode,
-              time: arrivalTime.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false }),
-              terminal: String.fromCharCode(65 + ((i + 1) % 4))
-            },
-            airline: airline.code,
-            flightNumber: `${airline.code}${100 + i}`,
-            aircraft: ['Boeing 737', 'Airbus A320', 'Boeing 777', 'Airbus A350'][i % 4],
-            duration: `${Math.floor(flightDuration / 60)}h ${flightDuration % 60}m`
-          }]
-        };
+      const airports = await this.getAirports([fromCode, toCode]);
+      const origin = airports.get(fromCode);
+      const destination = airports.get(toCode);
 
-        mockFlights.push(flight);
+      if (!origin || !destination || fromCode === toCode) {
+        console.log(`Mock supplier has no route for ${fromCode}-${toCode}`);
+        return [];
       }
 
-      // Sort by price
-      return mockFlights.sort((a, b) => a.price - b.price);
+      let routings = this.planMockRoutings(origin, destination);
+      if (searchParams.directFlights) {
+        routings = routings.filter(routing => routing.via.length === 0);
+      }
+
+      const random = createSeededRandom(`${fromCode}-${toCode}-${departureDate}-${returnDate || ''}-${cabin}`);
+      const bookingClasses = MOCK_BOOKING_CLASSES[cabin] || MOCK_BOOKING_CLASSES.economy;
+      const cabinClass = cabin.toUpperCase();
+
+      const offers = [];
+      routings.forEach(routing => {
+        // Short nonstop routes get a second daily frequency
+        const slots = routing.via.length === 0 && routing.distanceKm < 2500 ? 2 : 1;
+
+        for (let slot = 0; slot < slots; slot++) {
+          const outboundPoints = [origin, ...routing.via, destination];
+          const outbound = this.buildMockItinerary(routing, outboundPoints, departureDate, slot);
+          const inbound = isRoundTrip
+            ? this.buildMockItinerary(routing, [...outboundPoints].reverse(), returnDate, slot)
+            : null;
+
+          const bookingClassIndex = Math.floor(random() * bookingClasses.length);
+          const bookingClass = bookingClasses[bookingClassIndex];
+
+          let fare = this.getMockFare(routing, routing.distanceKm, cabin, bookingClassIndex, departureDate, random);
+          if (inbound) {
+            // Return fares are priced below two one-ways
+            fare = (fare + this.getMockFare(routing, routing.distanceKm, cabin, bookingClassIndex, returnDate, random)) * 0.9;
+          }
+
+          const priceBreakdown = this.buildMockPriceBreakdown(Math.round(fare), searchParams.passengers);
+          const itineraries = inbound ? [outbound, inbound] : [outbound];
+          const flightNumbers = itineraries.flatMap(itinerary => itinerary.segments.map(segment => segment.flightNumber));
+
+          offers.push({
+            id: `mock_${flightNumbers.join('_')}`,
+            airline: routing.airline.code,
+            flightNumber: outbound.segments[0].flightNumber,
+            departure: outbound.departure,
+            arrival: outbound.arrival,
+            duration: outbound.duration,
+            stops: outbound.stops,
+            price: priceBreakdown.reduce((total, line) => total + line.total, 0),
+            currency: 'USD',
+            priceBreakdown,
+            cabinClass,
+            baggage: this.getMockBaggage(cabin, bookingClass),
+            amenities: this.getMockAmenities(cabin, routing.distanceKm, outbound.stops),
+            bookingClass,
+            fareBasis: `${bookingClass}${outbound.stops === 0 ? 'NS' : 'CX'}${fromCode.charAt(0)}${toCode.charAt(0)}`,
+            source: 'mock',
+            segments: outbound.segments,
+            itineraries
+          });
+        }
+      });
+
+      return this.enrichOffers(offers
+        .sort((a, b) => a.price - b.price || a.id.localeCompare(b.id))
+        .slice(0, MOCK_MAX_OFFERS));
 
     } catch (error) {
       console.error('Mock flight data generation error:', error);
-      
-      // Return minimal fallback data
-      return [{
-        id: 'fallback_flight_1',
-        airline: 'DL',
-        airlineName: 'Delta Airlines',
-        flightNumber: 'DL123',
-        departure: { time: '08:00', airport: 'JFK', terminal: 'A' },
-        arrival: { time: '14:00', airport: 'LAX', terminal: 'B' },
-        duration: '6h 0m',
-        stops: 0,
-        price: 350,
-        currency: 'USD',
-        cabinClass: 'ECONOMY',
-        baggage: { cabin: '1 carry-on bag', checked: '1 checked bag' },
-        amenities: ['In-flight entertainment'],
-        bookingClass: 'Y',
-        segments: [{
-          departure: { airport: 'JFK', time: '08:00', terminal: 'A' },
-          arrival: { airport: 'LAX', time: '14:00', terminal: 'B' },
-          airline: 'DL',
-          flightNumber: 'DL123',
-          aircraft: 'Boeing 737',
-          duration: '6h 0m'
-        }]
-      }];
+      return [];
     }
   }
 
+  // Combines the per-leg mock results into one itinerary per leg
+  async getMockMultiCityData(searchParams) {
+    const legResults = await Promise.all(searchParams.legs.map(leg => this.getMockFlightData({
+      ...searchParams,
+      tripType: 'oneway',
+      from: leg.from || leg.origin,
+      to: leg.to || leg.destination,
+      departureDate: leg.departureDate,
+      legs: undefined
+    })));
+
+    const offerCount = Math.min(...legResults.map(results => results.length));
+    const offers = [];
+
+    for (let i = 0; i < offerCount; i++) {
+      const legFlights = legResults.map(results => results[i]);
+      const first = legFlights[0];
+      const last = legFlights[legFlights.length - 1];
+
+      offers.push({
+        ...first,
+        id: `mock_multicity_${i + 1}`,
+        flightNumber: legFlights.map(flight => flight.flightNumber).join('/'),
+        arrival: last.arrival,
+        stops: legFlights.reduce((total, flight) => total + flight.stops, 0),
+        price: legFlights.reduce((total, flight) => total + flight.price, 0),
+        priceBreakdown: first.priceBreakdown.map(line => {
+          const legLines = legFlights.map(flight => flight.priceBreakdown.find(l => l.travelerType === line.travelerType));
+          const perTraveler = legLines.reduce((sum, l) => ({
+            total: sum.total + l.perTraveler.total,
+            base: sum.base + l.perTraveler.base,
+            taxes: sum.taxes + l.perTraveler.taxes
+          }), { total: 0, base: 0, taxes: 0 });
+          return { ...line, perTraveler, total: perTraveler.total * line.count };
+        }),
+        segments: legFlights.flatMap(flight => flight.segments),
+        itineraries: legFlights.map(flight => flight.itineraries[0])
+      });
+    }
+
+    // Re-estimated so emissions cover every leg, not just the first
+    return this.enrichOffers(offers.sort((a, b) => a.price - b.price));
+  }
+
+  async searchMultiCity(searchParams) {
+    if (!process.env.AMADEUS_API_KEY || !process.env.AMADEUS_API_SECRET ||
+        process.env.AMADEUS_API_KEY.trim() === '' || process.env.AMADEUS_API_SECRET.trim() === '') {
+      console.log('Amadeus API credentials not available, using mock multi-city data...');
+      return this.getMockMultiCityData(searchParams);
+    }
+
+    try {
+      const token = await this.getAmadeusToken();
+      const body = this.buildAmadeusMultiCityBody(searchParams);
+
+      const response = await axios.post(`${this.amadeusBaseUrl}/v2/shopping/flight-offers`, body, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          'X-HTTP-Method-Override': 'GET'
+        },
+        timeout: 30000
+      });
+
+      const transformedResults = await this.transformAmadeusResponse(response.data, searchParams);
+
+      if (!transformedResults || transformedResults.length === 0) {
+        console.log('No multi-city results from Amadeus API, using mock data...');
+        return this.getMockMultiCityData(searchParams);
+      }
+
+      return transformedResults;
+    } catch (error) {
+      console.error('Multi-city search error:', error.response?.data || error.message);
+      console.log('Falling back to mock multi-city data due to error...');
+      return this.getMockMultiCityData(searchParams);
+    }
+  }
+
+  // Identical searches that arrive while one is already in progress share its supplier call
   async searchFlights(searchParams) {
+    const searchKey = this.getSearchKey(searchParams);
+
+    if (this.pendingSearches.has(searchKey)) {
+      console.log('Joining in-progress flight search:', searchKey);
+      return this.pendingSearches.get(searchKey);
+    }
+
+    const search = this.searchSupplier(searchParams)
+      .then(offers => {
+        // Not awaited: a slow insert shouldn't hold up the search
+        this.recordSearchObservation(searchParams, offers);
+        return offers;
+      })
+      .finally(() => {
+        this.pendingSearches.delete(searchKey);
+      });
+
+    this.pendingSearches.set(searchKey, search);
+    return search;
+  }
+
+  getSearchKey(searchParams) {
+    const { tripType, from, to, departureDate, returnDate, passengers, legs, directFlights } = searchParams;
+
+    return stableStringify({
+      tripType,
+      from: from ? this.extractAirportCode(from) : null,
+      to: to ? this.extractAirportCode(to) : null,
+      departureDate: departureDate ? toDateKey(departureDate) : null,
+      returnDate: returnDate ? toDateKey(returnDate) : null,
+      passengers,
+      cabin: searchParams.class || 'economy',
+      directFlights: Boolean(directFlights),
+      // Leg dates arrive as Date objects, which would all serialize as {}
+      legs: legs
+        ? legs.map(leg => ({
+          from: this.extractAirportCode(leg.from || leg.origin),
+          to: this.extractAirportCode(leg.to || leg.destination),
+          departureDate: leg.departureDate ? toDateKey(leg.departureDate) : null
+        }))
+        : null
+    });
+  }
+
+  async searchSupplier(searchParams) {
     try {
       console.log('Starting flight search with params:', searchParams);
+
+      if (searchParams.tripType === 'multicity' && Array.isArray(searchParams.legs) && searchParams.legs.length > 0) {
+        return await this.searchMultiCity(searchParams);
+      }
       
       // Check if API credentials are available and not empty
       if (!process.env.AMADEUS_API_KEY || !process.env.AMADEUS_API_SECRET || 
@@ -399,7 +976,7 @@ class FlightSearchService {
       console.log('Amadeus API response received:', response.data);
 
       // Transform Amadeus response to our format
-      const transformedResults = this.transformAmadeusResponse(response.data, searchParams);
+      const transformedResults = await this.transformAmadeusResponse(response.data, searchParams);
       
       // If no results from API, return mock data
       if (!transformedResults || transformedResults.length === 0) {
@@ -425,43 +1002,805 @@ class FlightSearchService {
     }
   }
 
-  async getFlightDetails(flightId) {
+  buildOfferId(searchId, supplierOfferId, dateKey = null) {
+    return [searchId, dateKey, supplierOfferId].filter(Boolean).join(OFFER_ID_SEPARATOR);
+  }
+
+  // Offer ids carry their search id, so any offer can be found without knowing the search
+  parseOfferId(offerId) {
+    const parts = String(offerId || '').split(OFFER_ID_SEPARATOR);
+    if (parts.length < 2) return null;
+
+    return {
+      searchId: parts[0],
+      dateKey: parts.length > 2 ? parts[1] : null,
+      supplierOfferId: parts[parts.length - 1]
+    };
+  }
+
+  assignOfferIds(searchId, offers, dateKey = null) {
+    return (offers || []).map(offer => ({
+      ...offer,
+      id: this.buildOfferId(searchId, offer.id, dateKey),
+      supplierOfferId: offer.id,
+      searchId
+    }));
+  }
+
+  // Stores a search with stable ids on every offer. The offers expire with the search.
+  async cacheSearch(searchParams, results, flexibleResults = null) {
+    const searchId = `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const expiresAt = new Date(Date.now() + SEARCH_CACHE_TTL_MINUTES * 60 * 1000).toISOString();
+
+    const cachedSearch = {
+      search_id: searchId,
+      search_params: searchParams,
+      results: this.assignOfferIds(searchId, results),
+      // Offer lists for every date in the flexible grid, keyed by date
+      flexible_results: flexibleResults
+        ? Object.fromEntries(Object.entries(flexibleResults)
+          .map(([dateKey, offers]) => [dateKey, this.assignOfferIds(searchId, offers, dateKey)]))
+        : null,
+      expires_at: expiresAt
+    };
+
+    this.searchCache.set(searchId, cachedSearch, expiresAt);
+
     try {
-      // First, try to get from cache
-      const { data: cachedFlight } = await supabase
-        .from('flight_search_cache')
-        .select('results')
-        .eq('search_id', flightId.split('_')[0] + '_' + flightId.split('_')[1]) // Extract search ID pattern
-        .single();
+      const { error } = await supabase.from('flight_search_cache').insert(cachedSearch);
+      if (error) throw error;
+    } catch (cacheError) {
+      // The in-process copy still serves this instance
+      console.warn('Failed to cache search results:', cacheError);
+    }
 
-      if (cachedFlight && cachedFlight.results) {
-        const flight = cachedFlight.results.find(f => f.id === flightId);
-        if (flight) return flight;
-      }
+    return cachedSearch;
+  }
 
-      // If not in cache and we have Amadeus API, try to fetch
-      if (process.env.AMADEUS_API_KEY && process.env.AMADEUS_API_KEY.trim() !== '') {
-        const token = await this.getAmadeusToken();
-        
-        const response = await axios.get(`${this.amadeusBaseUrl}/v2/shopping/flight-offers/${flightId}`, {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
+  // Loads a search from the in-process cache or flight_search_cache. Expired
+  // searches are only returned when asked for, e.g. to re-price a booking.
+  async loadSearch(searchId, { includeExpired = false } = {}) {
+    if (!searchId) return null;
 
-        if (response.data && response.data.data) {
-          return this.transformAmadeusResponse({ data: [response.data.data] })[0];
-        }
+    const memoryCopy = this.searchCache.get(searchId);
+    if (memoryCopy) return memoryCopy;
+
+    const { data: cachedSearch, error } = await supabase
+      .from('flight_search_cache')
+      .select('*')
+      .eq('search_id', searchId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!cachedSearch) return null;
+
+    if (new Date(cachedSearch.expires_at) > new Date()) {
+      this.searchCache.set(searchId, cachedSearch, cachedSearch.expires_at);
+      return cachedSearch;
+    }
+
+    return includeExpired ? cachedSearch : null;
+  }
+
+  // Returns the cache row for a search, or null when it is missing or expired
+  async getCachedSearch(searchId) {
+    return this.loadSearch(searchId);
+  }
+
+  findOfferInSearch(cachedSearch, offerId) {
+    const offer = (cachedSearch.results || []).find(f => f.id === offerId);
+    if (offer) return { offer, dateKey: null };
+
+    for (const [dateKey, offers] of Object.entries(cachedSearch.flexible_results || {})) {
+      const flexibleOffer = (offers || []).find(f => f.id === offerId);
+      if (flexibleOffer) return { offer: flexibleOffer, dateKey };
+    }
+
+    return null;
+  }
+
+  getFlexibleDateKey(departureDate, returnDate = null) {
+    return returnDate ? `${departureDate}_${returnDate}` : departureDate;
+  }
+
+  // Searches every departure (and return) date within FLEXIBLE_DATE_WINDOW days
+  // of the requested ones and builds a grid of the cheapest fare per combination
+  async searchFlexibleDates(searchParams) {
+    const isRoundTrip = ['roundtrip', 'round-trip'].includes(searchParams.tripType) && Boolean(searchParams.returnDate);
+    const requestedDeparture = toDateKey(searchParams.departureDate);
+    const requestedReturn = isRoundTrip ? toDateKey(searchParams.returnDate) : null;
+    const today = toDateKey(new Date());
+
+    const offsets = [];
+    for (let offset = -FLEXIBLE_DATE_WINDOW; offset <= FLEXIBLE_DATE_WINDOW; offset++) {
+      offsets.push(offset);
+    }
+
+    const departureDates = offsets
+      .map(offset => shiftDateKey(requestedDeparture, offset))
+      .filter(date => date >= today);
+    const returnDates = isRoundTrip
+      ? offsets.map(offset => shiftDateKey(requestedReturn, offset))
+      : [null];
+
+    const combinations = [];
+    departureDates.forEach(departureDate => {
+      returnDates
+        .filter(returnDate => returnDate === null || returnDate >= departureDate)
+        .forEach(returnDate => combinations.push({ departureDate, returnDate }));
+    });
+
+    const offersByDate = {};
+    const grid = await runInBatches(combinations, CALENDAR_SUPPLIER_CONCURRENCY, async ({ departureDate, returnDate }) => {
+      const key = this.getFlexibleDateKey(departureDate, returnDate);
+      let offers = [];
+
+      try {
+        offers = await this.searchFlights({
+          ...searchParams,
+          departureDate,
+          returnDate,
+          flexibleDates: false
+        });
+      } catch (error) {
+        console.warn(`Flexible date search failed for ${key}:`, error.message);
       }
 
-      // Return null if not found
-      return null;
+      offersByDate[key] = offers;
+      const cheapest = this.getCheapestFare(offers, departureDate, 'supplier');
 
+      return {
+        key,
+        departureDate,
+        returnDate,
+        price: cheapest?.price ?? null,
+        currency: cheapest?.currency ?? null,
+        stops: cheapest?.stops ?? null,
+        airline: cheapest?.airline ?? null,
+        offerCount: offers.length,
+        isRequested: departureDate === requestedDeparture && returnDate === requestedReturn
+      };
+    });
+
+    const best = grid
+      .filter(cell => cell.price !== null)
+      .reduce((cheapest, cell) => (!cheapest || cell.price < cheapest.price ? cell : cheapest), null);
+
+    grid.forEach(cell => {
+      cell.isBest = Boolean(best) && cell.key === best.key;
+    });
+
+    const requestedKey = this.getFlexibleDateKey(requestedDeparture, requestedReturn);
+
+    return {
+      window: FLEXIBLE_DATE_WINDOW,
+      requestedKey,
+      offers: offersByDate[requestedKey] || [],
+      grid,
+      best,
+      offersByDate
+    };
+  }
+
+  async getFlightDetails(offerId) {
+    try {
+      const parsed = this.parseOfferId(offerId);
+      if (!parsed) return null;
+
+      const cachedSearch = await this.getCachedSearch(parsed.searchId);
+      if (!cachedSearch) return null;
+
+      return this.findOfferInSearch(cachedSearch, offerId)?.offer || null;
     } catch (error) {
       console.error('Get flight details error:', error);
       return null;
     }
   }
+
+  // Resolves the offer a customer wants to book from our own cache, re-pricing it
+  // with the supplier when the search has expired. Never trust client prices.
+  async resolveBookableOffer(offerId) {
+    const parsed = this.parseOfferId(offerId);
+    if (!parsed) {
+      throw new Error('Flight offer not found. Please search again.');
+    }
+
+    let cachedSearch;
+    try {
+      cachedSearch = await this.loadSearch(parsed.searchId, { includeExpired: true });
+    } catch (error) {
+      throw new Error(`Failed to load flight search: ${error.message}`);
+    }
+
+    const found = cachedSearch && this.findOfferInSearch(cachedSearch, offerId);
+    if (!found) {
+      throw new Error('Flight offer not found. Please search again.');
+    }
+
+    const { offer, dateKey } = found;
+    const searchId = parsed.searchId;
+
+    if (new Date(cachedSearch.expires_at) > new Date()) {
+      return { offer, searchId, price: this.getOfferPrice(offer), currency: this.getOfferCurrency(offer), repriced: false };
+    }
+
+    const repricedOffer = await this.repriceOffer(offer, cachedSearch.search_params, dateKey);
+    if (!repricedOffer) {
+      throw new Error('This flight offer is no longer available. Please search again.');
+    }
+
+    return {
+      offer: repricedOffer,
+      searchId,
+      price: this.getOfferPrice(repricedOffer),
+      currency: this.getOfferCurrency(repricedOffer),
+      repriced: true
+    };
+  }
+
+  async repriceOffer(offer, searchParams, dateKey = null) {
+    if (offer.source === 'amadeus' && offer.supplierOffer) {
+      try {
+        const pricing = await this.getAmadeusDetailedPricing(offer.supplierOffer);
+        if (!pricing) return null;
+
+        const [repriced] = await this.transformAmadeusResponse({ data: [pricing.offer] }, searchParams);
+        return repriced ? { ...repriced, id: offer.id, supplierOfferId: offer.supplierOfferId, searchId: offer.searchId } : null;
+      } catch (error) {
+        console.error('Amadeus re-pricing failed:', error.response?.data || error.message);
+        return null;
+      }
+    }
+
+    // Mock offers are re-quoted by repeating the original search
+    const params = { ...searchParams, flexibleDates: false };
+    if (dateKey) {
+      const [departureDate, returnDate] = dateKey.split('_');
+      params.departureDate = departureDate;
+      params.returnDate = returnDate || null;
+    }
+
+    const offers = await this.searchFlights(params);
+    const repriced = offers.find(f => f.id === offer.supplierOfferId);
+    return repriced ? { ...repriced, id: offer.id, supplierOfferId: offer.supplierOfferId, searchId: offer.searchId } : null;
+  }
+
+  getOfferPrice(offer) {
+    return parseFloat(offer.price?.total ?? offer.price);
+  }
+
+  getOfferCurrency(offer) {
+    return offer.currency || offer.price?.currency || 'USD';
+  }
+
+  async getFareRules(offerId) {
+    const offer = await this.getFlightDetails(offerId);
+    if (!offer) return null;
+
+    // Prefer the supplier's own fare rules when we have the raw offer
+    if (offer.source === 'amadeus' && offer.supplierOffer) {
+      try {
+        const pricing = await this.getAmadeusDetailedPricing(offer.supplierOffer);
+        if (pricing) {
+          return this.transformAmadeusFareRules(offer, pricing);
+        }
+      } catch (error) {
+        console.warn('Amadeus fare rules lookup failed, using fare basis table:', error.response?.data || error.message);
+      }
+    }
+
+    return this.buildFareRulesFromTable(offer);
+  }
+
+  async getAmadeusDetailedPricing(supplierOffer) {
+    const token = await this.getAmadeusToken();
+
+    const response = await axios.post(
+      `${this.amadeusBaseUrl}/v1/shopping/flight-offers/pricing`,
+      {
+        data: {
+          type: 'flight-offers-pricing',
+          flightOffers: [supplierOffer]
+        }
+      },
+      {
+        params: { include: 'detailed-fare-rules,bags' },
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      }
+    );
+
+    const pricedOffer = response.data?.data?.flightOffers?.[0];
+    if (!pricedOffer) return null;
+
+    return {
+      offer: pricedOffer,
+      detailedRules: response.data.included?.['detailed-fare-rules'] || {},
+      bags: response.data.included?.bags || {}
+    };
+  }
+
+  transformAmadeusFareRules(offer, { offer: pricedOffer, detailedRules }) {
+    const currency = pricedOffer.price?.currency || offer.currency;
+    const rules = pricedOffer.fareRules?.rules || [];
+    const findRule = (category) => rules.find(rule => rule.category === category);
+
+    const toPenalty = (rule) => {
+      if (!rule || rule.notApplicable) return null;
+      return rule.maxPenaltyAmount !== undefined
+        ? { amount: parseFloat(rule.maxPenaltyAmount), currency }
+        : null;
+    };
+
+    const refundRule = findRule('REFUND');
+    const exchangeRule = findRule('EXCHANGE');
+    const firstFareDetails = pricedOffer.travelerPricings?.[0]?.fareDetailsBySegment?.[0] || {};
+
+    // Free-text penalty notes from the detailed fare rules, keyed by segment
+    const notes = Object.values(detailedRules)
+      .flatMap(rule => rule.fareNotes?.descriptions || [])
+      .map(description => ({ type: description.descriptionType, text: description.text }));
+
+    return {
+      offerId: offer.id,
+      source: 'amadeus',
+      fareBasis: firstFareDetails.fareBasis || offer.fareBasis,
+      fareFamily: firstFareDetails.brandedFare || null,
+      cabinClass: firstFareDetails.cabin || offer.cabinClass,
+      currency,
+      refundable: refundRule ? !refundRule.notApplicable : false,
+      cancellation: {
+        allowed: refundRule ? !refundRule.notApplicable : false,
+        penalty: toPenalty(refundRule)
+      },
+      change: {
+        allowed: exchangeRule ? !exchangeRule.notApplicable : false,
+        penalty: toPenalty(exchangeRule)
+      },
+      noShow: this.extractNoShowRule(notes),
+      validity: {
+        lastTicketingDate: pricedOffer.lastTicketingDate || offer.lastTicketingDate || null,
+        revalidationAllowed: findRule('REVALIDATION') ? !findRule('REVALIDATION').notApplicable : null
+      },
+      baggage: this.buildSegmentBaggage(offer, pricedOffer),
+      notes
+    };
+  }
+
+  extractNoShowRule(notes) {
+    const noShowNote = notes.find(note => /no[\s-]?show/i.test(note.text || ''));
+    return {
+      policy: noShowNote ? 'see_notes' : 'unknown',
+      penalty: null,
+      text: noShowNote?.text || null
+    };
+  }
+
+  async buildFareRulesFromTable(offer) {
+    const fareBasis = offer.fareBasis || offer.bookingClass || 'Y';
+    let rule = null;
+
+    // Admin-maintained fare_rules rows take precedence over the built-in defaults
+    try {
+      const { data: storedRule } = await supabase
+        .from('fare_rules')
+        .select('*')
+        .eq('fare_basis', fareBasis)
+        .maybeSingle();
+
+      if (storedRule) {
+        rule = {
+          fareFamily: storedRule.fare_family,
+          refundable: storedRule.refundable,
+          changePenalty: storedRule.change_penalty,
+          cancellationPenalty: storedRule.cancellation_penalty,
+          noShowPenalty: storedRule.no_show_penalty,
+          validityDays: storedRule.validity_days
+        };
+      }
+    } catch (error) {
+      console.warn('Failed to read fare_rules table:', error.message || error);
+    }
+
+    if (!rule) {
+      rule = FARE_CLASS_RULES[fareBasis.charAt(0).toUpperCase()] || FARE_CLASS_RULES.Y;
+    }
+
+    const currency = offer.currency || offer.price?.currency || 'USD';
+    const toPenalty = (amount) => (amount === null || amount === undefined ? null : { amount: parseFloat(amount), currency });
+
+    return {
+      offerId: offer.id,
+      source: 'fare_basis_table',
+      fareBasis,
+      fareFamily: rule.fareFamily || null,
+      cabinClass: offer.cabinClass,
+      currency,
+      refundable: Boolean(rule.refundable),
+      cancellation: {
+        allowed: Boolean(rule.refundable),
+        penalty: rule.refundable ? toPenalty(rule.cancellationPenalty) : null
+      },
+      change: {
+        allowed: rule.changePenalty !== null && rule.changePenalty !== undefined,
+        penalty: toPenalty(rule.changePenalty)
+      },
+      noShow: {
+        policy: rule.noShowPenalty === null || rule.noShowPenalty === undefined ? 'forfeit' : 'penalty',
+        penalty: toPenalty(rule.noShowPenalty),
+        text: null
+      },
+      validity: {
+        lastTicketingDate: offer.lastTicketingDate || null,
+        ticketValidityDays: rule.validityDays || 365
+      },
+      baggage: this.buildSegmentBaggage(offer),
+      notes: []
+    };
+  }
+
+  buildSegmentBaggage(offer, pricedOffer = null) {
+    const fareDetails = (pricedOffer || offer.supplierOffer)?.travelerPricings?.[0]?.fareDetailsBySegment || [];
+
+    return (offer.segments || []).map((segment, index) => {
+      const details = fareDetails[index];
+      const checkedBags = details?.includedCheckedBags;
+
+      return {
+        segment: `${segment.departure.airport}-${segment.arrival.airport}`,
+        flightNumber: segment.flightNumber,
+        cabin: offer.baggage?.cabin || '1 carry-on bag',
+        checked: checkedBags
+          ? {
+              quantity: checkedBags.quantity ?? null,
+              weight: checkedBags.weight ?? null,
+              weightUnit: checkedBags.weightUnit ?? null
+            }
+          : offer.baggage?.checked ?? null
+      };
+    });
+  }
+
+  async getPriceCalendar({ from, to, month, year, cabinClass = 'economy' }) {
+    const origin = this.extractAirportCode(from);
+    const destination = this.extractAirportCode(to);
+
+    if (!origin || !destination) {
+      throw new Error('Origin and destination are required');
+    }
+
+    if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year)) {
+      throw new Error('Invalid month or year');
+    }
+
+    const cabin = cabinClass.replace('-', '_');
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const monthStart = toDateKey(Date.UTC(year, month - 1, 1));
+    const nextMonthStart = toDateKey(Date.UTC(year, month, 1));
+    const today = toDateKey(new Date());
+
+    const dates = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+      dates.push(toDateKey(Date.UTC(year, month - 1, day)));
+    }
+
+    // Cheapest fare per day, filled from the cheapest source first
+    const fares = new Map();
+    const routeQuery = { origin, destination, cabin, monthStart, nextMonthStart };
+
+    const cachedFares = await this.getCachedCalendarFares(routeQuery);
+    cachedFares.forEach(fare => this.keepCheaperFare(fares, fare));
+
+    const observedFares = await this.getObservedCalendarFares(routeQuery);
+    observedFares.forEach(fare => this.keepCheaperFare(fares, fare));
+
+    // Only ask the supplier for future days we know nothing about
+    const missingDates = dates.filter(date => date >= today && !fares.has(date));
+
+    const supplierResults = await runInBatches(missingDates, CALENDAR_SUPPLIER_CONCURRENCY, async (date) => {
+      try {
+        const offers = await this.searchFlights({
+          tripType: 'oneway',
+          from: origin,
+          to: destination,
+          departureDate: date,
+          passengers: { adults: 1 },
+          class: cabin
+        });
+        return this.getCheapestFare(offers, date, 'supplier', true);
+      } catch (error) {
+        console.warn(`Price calendar supplier lookup failed for ${origin}-${destination} on ${date}:`, error.message);
+        return null;
+      }
+    });
+
+    // searchFlights has already recorded these as price observations
+    supplierResults.filter(Boolean).forEach(fare => this.keepCheaperFare(fares, fare));
+
+    const days = dates.map(date => fares.get(date) || {
+      date,
+      price: null,
+      currency: null,
+      cabinClass: null,
+      stops: null,
+      airline: null,
+      source: date < today ? 'past' : 'unavailable'
+    });
+
+    const pricedDays = days.filter(day => day.price !== null);
+    const cheapestDay = pricedDays.reduce((best, day) => (!best || day.price < best.price ? day : best), null);
+
+    return {
+      route: { from: origin, to: destination },
+      month,
+      year,
+      cabinClass: cabin,
+      currency: cheapestDay?.currency || null,
+      cheapestDay,
+      days
+    };
+  }
+
+  // perAdult compares one adult's fare, as price observations do, instead of the whole party's total
+  getCheapestFare(offers, date, source, perAdult = false) {
+    if (!Array.isArray(offers) || offers.length === 0) return null;
+
+    const cheapest = offers.reduce((best, offer) => {
+      const price = perAdult ? this.getAdultFare(offer) : parseFloat(offer.price?.total ?? offer.price);
+      if (isNaN(price)) return best;
+      return !best || price < best.price ? { offer, price } : best;
+    }, null);
+
+    if (!cheapest) return null;
+
+    return {
+      date,
+      price: cheapest.price,
+      currency: cheapest.offer.currency || cheapest.offer.price?.currency || 'USD',
+      cabinClass: cheapest.offer.cabinClass || null,
+      stops: cheapest.offer.stops ?? null,
+      airline: cheapest.offer.airline || null,
+      source
+    };
+  }
+
+  keepCheaperFare(fares, fare) {
+    const existing = fares.get(fare.date);
+    if (!existing || fare.price < existing.price) {
+      fares.set(fare.date, fare);
+    }
+  }
+
+  async getCachedCalendarFares({ origin, destination, cabin, monthStart, nextMonthStart }) {
+    try {
+      const { data: cachedSearches, error } = await supabase
+        .from('flight_search_cache')
+        .select('search_params, results')
+        .gt('expires_at', new Date().toISOString())
+        .ilike('search_params->>from', `%${origin}%`)
+        .ilike('search_params->>to', `%${destination}%`)
+        .gte('search_params->>departureDate', monthStart)
+        .lt('search_params->>departureDate', nextMonthStart);
+
+      if (error) throw error;
+
+      // Round-trip totals are not comparable with one-way calendar fares, and cached searches
+      // may be for several passengers, so cells compare one adult's fare
+      return (cachedSearches || [])
+        .filter(({ search_params: params }) =>
+          params &&
+          params.tripType === 'oneway' &&
+          this.extractAirportCode(params.from) === origin &&
+          this.extractAirportCode(params.to) === destination &&
+          (params.class || 'economy') === cabin)
+        .map(({ search_params: params, results }) =>
+          this.getCheapestFare(results, toDateKey(params.departureDate), 'cache', true))
+        .filter(Boolean);
+    } catch (error) {
+      console.warn('Failed to read cached fares for price calendar:', error.message || error);
+      return [];
+    }
+  }
+
+  async getObservedCalendarFares({ origin, destination, cabin, monthStart, nextMonthStart }) {
+    try {
+      const observedSince = new Date(Date.now() - CALENDAR_OBSERVATION_MAX_AGE_HOURS * 60 * 60 * 1000);
+
+      const { data: observations, error } = await supabase
+        .from('flight_price_observations')
+        .select('departure_date, price, currency, cabin_class, stops, airline')
+        .eq('origin', origin)
+        .eq('destination', destination)
+        .eq('cabin_class', cabin)
+        .eq('trip_type', 'oneway')
+        .gte('departure_date', monthStart)
+        .lt('departure_date', nextMonthStart)
+        .gte('observed_at', observedSince.toISOString());
+
+      if (error) throw error;
+
+      return (observations || []).map(observation => ({
+        date: observation.departure_date,
+        price: parseFloat(observation.price),
+        currency: observation.currency,
+        cabinClass: observation.cabin_class,
+        stops: observation.stops,
+        airline: observation.airline,
+        source: 'observation'
+      }));
+    } catch (error) {
+      console.warn('Failed to read price observations for price calendar:', error.message || error);
+      return [];
+    }
+  }
+
+  // Fare for one adult, so searches with different passenger mixes are comparable
+  getAdultFare(offer) {
+    const adultLine = (offer.priceBreakdown || []).find(line => line.travelerType === 'ADULT');
+    return adultLine ? parseFloat(adultLine.perTraveler.total) : this.getOfferPrice(offer);
+  }
+
+  // Keeps the cheapest fare of every search as a price observation for history and trends
+  async recordSearchObservation(searchParams, offers) {
+    if (searchParams.tripType === 'multicity' || !Array.isArray(offers) || offers.length === 0) return;
+
+    try {
+      const cheapest = offers.reduce((best, offer) => {
+        const price = this.getAdultFare(offer);
+        return !isNaN(price) && (!best || price < best.price) ? { offer, price } : best;
+      }, null);
+
+      if (!cheapest) return;
+
+      const isRoundTrip = ['roundtrip', 'round-trip'].includes(searchParams.tripType) && Boolean(searchParams.returnDate);
+      const departureDate = toDateKey(searchParams.departureDate);
+      const observedAt = new Date();
+
+      const { error } = await supabase
+        .from('flight_price_observations')
+        .insert({
+          origin: this.extractAirportCode(searchParams.from),
+          destination: this.extractAirportCode(searchParams.to),
+          departure_date: departureDate,
+          return_date: isRoundTrip ? toDateKey(searchParams.returnDate) : null,
+          trip_type: isRoundTrip ? 'roundtrip' : 'oneway',
+          cabin_class: (searchParams.class || 'economy').replace('-', '_'),
+          days_before_departure: Math.max(0, Math.round(
+            (Date.parse(`${departureDate}T00:00:00Z`) - Date.parse(`${toDateKey(observedAt)}T00:00:00Z`)) / 86400000
+          )),
+          price: cheapest.price,
+          currency: this.getOfferCurrency(cheapest.offer),
+          stops: cheapest.offer.stops ?? null,
+          airline: cheapest.offer.airline || null,
+          source: cheapest.offer.source || null,
+          observed_at: observedAt.toISOString()
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      console.warn('Failed to record price observation:', error.message || error);
+    }
+  }
+
+  // Price history of a route (optionally one departure date) with a trend summary:
+  // min/median/max, direction of change and the typical price band
+  async getPriceHistory({ from, to, departureDate = null, cabinClass = 'economy', tripType = 'oneway', days = PRICE_HISTORY_DEFAULT_DAYS }) {
+    const origin = this.extractAirportCode(from);
+    const destination = this.extractAirportCode(to);
+
+    if (!origin || !destination) {
+      throw new Error('Origin and destination are required');
+    }
+
+    const cabin = cabinClass.replace('-', '_');
+    const observedSince = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    let query = supabase
+      .from('flight_price_observations')
+      .select('departure_date, days_before_departure, price, currency, stops, airline, observed_at')
+      .eq('origin', origin)
+      .eq('destination', destination)
+      .eq('cabin_class', cabin)
+      .eq('trip_type', tripType)
+      .gte('observed_at', observedSince.toISOString())
+      .order('observed_at', { ascending: true });
+
+    if (departureDate) {
+      query = query.eq('departure_date', toDateKey(departureDate));
+    }
+
+    const { data: observations, error } = await query;
+    if (error) throw error;
+
+    // Prices in different currencies can't be compared; keep the most common one
+    const currencyCounts = new Map();
+    (observations || []).forEach(o => currencyCounts.set(o.currency, (currencyCounts.get(o.currency) || 0) + 1));
+    const currency = [...currencyCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+    const rows = (observations || [])
+      .filter(o => o.currency === currency)
+      .map(o => ({ ...o, price: parseFloat(o.price) }));
+
+    // Cheapest observed fare per day
+    const byDay = new Map();
+    rows.forEach(row => {
+      const day = toDateKey(row.observed_at);
+      const entry = byDay.get(day) || { date: day, minPrice: row.price, maxPrice: row.price, observations: 0 };
+      entry.minPrice = Math.min(entry.minPrice, row.price);
+      entry.maxPrice = Math.max(entry.maxPrice, row.price);
+      entry.observations += 1;
+      byDay.set(day, entry);
+    });
+    const history = [...byDay.values()];
+
+    const byDaysBeforeDeparture = PRICE_HISTORY_BOOKING_WINDOWS.map(({ label, min, max }) => {
+      const prices = rows
+        .filter(row => row.days_before_departure >= min && row.days_before_departure <= max)
+        .map(row => row.price);
+      return {
+        window: label,
+        observations: prices.length,
+        medianPrice: prices.length ? percentile(prices, 0.5) : null
+      };
+    });
+
+    return {
+      route: { from: origin, to: destination },
+      departureDate: departureDate ? toDateKey(departureDate) : null,
+      cabinClass: cabin,
+      tripType,
+      currency,
+      days,
+      history,
+      byDaysBeforeDeparture,
+      trend: this.summarizePriceTrend(rows, history)
+    };
+  }
+
+  summarizePriceTrend(rows, history) {
+    if (rows.length === 0) {
+      return { observations: 0, min: null, median: null, max: null, typicalRange: null, direction: 'unknown', changePercent: null, latestPrice: null, rating: 'unknown' };
+    }
+
+    const prices = rows.map(row => row.price);
+    const typicalRange = {
+      low: roundPrice(percentile(prices, 0.25)),
+      high: roundPrice(percentile(prices, 0.75))
+    };
+
+    // Compare the daily lows of the most recent week with the week before it
+    const dailyLows = history.map(day => day.minPrice);
+    const recent = dailyLows.slice(-PRICE_TREND_WINDOW_DAYS);
+    const earlier = dailyLows.slice(-PRICE_TREND_WINDOW_DAYS * 2, -PRICE_TREND_WINDOW_DAYS);
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    let direction = 'unknown';
+    let changePercent = null;
+    if (recent.length > 0 && earlier.length > 0) {
+      changePercent = Math.round((average(recent) - average(earlier)) / average(earlier) * 1000) / 10;
+      direction = changePercent > PRICE_TREND_STABLE_PERCENT
+        ? 'rising'
+        : (changePercent < -PRICE_TREND_STABLE_PERCENT ? 'falling' : 'stable');
+    }
+
+    const latestPrice = rows[rows.length - 1].price;
+    const rating = latestPrice < typicalRange.low ? 'low' : (latestPrice > typicalRange.high ? 'high' : 'typical');
+
+    return {
+      observations: rows.length,
+      min: roundPrice(Math.min(...prices)),
+      median: roundPrice(percentile(prices, 0.5)),
+      max: roundPrice(Math.max(...prices)),
+      typicalRange,
+      direction,
+      changePercent,
+      latestPrice,
+      // Whether the latest fare is a good one compared with the typical band
+      rating
+    };
+  }
 }
 
 // Export a singleton instance
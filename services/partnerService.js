@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
 const { sendEmail } = require('../utils/emailService');
 const { generateOTP } = require('../utils/otpService');
+const { PAID_STATUSES } = require('./bookingStatusService');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -735,7 +736,8 @@ async getPartnerDashboard(partnerId) {
           passengers(*),
           payments(*),
           seat_selections(*),
-          baggage_selections(*)
+          baggage_selections(*),
+          booking_ancillaries(*)
         `)
         .eq('partner_id', partnerId)
         .order('created_at', { ascending: false });
@@ -2273,7 +2275,8 @@ sanitizePartner(partner) {
         passengers(*),
         payments(*),
         seat_selections(*),
-        baggage_selections(*)
+        baggage_selections(*),
+        booking_ancillaries(*)
       `)
       .eq('partner_id', partnerId)
       .eq('id', bookingId)
@@ -2328,7 +2331,7 @@ sanitizePartner(partner) {
       .from('bookings')
       .select('id, booking_reference, total_price, total_amount, commission_earned, status, user_id, partner_id')
       .or(`partner_id.eq.${partnerId},user_id.eq.${partnerId}`)
-      .eq('status', 'confirmed')
+      .in('status', PAID_STATUSES)
       .or('commission_earned.is.null,commission_earned.eq.0'); // Get bookings with no commission
 
     if (bookingsError) {
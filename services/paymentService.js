@@ -3,6 +3,10 @@ const { sendEmail } = require('../utils/emailService');
 const axios = require('axios');
 const PartnerService = require('./partnerService');
 const WalletService = require('./walletService');
+const AirlineService = require('./airlineService');
+const AncillaryService = require('./ancillaryService');
+const BookingStatusService = require('./bookingStatusService');
+const BookingExpiryService = require('./bookingExpiryService');
 
 
 
@@ -50,20 +54,38 @@ class PaymentService {
         throw new Error('Unauthorized access to booking');
       }
 
+      if (BookingExpiryService.isOverdue(booking)) {
+        await BookingExpiryService.expireBooking(booking);
+        throw new Error('The payment time limit for this booking has passed');
+      }
+
+      if (!BookingStatusService.canTransition(booking.status, 'confirmed')) {
+        throw new Error(`Bookings that are ${booking.status} cannot be paid for`);
+      }
+
+      // The booking was priced on the server; the client's amount only has to agree with it
+      const bookingTotal = parseFloat(booking.total_amount);
+      if (Math.abs(parseFloat(amount) - bookingTotal) > 0.01) {
+        const error = new Error(`The amount due for this booking is ${bookingTotal.toFixed(2)}`);
+        error.code = 'AMOUNT_MISMATCH';
+        error.amountDue = bookingTotal;
+        throw error;
+      }
+
       let paymentResult;
 
       switch (paymentMethod.type) {
         case 'wallet':
-          paymentResult = await this.processWalletPayment(userId, amount);
+          paymentResult = await this.processWalletPayment(userId, bookingTotal);
           break;
         case 'card':
         case 'bank_transfer':
         case 'ussd':
         case 'mobile_money':
-          paymentResult = await this.processFlutterwavePayment(paymentMethod, amount, userId, bookingId);
+          paymentResult = await this.processFlutterwavePayment(paymentMethod, bookingTotal, userId, bookingId);
           break;
         case 'cash':
-          paymentResult = await this.processCashPayment(userId, amount, bookingId);
+          paymentResult = await this.processCashPayment(userId, bookingTotal, bookingId);
           break;
         default:
           throw new Error('Unsupported payment method');
@@ -75,7 +97,7 @@ class PaymentService {
         .insert({
           booking_id: bookingId,
           user_id: userId,
-          amount: parseFloat(amount),
+          amount: bookingTotal,
           currency: this.currency,
           payment_method: paymentMethod.type,
           payment_method_id: paymentMethod.id || null,
@@ -774,9 +796,9 @@ async processVerificationResponse(transactionData, originalTransactionId) {
     console.error('Error fetching payment record:', fetchError);
   }
 
-  // Only update if payment record exists and hasn't been completed yet
+  // Only update if payment record exists and hasn't been completed (or refunded) yet
   let updatedPayment = existingPayment;
-  if (existingPayment && existingPayment.status !== 'completed') {
+  if (existingPayment && !['completed', 'refunded'].includes(existingPayment.status)) {
     const { data: updateResult, error: updateError } = await supabase
       .from('payments')
       .update({
@@ -924,7 +946,7 @@ async processVerificationResponse(transactionData, originalTransactionId) {
     if (transactionId.includes('booking_')) {
       const { data: payment, error: paymentError } = await supabase
         .from('payments')
-        .select('booking_id, user_id')
+        .select('booking_id, user_id, booking_version_id')
         .eq('transaction_id', transactionId)
         .single();
 
@@ -933,6 +955,14 @@ async processVerificationResponse(transactionData, originalTransactionId) {
         return;
       }
 
+      // Payment for a change to an already confirmed booking
+      if (payment?.booking_version_id) {
+        // Required here because BookingService collects change payments through this service
+        const BookingService = require('./bookingService');
+        await new BookingService().applyBookingVersion(payment.booking_version_id);
+        return;
+      }
+
       if (payment) {
         const { data: booking, error: bookingError } = await supabase
           .from('bookings')
@@ -945,7 +975,13 @@ async processVerificationResponse(transactionData, originalTransactionId) {
           return;
         }
 
-        if (booking) {
+        // Money that arrives after the booking expired (or was cancelled) is refunded, not booked
+        const confirmable = booking && !BookingExpiryService.isOverdue(booking) &&
+          (BookingStatusService.PAID_STATUSES.includes(booking.status) || BookingStatusService.canTransition(booking.status, 'confirmed'));
+
+        if (booking && !confirmable) {
+          await BookingExpiryService.refundLatePayment(booking, transactionId);
+        } else if (booking) {
           await this.updateBookingAfterPayment(booking);
         }
       }
@@ -1025,20 +1061,22 @@ async updateBookingAfterPayment(booking) {
 
     console.log(`Processing booking update for: ${booking.booking_reference}`);
 
-    // Update booking status first
-    const { error: bookingUpdateError } = await supabase
-      .from('bookings')
-      .update({
-        status: 'confirmed',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', booking.id);
-
-    if (bookingUpdateError) {
-      console.error('Booking update error:', bookingUpdateError);
-      throw bookingUpdateError;
+    // Verification can run more than once per payment; commission and the email only go out once
+    if (BookingStatusService.PAID_STATUSES.includes(booking.status)) {
+      console.log(`Booking ${booking.booking_reference} is already ${booking.status}`);
+      return;
     }
 
+    // Update booking status first
+    await BookingStatusService.transition(booking.id, 'confirmed', {
+      actor: { type: 'system' },
+      reason: 'Payment received',
+      fields: {
+        confirmed_at: new Date().toISOString(),
+        payment_confirmed: true
+      }
+    });
+
     console.log(`✅ Booking ${booking.booking_reference} status updated to confirmed`);
 
     // 🔥 FIXED: Determine the correct partner ID
@@ -1275,8 +1313,8 @@ async sendBookingConfirmation(booking) {
       // Keep original property names that the template expects
       booking_reference: booking.booking_reference,
       contact_info: booking.contact_info,
-      flight_offer: booking.flight_offer,
-      total_amount: booking.total_price,
+      flight_offer: await AirlineService.enrichFlightOffer(booking.flight_offer),
+      total_amount: booking.total_amount ?? booking.total_price,
       passengers: booking.passengers || [{
         first_name: booking.contact_info.firstName || 'Passenger',
         last_name: booking.contact_info.lastName || '',
@@ -1285,6 +1323,10 @@ async sendBookingConfirmation(booking) {
       }],
       seat_selections: booking.seat_selections || [],
       baggage_selections: booking.baggage_selections || [],
+      // Itemized on the receipt alongside the fare
+      booking_ancillaries: booking.booking_ancillaries || await AncillaryService.getBookingAncillaries(booking.id),
+      seat_fees: parseFloat(booking.seat_fees) || 0,
+      ancillary_fees: parseFloat(booking.ancillary_fees) || 0,
       created_at: booking.created_at,
       confirmed_at: booking.confirmed_at || new Date().toISOString(),
       currency: booking.currency || 'NGN'
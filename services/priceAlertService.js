@@ -0,0 +1,263 @@
+const { createClient } = require('@supabase/supabase-js');
+const FlightSearchService = require('./flightSearchService');
+const emailService = require('../utils/emailService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// How often the scheduler re-prices active alerts
+const PRICE_ALERT_INTERVAL_MINUTES = parseInt(process.env.PRICE_ALERT_INTERVAL_MINUTES) || 60;
+// 'decrease' alerts stay active but are silent for this long after firing
+const PRICE_ALERT_COOLDOWN_HOURS = parseInt(process.env.PRICE_ALERT_COOLDOWN_HOURS) || 24;
+// Alerts re-priced per run, least recently checked first
+const PRICE_ALERT_BATCH_SIZE = 100;
+
+class PriceAlertService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`Price alert evaluator scheduled every ${PRICE_ALERT_INTERVAL_MINUTES} minutes`);
+    this.timer = setInterval(() => this.run(), PRICE_ALERT_INTERVAL_MINUTES * 60 * 1000);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Scheduler entry point; a slow run is never overlapped by the next one
+  async run() {
+    if (this.isRunning) {
+      console.log('Price alert evaluation already running, skipping this tick');
+      return null;
+    }
+
+    this.isRunning = true;
+    try {
+      return await this.evaluateAlerts();
+    } catch (error) {
+      console.error('Price alert evaluation failed:', error);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async evaluateAlerts() {
+    const expired = await this.expirePastAlerts();
+
+    const now = new Date().toISOString();
+    const { data: alerts, error } = await supabase
+      .from('price_alerts')
+      .select('*')
+      .eq('is_active', true)
+      .or(`cooldown_until.is.null,cooldown_until.lt.${now}`)
+      .order('last_checked_at', { ascending: true, nullsFirst: true })
+      .limit(PRICE_ALERT_BATCH_SIZE);
+
+    if (error) throw error;
+
+    const summary = { expired, checked: 0, triggered: 0, failed: 0 };
+
+    for (const alert of alerts || []) {
+      try {
+        const result = await this.evaluateAlert(alert);
+        summary.checked += 1;
+        if (result.triggered) summary.triggered += 1;
+      } catch (alertError) {
+        summary.failed += 1;
+        console.error(`Failed to evaluate price alert ${alert.id}:`, alertError.message || alertError);
+      }
+    }
+
+    console.log('Price alert evaluation finished:', summary);
+    return summary;
+  }
+
+  // Alerts for flights that have already left can never fire
+  async expirePastAlerts() {
+    const today = new Date().toISOString().split('T')[0];
+
+    const { data: expiredAlerts, error } = await supabase
+      .from('price_alerts')
+      .update({
+        is_active: false,
+        status: 'expired',
+        updated_at: new Date().toISOString()
+      })
+      .eq('is_active', true)
+      .lt('departure_date', today)
+      .select('id');
+
+    if (error) throw error;
+
+    return (expiredAlerts || []).length;
+  }
+
+  async evaluateAlert(alert) {
+    const observation = await this.getCurrentPrice(alert);
+    const checkedAt = new Date().toISOString();
+
+    if (!observation) {
+      await this.updateAlert(alert.id, { last_checked_at: checkedAt });
+      return { triggered: false, price: null };
+    }
+
+    const previousPrice = alert.last_observed_price !== null && alert.last_observed_price !== undefined
+      ? parseFloat(alert.last_observed_price)
+      : null;
+    const triggered = this.isConditionMet(alert, observation.price, previousPrice);
+
+    await this.recordCheck(alert, observation, triggered, checkedAt);
+
+    const updates = {
+      last_checked_at: checkedAt,
+      last_observed_price: observation.price,
+      lowest_observed_price: alert.lowest_observed_price !== null && alert.lowest_observed_price !== undefined
+        ? Math.min(parseFloat(alert.lowest_observed_price), observation.price)
+        : observation.price,
+      currency: observation.currency
+    };
+
+    if (triggered) {
+      await this.notify(alert, observation, previousPrice);
+
+      updates.last_triggered_at = checkedAt;
+      updates.trigger_count = (alert.trigger_count || 0) + 1;
+
+      if (alert.alert_type === 'decrease') {
+        updates.cooldown_until = new Date(Date.now() + PRICE_ALERT_COOLDOWN_HOURS * 60 * 60 * 1000).toISOString();
+      } else {
+        // A target price has been reached; the alert has done its job
+        updates.is_active = false;
+        updates.status = 'triggered';
+      }
+    }
+
+    await this.updateAlert(alert.id, updates);
+
+    return { triggered, price: observation.price };
+  }
+
+  // 'below' fires at or under the target; 'decrease' fires on any drop since the last check
+  isConditionMet(alert, price, previousPrice) {
+    if (alert.alert_type === 'decrease') {
+      return previousPrice !== null && price < previousPrice;
+    }
+
+    return price <= parseFloat(alert.target_price);
+  }
+
+  // Cheapest fare for one adult on the alert's route and dates
+  async getCurrentPrice(alert) {
+    const offers = await FlightSearchService.searchFlights({
+      tripType: alert.return_date ? 'roundtrip' : 'oneway',
+      from: alert.from_airport,
+      to: alert.to_airport,
+      departureDate: alert.departure_date,
+      returnDate: alert.return_date || null,
+      passengers: { adults: 1, children: 0, infants: 0 },
+      class: alert.cabin_class || 'economy'
+    });
+
+    const cheapest = (offers || []).reduce((best, offer) => {
+      const price = FlightSearchService.getOfferPrice(offer);
+      return !isNaN(price) && (!best || price < best.price)
+        ? { price, currency: FlightSearchService.getOfferCurrency(offer), airline: offer.airline }
+        : best;
+    }, null);
+
+    return cheapest;
+  }
+
+  async recordCheck(alert, observation, triggered, checkedAt) {
+    const { error } = await supabase
+      .from('price_alert_checks')
+      .insert({
+        alert_id: alert.id,
+        price: observation.price,
+        currency: observation.currency,
+        airline: observation.airline,
+        triggered,
+        checked_at: checkedAt
+      });
+
+    // The alert itself still carries the latest price
+    if (error) {
+      console.warn(`Failed to record price check for alert ${alert.id}:`, error.message);
+    }
+  }
+
+  async updateAlert(alertId, updates) {
+    const { error } = await supabase
+      .from('price_alerts')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', alertId);
+
+    if (error) throw error;
+  }
+
+  // Email and in-app notification; one channel failing doesn't block the other
+  async notify(alert, observation, previousPrice) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, first_name')
+      .eq('id', alert.user_id)
+      .maybeSingle();
+
+    const route = `${alert.from_airport} → ${alert.to_airport}`;
+    const priceText = `${observation.currency} ${observation.price.toFixed(2)}`;
+
+    if (user?.email) {
+      try {
+        await emailService.sendEmail({
+          to: user.email,
+          subject: `Price alert: ${route} now ${priceText}`,
+          template: 'price-alert',
+          data: {
+            firstName: user.first_name,
+            from: alert.from_airport,
+            to: alert.to_airport,
+            departureDate: alert.departure_date,
+            returnDate: alert.return_date,
+            currentPrice: observation.price,
+            previousPrice,
+            targetPrice: alert.target_price,
+            currency: observation.currency,
+            alertType: alert.alert_type
+          }
+        });
+      } catch (error) {
+        console.error(`Failed to email price alert ${alert.id}:`, error.message || error);
+      }
+    }
+
+    const { error } = await supabase
+      .from('user_notifications')
+      .insert({
+        user_id: alert.user_id,
+        title: 'Price alert',
+        message: `${route} on ${alert.departure_date} is now ${priceText}.`,
+        type: 'price_alert',
+        is_read: false,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error(`Failed to create in-app notification for price alert ${alert.id}:`, error.message);
+    }
+  }
+}
+
+const priceAlertService = new PriceAlertService();
+
+module.exports = priceAlertService;
@@ -1,6 +1,7 @@
 const { createClient } = require('@supabase/supabase-js');
 const { sendEmail } = require('../utils/emailService');
 const WalletService = require('./walletService');
+const BookingStatusService = require('./bookingStatusService');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -24,8 +25,8 @@ class UserRefundService {
         throw new Error('Booking not found or does not belong to you');
       }
 
-      // Check if booking is eligible for refund
-      if (booking.status === 'cancelled' || booking.status === 'refunded') {
+      // Check if booking is eligible for refund; cancellations are refunded when they are made
+      if (booking.status === 'cancelled' || !BookingStatusService.canTransition(booking.status, 'refunded')) {
         throw new Error('This booking is not eligible for refund');
       }
 
@@ -261,7 +262,7 @@ class UserRefundService {
           refunds(id, status)
         `)
         .eq('user_id', userId)
-        .in('status', ['confirmed', 'completed'])
+        .in('status', BookingStatusService.PAID_STATUSES)
         .order('created_at', { ascending: false });
 
       if (error) throw error;
@@ -289,8 +290,8 @@ class UserRefundService {
       const { data: refund, error: refundError } = await supabase
         .from('refunds')
         .select(`
-          id, user_id, amount, reason, status,
-          bookings(booking_reference, total_amount)
+          id, user_id, booking_id, amount, reason, status,
+          bookings(booking_reference, total_amount, status)
         `)
         .eq('id', refundId)
         .single();
@@ -303,6 +304,9 @@ class UserRefundService {
         throw new Error('Only pending refunds can be processed');
       }
 
+      // Checked before any money moves
+      BookingStatusService.assertTransition(refund.bookings.status, 'refunded');
+
       // Credit the user's wallet
       const creditResult = await walletService.creditWallet(
         refund.user_id,
@@ -327,10 +331,10 @@ class UserRefundService {
       }
 
       // Update booking status to refunded
-      await supabase
-        .from('bookings')
-        .update({ status: 'refunded' })
-        .eq('id', refund.booking_id);
+      await BookingStatusService.transition(refund.booking_id, 'refunded', {
+        actor: { type: 'admin', id: adminUserId },
+        reason: refund.reason || 'Refund processed'
+      });
 
       return {
         success: true,
@@ -0,0 +1,386 @@
+const axios = require('axios');
+const { createClient } = require('@supabase/supabase-js');
+const FlightSearchService = require('./flightSearchService');
+const { createSeededRandom } = require('../utils/seededRandom');
+const { distanceKm } = require('../utils/geo');
+const { SEAT_LAYOUTS } = require('../utils/mockFlightFixtures');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Seats on these bookings are held and shown as taken to everyone else
+const SEAT_HOLDING_STATUSES = ['pending', 'pending_payment', 'confirmed', 'ticketed', 'completed'];
+
+// Share of seats the mock supplier reports as already sold
+const MOCK_OCCUPANCY = 0.45;
+
+// Mock seat prices in the offer currency, by seat type; premium cabins pick seats for free
+const MOCK_SEAT_PRICES = {
+  standard: 8,
+  preferred: 18,
+  extraLegroom: 35,
+  exitRow: 30
+};
+// Longer flights charge more for the same seat
+const MOCK_LONG_HAUL_KM = 4000;
+const MOCK_LONG_HAUL_MULTIPLIER = 2;
+// Rows at the front of economy sold as "preferred"
+const MOCK_PREFERRED_ROWS = 3;
+
+// Amadeus seat characteristic codes we surface
+const AMADEUS_CHARACTERISTICS = {
+  W: 'window',
+  A: 'aisle',
+  9: 'middle',
+  E: 'exit_row',
+  L: 'extra_legroom',
+  K: 'bulkhead',
+  1: 'restricted_recline'
+};
+
+const FREE_SEAT_CABINS = ['business', 'first'];
+
+const normalizeCabin = (cabin) => String(cabin || 'economy').toLowerCase().replace('-', '_');
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+class SeatMapService {
+  // Flattened across itineraries, in travel order, so one index identifies a segment
+  getOfferSegments(offer) {
+    const itineraries = Array.isArray(offer.itineraries) && offer.itineraries.length > 0
+      ? offer.itineraries
+      : [{ segments: offer.segments || [] }];
+
+    return itineraries.flatMap((itinerary, itineraryIndex) => (itinerary.segments || [])
+      .map(segment => ({ ...segment, itineraryIndex })));
+  }
+
+  // Seat maps for a cached offer, or null when the offer (or segment) doesn't exist
+  async getSeatMap(offerId, segmentIndex = null) {
+    const offer = await FlightSearchService.getFlightDetails(offerId);
+    if (!offer) return null;
+
+    const segments = this.getOfferSegments(offer);
+    if (segmentIndex !== null && segmentIndex >= segments.length) return null;
+
+    const seatMaps = await this.getSeatMapsForOffer(offer);
+    return segmentIndex === null ? seatMaps : [seatMaps[segmentIndex]];
+  }
+
+  // One seat map per segment, with seats held by our own bookings marked unavailable
+  async getSeatMapsForOffer(offer) {
+    const segments = this.getOfferSegments(offer);
+
+    let seatMaps = null;
+    if (offer.source === 'amadeus' && offer.supplierOffer) {
+      seatMaps = await this.getAmadeusSeatMaps(offer, segments);
+    }
+    if (!seatMaps) {
+      const airportCodes = segments.flatMap(segment => [segment.departure?.airport, segment.arrival?.airport]);
+      const airports = await FlightSearchService.getAirports([...new Set(airportCodes)].filter(Boolean));
+      seatMaps = segments.map((segment, index) => this.generateSeatMap(offer, segment, index, airports));
+    }
+
+    return Promise.all(seatMaps.map(seatMap => this.applyHeldSeats(seatMap)));
+  }
+
+  async getAmadeusSeatMaps(offer, segments) {
+    try {
+      const token = await FlightSearchService.getAmadeusToken();
+      const response = await axios.post(
+        `${FlightSearchService.amadeusBaseUrl}/v1/shopping/seatmaps`,
+        { data: [offer.supplierOffer] },
+        {
+          headers: { 'Authorization': `Bearer ${token}` },
+          timeout: 30000
+        }
+      );
+
+      const seatMaps = response.data?.data || [];
+      // Amadeus returns one seat map per segment it has data for, in segment order
+      if (seatMaps.length !== segments.length) {
+        console.warn(`Amadeus returned ${seatMaps.length} seat maps for ${segments.length} segments, using generated layouts`);
+        return null;
+      }
+
+      return seatMaps.map((seatMap, index) => this.transformAmadeusSeatMap(seatMap, offer, segments[index], index));
+    } catch (error) {
+      console.error('Amadeus seat map lookup failed:', error.response?.data || error.message);
+      return null;
+    }
+  }
+
+  transformAmadeusSeatMap(seatMap, offer, segment, segmentIndex) {
+    const cabin = normalizeCabin(offer.cabinClass);
+    const rows = new Map();
+    const currency = FlightSearchService.getOfferCurrency(offer);
+
+    (seatMap.decks || []).forEach(deck => {
+      (deck.seats || []).forEach(seat => {
+        const match = String(seat.number).match(/^(\d+)([A-Z])$/);
+        if (!match) return;
+
+        // Every traveler sees the same seat; the first pricing is representative
+        const pricing = (seat.travelerPricing || [])[0] || {};
+        const price = pricing.price ? parseFloat(pricing.price.total) : 0;
+
+        const rowNumber = parseInt(match[1]);
+        const row = rows.get(rowNumber) || { number: rowNumber, exitRow: false, seats: [] };
+        const characteristics = (seat.characteristicsCodes || [])
+          .map(code => AMADEUS_CHARACTERISTICS[code])
+          .filter(Boolean);
+
+        row.exitRow = row.exitRow || characteristics.includes('exit_row');
+        row.seats.push({
+          number: seat.number,
+          column: match[2],
+          cabin: normalizeCabin(seat.cabin || cabin),
+          available: pricing.seatAvailabilityStatus === 'AVAILABLE',
+          characteristics,
+          price: roundPrice(price),
+          // The supplier may price a seat in another currency than the fare
+          currency: pricing.price?.currency || currency
+        });
+        rows.set(rowNumber, row);
+      });
+    });
+
+    const sortedRows = [...rows.values()]
+      .sort((a, b) => a.number - b.number)
+      .map(row => ({ ...row, seats: row.seats.sort((a, b) => a.column.localeCompare(b.column)) }));
+
+    return this.buildSeatMap(segment, segmentIndex, {
+      aircraftCode: seatMap.aircraft?.code || segment.aircraftCode || null,
+      cabin,
+      currency,
+      columns: [...new Set(sortedRows.flatMap(row => row.seats.map(seat => seat.column)))].sort(),
+      rows: sortedRows,
+      source: 'amadeus'
+    });
+  }
+
+  // Deterministic layout by aircraft type; the same flight always shows the same free seats
+  generateSeatMap(offer, segment, segmentIndex, airports) {
+    const layouts = SEAT_LAYOUTS[segment.aircraftCode] || SEAT_LAYOUTS['320'];
+    const cabin = layouts[normalizeCabin(offer.cabinClass)] ? normalizeCabin(offer.cabinClass) : 'economy';
+    const layout = layouts[cabin];
+    const departureDate = (segment.departure?.dateTime || '').slice(0, 10);
+    const random = createSeededRandom(`${segment.flightNumber}-${departureDate}-${cabin}`);
+
+    const from = airports.get(segment.departure?.airport);
+    const to = airports.get(segment.arrival?.airport);
+    const sectorKm = from && to ? distanceKm(from, to) : null;
+    const priceMultiplier = sectorKm !== null && sectorKm > MOCK_LONG_HAUL_KM ? MOCK_LONG_HAUL_MULTIPLIER : 1;
+
+    // "ABC DEF" -> ['A', 'B', 'C', null, 'D', 'E', 'F'], null marking the aisle
+    const columns = layout.columns.split('').map(letter => (letter === ' ' ? null : letter));
+    const exitRows = layout.exitRows || [];
+    const extraLegroomRows = layout.extraLegroomRows || [];
+
+    const rows = [];
+    for (let number = layout.rows[0]; number <= layout.rows[1]; number++) {
+      const exitRow = exitRows.includes(number);
+      const seats = columns
+        .map((column, index) => {
+          if (!column) return null;
+
+          const characteristics = [];
+          if (index === 0 || index === columns.length - 1) {
+            characteristics.push('window');
+          } else if (columns[index - 1] === null || columns[index + 1] === null) {
+            characteristics.push('aisle');
+          } else {
+            characteristics.push('middle');
+          }
+          if (exitRow) characteristics.push('exit_row');
+          if (exitRow || extraLegroomRows.includes(number)) characteristics.push('extra_legroom');
+          if (number === layout.rows[0]) characteristics.push('bulkhead');
+
+          return {
+            number: `${number}${column}`,
+            column,
+            cabin,
+            available: random() >= MOCK_OCCUPANCY,
+            characteristics,
+            price: this.getMockSeatPrice(cabin, number, layout, characteristics, priceMultiplier)
+          };
+        })
+        .filter(Boolean);
+
+      rows.push({ number, exitRow, seats });
+    }
+
+    return this.buildSeatMap(segment, segmentIndex, {
+      aircraftCode: segment.aircraftCode || '320',
+      cabin,
+      currency: FlightSearchService.getOfferCurrency(offer),
+      columns,
+      rows,
+      source: 'generated'
+    });
+  }
+
+  getMockSeatPrice(cabin, rowNumber, layout, characteristics, multiplier) {
+    if (FREE_SEAT_CABINS.includes(cabin)) return 0;
+
+    let price = MOCK_SEAT_PRICES.standard;
+    if (characteristics.includes('exit_row')) {
+      price = MOCK_SEAT_PRICES.exitRow;
+    } else if (characteristics.includes('extra_legroom')) {
+      price = MOCK_SEAT_PRICES.extraLegroom;
+    } else if (rowNumber < layout.rows[0] + MOCK_PREFERRED_ROWS) {
+      price = MOCK_SEAT_PRICES.preferred;
+    }
+
+    return roundPrice(price * multiplier);
+  }
+
+  buildSeatMap(segment, segmentIndex, seatMap) {
+    const seats = seatMap.rows.flatMap(row => row.seats);
+
+    return {
+      segmentIndex,
+      itineraryIndex: segment.itineraryIndex,
+      flightNumber: segment.flightNumber,
+      from: segment.departure?.airport || null,
+      to: segment.arrival?.airport || null,
+      departureDate: (segment.departure?.dateTime || '').slice(0, 10) || null,
+      aircraftCode: seatMap.aircraftCode,
+      aircraft: segment.aircraft || null,
+      cabin: seatMap.cabin,
+      currency: seatMap.currency,
+      columns: seatMap.columns,
+      rows: seatMap.rows,
+      availableSeats: seats.filter(seat => seat.available).length,
+      totalSeats: seats.length,
+      source: seatMap.source
+    };
+  }
+
+  // Seats already chosen on our own bookings for the same flight and date
+  async getHeldSeats(flightNumber, departureDate) {
+    if (!flightNumber || !departureDate) return new Set();
+
+    const { data, error } = await supabase
+      .from('seat_selections')
+      .select('seat_number, bookings!inner(status)')
+      .eq('flight_number', flightNumber)
+      .eq('departure_date', departureDate)
+      .in('bookings.status', SEAT_HOLDING_STATUSES);
+
+    if (error) {
+      console.warn(`Failed to load held seats for ${flightNumber} on ${departureDate}:`, error.message);
+      return new Set();
+    }
+
+    return new Set((data || []).map(row => row.seat_number));
+  }
+
+  async applyHeldSeats(seatMap) {
+    const held = await this.getHeldSeats(seatMap.flightNumber, seatMap.departureDate);
+    if (held.size === 0) return seatMap;
+
+    const rows = seatMap.rows.map(row => ({
+      ...row,
+      seats: row.seats.map(seat => (held.has(seat.number) ? { ...seat, available: false } : seat))
+    }));
+
+    return {
+      ...seatMap,
+      rows,
+      availableSeats: rows.flatMap(row => row.seats).filter(seat => seat.available).length
+    };
+  }
+
+  // Checks the requested seats against the live seat map and prices them. Accepts
+  // { segmentIndex, passengerIndex, seatNumber } in camel or snake case.
+  async priceSeatSelections(flightOffer, seatSelections, passengers) {
+    if (!Array.isArray(seatSelections) || seatSelections.length === 0) {
+      return { seats: [], total: 0 };
+    }
+
+    const seatMaps = await this.getSeatMapsForOffer(flightOffer);
+    const currency = FlightSearchService.getOfferCurrency(flightOffer);
+    const chosen = new Set();
+
+    const seats = seatSelections.map((selection, index) => {
+      const segmentIndex = parseInt(selection.segmentIndex ?? selection.segment_index ?? 0);
+      const passengerIndex = parseInt(selection.passengerIndex ?? selection.passenger_index ?? index);
+      const seatNumber = String(selection.seatNumber || selection.seat_number || '').toUpperCase();
+
+      const seatMap = seatMaps[segmentIndex];
+      if (!seatMap) {
+        throw new Error(`Seat selection ${index + 1} refers to a segment that does not exist`);
+      }
+
+      const passenger = passengers[passengerIndex];
+      if (!passenger) {
+        throw new Error(`Seat selection ${index + 1} refers to a passenger that does not exist`);
+      }
+
+      const passengerType = String(passenger.passengerType || passenger.passenger_type || 'adult').toLowerCase();
+      if (['infant', 'held_infant'].includes(passengerType)) {
+        throw new Error('Infants travel on an adult\'s lap and cannot be assigned a seat');
+      }
+
+      const seat = seatMap.rows.flatMap(row => row.seats).find(s => s.number === seatNumber);
+      if (!seat) {
+        throw new Error(`Seat ${seatNumber || '(blank)'} does not exist on flight ${seatMap.flightNumber}`);
+      }
+
+      if (passengerType !== 'adult' && seat.characteristics.includes('exit_row')) {
+        throw new Error(`Seat ${seatNumber} is in an exit row and cannot be assigned to a child`);
+      }
+
+      const passengerKey = `${segmentIndex}:passenger:${passengerIndex}`;
+      const seatKey = `${segmentIndex}:seat:${seatNumber}`;
+      if (chosen.has(passengerKey)) {
+        throw new Error(`Passenger ${passengerIndex + 1} has more than one seat on flight ${seatMap.flightNumber}`);
+      }
+      if (chosen.has(seatKey)) {
+        throw new Error(`Seat ${seatNumber} on flight ${seatMap.flightNumber} was selected more than once`);
+      }
+      chosen.add(passengerKey);
+      chosen.add(seatKey);
+
+      if (!seat.available) {
+        const error = new Error(`Seat ${seatNumber} on flight ${seatMap.flightNumber} is no longer available`);
+        error.code = 'SEAT_UNAVAILABLE';
+        error.seat = { segmentIndex, seatNumber, flightNumber: seatMap.flightNumber };
+        throw error;
+      }
+
+      // Seat fees are added to the booking total, so they must be in the fare's currency
+      const seatCurrency = seat.currency || seatMap.currency;
+      if (seat.price > 0 && seatCurrency !== currency) {
+        const error = new Error(`Seat ${seatNumber} on flight ${seatMap.flightNumber} is priced in ${seatCurrency}, not the booking currency ${currency}. Please choose another seat.`);
+        error.code = 'SEAT_CURRENCY_MISMATCH';
+        error.seat = { segmentIndex, seatNumber, flightNumber: seatMap.flightNumber };
+        throw error;
+      }
+
+      return {
+        segmentIndex,
+        passengerIndex,
+        seatNumber,
+        flightNumber: seatMap.flightNumber,
+        departureDate: seatMap.departureDate,
+        cabin: seat.cabin,
+        characteristics: seat.characteristics,
+        price: seat.price,
+        currency
+      };
+    });
+
+    return {
+      seats,
+      total: roundPrice(seats.reduce((sum, seat) => sum + seat.price, 0))
+    };
+  }
+}
+
+const seatMapService = new SeatMapService();
+
+module.exports = seatMapService;
@@ -0,0 +1,63 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabase'));
+
+const BookingCompletionService = require('../services/bookingCompletionService');
+const { searchMockOffers } = require('./helpers/mockOffers');
+
+describe('BookingCompletionService', () => {
+  let oneWay;
+  let roundTrip;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    [oneWay] = await searchMockOffers({ to: 'JFK' });
+    [roundTrip] = await searchMockOffers({ tripType: 'roundtrip', returnDate: '2026-11-17' });
+  });
+
+  afterAll(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('getTripEndTime', () => {
+    it('is the UTC arrival of the last segment', () => {
+      const { segments } = oneWay.itineraries[0];
+
+      expect(BookingCompletionService.getTripEndTime(oneWay))
+        .toBe(Date.parse(segments[segments.length - 1].arrival.utcDateTime));
+    });
+
+    it('waits for the return of a round trip', () => {
+      const inbound = roundTrip.itineraries[1].segments;
+
+      expect(BookingCompletionService.getTripEndTime(roundTrip))
+        .toBe(Date.parse(inbound[inbound.length - 1].arrival.utcDateTime));
+    });
+
+    it('is unknown when a segment has only a clock time', () => {
+      const offer = {
+        segments: [{ departure: { airport: 'LOS', time: '10:00' }, arrival: { airport: 'LHR', time: '16:45' } }]
+      };
+
+      expect(BookingCompletionService.getTripEndTime(offer)).toBeNull();
+    });
+  });
+
+  describe('isFlown', () => {
+    const booking = (status) => ({ status, flight_offer: roundTrip });
+
+    it('completes paid bookings once the last flight has landed', () => {
+      const tripEnd = BookingCompletionService.getTripEndTime(roundTrip);
+
+      expect(BookingCompletionService.isFlown(booking('ticketed'), new Date(tripEnd))).toBe(true);
+      expect(BookingCompletionService.isFlown(booking('confirmed'), new Date(tripEnd + 1))).toBe(true);
+      expect(BookingCompletionService.isFlown(booking('ticketed'), new Date(tripEnd - 1))).toBe(false);
+    });
+
+    it('leaves cancelled and unpaid bookings alone', () => {
+      const afterTrip = new Date(BookingCompletionService.getTripEndTime(roundTrip) + 1);
+
+      ['pending_payment', 'cancelled', 'refunded', 'completed'].forEach(status => {
+        expect(BookingCompletionService.isFlown(booking(status), afterTrip)).toBe(false);
+      });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabase'));
+
+const BookingStatusService = require('../services/bookingStatusService');
+
+const STATUSES = ['pending_payment', 'confirmed', 'ticketed', 'completed', 'cancelled', 'expired', 'refunded'];
+
+const ALLOWED = {
+  pending_payment: ['confirmed', 'cancelled', 'expired'],
+  confirmed: ['ticketed', 'completed', 'cancelled', 'refunded'],
+  ticketed: ['completed', 'cancelled', 'refunded'],
+  completed: ['refunded'],
+  cancelled: ['refunded'],
+  expired: [],
+  refunded: []
+};
+
+describe('BookingStatusService', () => {
+  describe('canTransition', () => {
+    STATUSES.forEach(fromStatus => {
+      it(`allows only the expected moves from ${fromStatus}`, () => {
+        const allowed = STATUSES.filter(toStatus => BookingStatusService.canTransition(fromStatus, toStatus));
+        expect(allowed).toEqual(ALLOWED[fromStatus]);
+      });
+    });
+
+    it('never moves a booking back to an earlier status', () => {
+      expect(BookingStatusService.canTransition('confirmed', 'pending_payment')).toBe(false);
+      expect(BookingStatusService.canTransition('ticketed', 'confirmed')).toBe(false);
+      expect(BookingStatusService.canTransition('cancelled', 'confirmed')).toBe(false);
+    });
+
+    it('does not move a booking to the status it already has', () => {
+      STATUSES.forEach(status => expect(BookingStatusService.canTransition(status, status)).toBe(false));
+    });
+
+    it('treats the legacy pending status as pending_payment', () => {
+      expect(BookingStatusService.canTransition('pending', 'confirmed')).toBe(true);
+      expect(BookingStatusService.canTransition('pending', 'expired')).toBe(true);
+      expect(BookingStatusService.canTransition('pending', 'refunded')).toBe(false);
+    });
+
+    it('rejects unknown statuses', () => {
+      expect(BookingStatusService.canTransition('on_hold', 'confirmed')).toBe(false);
+      expect(BookingStatusService.canTransition('confirmed', 'on_hold')).toBe(false);
+    });
+  });
+
+  describe('normalizeStatus', () => {
+    it('maps legacy statuses and keeps the rest', () => {
+      expect(BookingStatusService.normalizeStatus('pending')).toBe('pending_payment');
+      expect(BookingStatusService.normalizeStatus('confirmed')).toBe('confirmed');
+    });
+  });
+
+  describe('PAID_STATUSES', () => {
+    it('covers every status a paid booking can move through before a refund', () => {
+      expect(BookingStatusService.PAID_STATUSES).toEqual(['confirmed', 'ticketed', 'completed']);
+      BookingStatusService.PAID_STATUSES.forEach(status => {
+        expect(BookingStatusService.canTransition(status, 'refunded')).toBe(true);
+      });
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('passes for an allowed move', () => {
+      expect(() => BookingStatusService.assertTransition('confirmed', 'ticketed')).not.toThrow();
+    });
+
+    it('throws INVALID_STATUS_TRANSITION for a disallowed move', () => {
+      expect.assertions(4);
+      try {
+        BookingStatusService.assertTransition('pending', 'refunded');
+      } catch (error) {
+        expect(error.code).toBe('INVALID_STATUS_TRANSITION');
+        expect(error.fromStatus).toBe('pending');
+        expect(error.toStatus).toBe('refunded');
+        expect(error.message).toBe('A pending_payment booking cannot be refunded');
+      }
+    });
+  });
+
+  describe('transition', () => {
+    it('reports a missing booking', async () => {
+      await expect(BookingStatusService.transition('missing-booking', 'confirmed')).rejects.toThrow('Booking not found');
+    });
+  });
+});
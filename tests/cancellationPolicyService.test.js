@@ -0,0 +1,149 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabase'));
+
+const CancellationPolicyService = require('../services/cancellationPolicyService');
+const { getItineraries, getDepartureTime } = require('../utils/flightItinerary');
+const { searchMockOffers } = require('./helpers/mockOffers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('CancellationPolicyService', () => {
+  let flightOffer;
+  let departure;
+
+  // A booking made bookedHoursBefore departure, cancelled cancelHoursBefore departure
+  const cancel = ({ bookedHoursBefore, cancelHoursBefore }) => CancellationPolicyService.findApplicablePolicy(
+    {
+      flight_offer: flightOffer,
+      created_at: new Date(departure - bookedHoursBefore * HOUR_MS).toISOString()
+    },
+    new Date(departure - cancelHoursBefore * HOUR_MS)
+  );
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    [flightOffer] = await searchMockOffers();
+    departure = getDepartureTime(getItineraries(flightOffer)[0]);
+  });
+
+  afterAll(() => {
+    console.warn.mockRestore();
+  });
+
+  beforeEach(() => {
+    CancellationPolicyService.clearCache();
+  });
+
+  describe('default refund bands', () => {
+    it('falls back to the defaults when no policies can be loaded', async () => {
+      const policies = await CancellationPolicyService.getPolicies();
+      expect(policies.map(policy => policy.id)).toEqual([
+        'default-24h-grace',
+        'default-under-48h',
+        'default-over-7d',
+        'default-48h-7d'
+      ]);
+    });
+
+    it('refunds in full within 24 hours of booking', async () => {
+      const { policy, context } = await cancel({ bookedHoursBefore: 200, cancelHoursBefore: 190 });
+
+      expect(context.hoursSinceBooking).toBeCloseTo(10);
+      expect(policy.id).toBe('default-24h-grace');
+      expect(CancellationPolicyService.getPenaltyAmount(policy, 500)).toBe(0);
+    });
+
+    it('has no grace period for departures within 48 hours', async () => {
+      const { policy } = await cancel({ bookedHoursBefore: 40, cancelHoursBefore: 30 });
+
+      expect(policy.id).toBe('default-under-48h');
+      expect(CancellationPolicyService.getPenaltyAmount(policy, 500)).toBe(500);
+    });
+
+    it('keeps 25% more than 7 days before departure', async () => {
+      const { policy } = await cancel({ bookedHoursBefore: 400, cancelHoursBefore: 200 });
+
+      expect(policy.id).toBe('default-over-7d');
+      expect(CancellationPolicyService.getPenaltyAmount(policy, 480)).toBe(120);
+    });
+
+    it('keeps 50% between 48 hours and 7 days before departure', async () => {
+      const { policy } = await cancel({ bookedHoursBefore: 400, cancelHoursBefore: 100 });
+
+      expect(policy.id).toBe('default-48h-7d');
+      expect(CancellationPolicyService.getPenaltyAmount(policy, 480)).toBe(240);
+    });
+
+    it('puts the band edges in the later band', async () => {
+      expect((await cancel({ bookedHoursBefore: 400, cancelHoursBefore: 168 })).policy.id).toBe('default-over-7d');
+      expect((await cancel({ bookedHoursBefore: 400, cancelHoursBefore: 167.9 })).policy.id).toBe('default-48h-7d');
+      expect((await cancel({ bookedHoursBefore: 400, cancelHoursBefore: 48 })).policy.id).toBe('default-48h-7d');
+      expect((await cancel({ bookedHoursBefore: 400, cancelHoursBefore: 47.9 })).policy.id).toBe('default-under-48h');
+    });
+
+    it('measures hours to departure from the UTC departure instant', async () => {
+      const { context } = await cancel({ bookedHoursBefore: 400, cancelHoursBefore: 100 });
+
+      expect(context.hoursToDeparture).toBeCloseTo(100);
+      expect(departure).toBe(Date.parse(flightOffer.itineraries[0].segments[0].departure.utcDateTime));
+    });
+
+    it('reads the fare class and airline from the offer', async () => {
+      const { context } = await cancel({ bookedHoursBefore: 400, cancelHoursBefore: 100 });
+
+      expect(context.fareClass).toBe(flightOffer.fareBasis.charAt(0));
+      expect(context.airline).toBe(flightOffer.airline);
+    });
+  });
+
+  describe('pickPolicy', () => {
+    const general = {
+      id: 'general',
+      fareClass: null,
+      airline: null,
+      minHoursBeforeDeparture: null,
+      maxHoursBeforeDeparture: null,
+      maxHoursSinceBooking: null,
+      refundable: true,
+      penaltyType: 'percentage',
+      penaltyValue: 30,
+      priority: 100
+    };
+    const context = { fareClass: 'Y', airline: 'BA', hoursToDeparture: 100, hoursSinceBooking: 100 };
+
+    it('prefers the lowest priority number', () => {
+      const urgent = { ...general, id: 'urgent', priority: 5 };
+      expect(CancellationPolicyService.pickPolicy([general, urgent], context).id).toBe('urgent');
+    });
+
+    it('prefers airline and fare class specific policies at equal priority', () => {
+      const fareClass = { ...general, id: 'fare-class', fareClass: 'Y' };
+      const airline = { ...general, id: 'airline', airline: 'BA' };
+
+      expect(CancellationPolicyService.pickPolicy([general, fareClass], context).id).toBe('fare-class');
+      expect(CancellationPolicyService.pickPolicy([general, fareClass, airline], context).id).toBe('airline');
+    });
+
+    it('skips policies for another airline or fare class', () => {
+      const otherAirline = { ...general, id: 'other-airline', airline: 'LH', priority: 1 };
+      const otherFareClass = { ...general, id: 'other-fare-class', fareClass: 'J', priority: 1 };
+
+      expect(CancellationPolicyService.pickPolicy([otherAirline, otherFareClass, general], context).id).toBe('general');
+      expect(CancellationPolicyService.pickPolicy([otherAirline], context)).toBeNull();
+    });
+  });
+
+  describe('getPenaltyAmount', () => {
+    it('caps a fixed penalty at the fare', () => {
+      const fixed = { refundable: true, penaltyType: 'fixed', penaltyValue: 150 };
+
+      expect(CancellationPolicyService.getPenaltyAmount(fixed, 400)).toBe(150);
+      expect(CancellationPolicyService.getPenaltyAmount(fixed, 100)).toBe(100);
+    });
+
+    it('rounds a percentage penalty to the cent', () => {
+      const percentage = { refundable: true, penaltyType: 'percentage', penaltyValue: 25 };
+
+      expect(CancellationPolicyService.getPenaltyAmount(percentage, 333.33)).toBe(83.33);
+    });
+  });
+});
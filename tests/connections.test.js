@@ -0,0 +1,209 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabase'));
+
+const {
+  analyzeConnection,
+  analyzeItineraryConnections,
+  summarizeConnections,
+  addConnectionAnalysis
+} = require('../utils/connections');
+const { searchMockOffers } = require('./helpers/mockOffers');
+
+// Segment arriving at or departing from an airport; times are UTC unless a local time is given
+const arrivingAt = (airport, utcDateTime, terminal = '', dateTime = utcDateTime.slice(0, 19)) => ({
+  arrival: { airport, terminal, dateTime, utcDateTime }
+});
+const departingFrom = (airport, utcDateTime, terminal = '', dateTime = utcDateTime.slice(0, 19)) => ({
+  departure: { airport, terminal, dateTime, utcDateTime }
+});
+
+describe('connections', () => {
+  describe('analyzeConnection', () => {
+    it('measures the layover and uses the default MCT for an airport without an override', () => {
+      const connection = analyzeConnection(
+        arrivingAt('ADD', '2026-11-10T08:00:00.000Z', '2'),
+        departingFrom('ADD', '2026-11-10T10:15:00.000Z', '2')
+      );
+
+      expect(connection).toMatchObject({
+        airport: 'ADD',
+        layoverMinutes: 135,
+        layoverDuration: '2h 15m',
+        airportChange: false,
+        terminalChange: false,
+        overnight: false,
+        minimumConnectionMinutes: 45,
+        connectionRisk: 'ok'
+      });
+    });
+
+    it('uses the hub MCT for a terminal change', () => {
+      const connection = analyzeConnection(
+        arrivingAt('LHR', '2026-11-10T08:00:00.000Z', '3'),
+        departingFrom('LHR', '2026-11-10T10:00:00.000Z', '5')
+      );
+
+      expect(connection.terminalChange).toBe(true);
+      expect(connection.minimumConnectionMinutes).toBe(90);
+      expect(connection.connectionRisk).toBe('ok');
+    });
+
+    it('does not report a terminal change when a terminal is unknown', () => {
+      const connection = analyzeConnection(
+        arrivingAt('LHR', '2026-11-10T08:00:00.000Z', '3'),
+        departingFrom('LHR', '2026-11-10T10:00:00.000Z')
+      );
+
+      expect(connection.terminalChange).toBe(false);
+      expect(connection.minimumConnectionMinutes).toBe(60);
+    });
+
+    it('applies the airport change MCT between airports of a city', () => {
+      const connection = analyzeConnection(
+        arrivingAt('LHR', '2026-11-10T08:00:00.000Z', '3'),
+        departingFrom('LGW', '2026-11-10T11:30:00.000Z', 'S')
+      );
+
+      expect(connection).toMatchObject({
+        arrivalAirport: 'LHR',
+        departureAirport: 'LGW',
+        airportChange: true,
+        terminalChange: false,
+        minimumConnectionMinutes: 180,
+        connectionRisk: 'ok'
+      });
+    });
+
+    it('rates connections against the MCT and the short-connection buffer', () => {
+      const rate = (minutes) => analyzeConnection(
+        arrivingAt('LOS', '2026-11-10T08:00:00.000Z', 'E'),
+        departingFrom('LOS', new Date(Date.parse('2026-11-10T08:00:00.000Z') + minutes * 60000).toISOString(), 'E')
+      ).connectionRisk;
+
+      // LOS same terminal: 90 minute MCT
+      expect(rate(89)).toBe('illegal');
+      expect(rate(90)).toBe('short');
+      expect(rate(119)).toBe('short');
+      expect(rate(120)).toBe('ok');
+    });
+
+    it('measures across time zones using UTC instants', () => {
+      // Lands 23:30 local in Lagos (UTC+1), leaves 01:00 local the next day
+      const connection = analyzeConnection(
+        arrivingAt('LOS', '2026-11-10T22:30:00.000Z', 'E', '2026-11-10T23:30:00'),
+        departingFrom('LOS', '2026-11-11T00:00:00.000Z', 'E', '2026-11-11T01:00:00')
+      );
+
+      expect(connection.layoverMinutes).toBe(90);
+      // Crosses midnight but is too short to count as overnight
+      expect(connection.overnight).toBe(false);
+    });
+
+    it('flags long layovers across local midnight as overnight', () => {
+      const connection = analyzeConnection(
+        arrivingAt('CDG', '2026-11-10T21:00:00.000Z', '2E', '2026-11-10T22:00:00'),
+        departingFrom('CDG', '2026-11-11T06:00:00.000Z', '2E', '2026-11-11T07:00:00')
+      );
+
+      expect(connection.layoverMinutes).toBe(540);
+      expect(connection.overnight).toBe(true);
+    });
+
+    it('falls back to local wall clocks without UTC times', () => {
+      const connection = analyzeConnection(
+        { arrival: { airport: 'ADD', dateTime: '2026-11-10T08:00:00' } },
+        { departure: { airport: 'ADD', dateTime: '2026-11-10T08:30:00' } }
+      );
+
+      expect(connection.layoverMinutes).toBe(30);
+      expect(connection.connectionRisk).toBe('illegal');
+    });
+
+    it('leaves the layover unknown without times', () => {
+      const connection = analyzeConnection({ arrival: { airport: 'ADD' } }, { departure: { airport: 'ADD' } });
+
+      expect(connection.layoverMinutes).toBeNull();
+      expect(connection.layoverDuration).toBeNull();
+      expect(connection.connectionRisk).toBe('ok');
+    });
+  });
+
+  describe('summarizeConnections', () => {
+    it('reports the worst case across connections', () => {
+      const summary = summarizeConnections([
+        { layoverMinutes: 50, airportChange: false, terminalChange: true, overnight: false, connectionRisk: 'short' },
+        { layoverMinutes: 300, airportChange: true, terminalChange: false, overnight: true, connectionRisk: 'ok' },
+        { layoverMinutes: null, airportChange: false, terminalChange: false, overnight: false, connectionRisk: 'ok' }
+      ]);
+
+      expect(summary).toEqual({
+        connectionCount: 3,
+        maxLayoverMinutes: 300,
+        hasAirportChange: true,
+        hasTerminalChange: true,
+        hasOvernightLayover: true,
+        hasShortConnection: true,
+        hasIllegalConnection: false
+      });
+    });
+
+    it('summarizes a nonstop itinerary', () => {
+      expect(summarizeConnections([])).toMatchObject({ connectionCount: 0, maxLayoverMinutes: 0 });
+    });
+  });
+
+  describe('mock supplier offers', () => {
+    let offers;
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      offers = await searchMockOffers({ tripType: 'roundtrip', returnDate: '2026-11-17' });
+    });
+
+    afterAll(() => {
+      console.warn.mockRestore();
+    });
+
+    it('analyzes one connection per pair of segments in every itinerary', () => {
+      expect(offers.length).toBeGreaterThan(0);
+
+      offers.forEach(offer => {
+        expect(offer.itineraries).toHaveLength(2);
+        offer.itineraries.forEach(itinerary => {
+          expect(itinerary.connections).toHaveLength(itinerary.segments.length - 1);
+        });
+        expect(offer.connections).toEqual(offer.itineraries[0].connections);
+        expect(offer.connectionSummary.connectionCount)
+          .toBe(offer.itineraries.reduce((total, itinerary) => total + itinerary.connections.length, 0));
+      });
+    });
+
+    it('only schedules legal connections', () => {
+      const connections = offers.flatMap(offer => offer.itineraries.flatMap(itinerary => itinerary.connections));
+
+      expect(connections.length).toBeGreaterThan(0);
+      connections.forEach(connection => {
+        expect(connection.layoverMinutes).toBeGreaterThanOrEqual(60);
+        expect(connection.connectionRisk).not.toBe('illegal');
+        expect(connection.airportChange).toBe(false);
+      });
+    });
+
+    it('matches analyzeItineraryConnections for the stored itineraries', () => {
+      const connecting = offers.find(offer => offer.stops > 0);
+      const itinerary = connecting.itineraries[0];
+
+      expect(analyzeItineraryConnections(itinerary)).toEqual(itinerary.connections);
+    });
+
+    it('falls back to the offer segments without itineraries', () => {
+      const connecting = offers.find(offer => offer.stops > 0);
+      const { itineraries, connections, connectionSummary, ...legacy } = connecting;
+
+      const analyzed = addConnectionAnalysis(legacy);
+
+      expect(analyzed.itineraries).toBeUndefined();
+      expect(analyzed.connections).toEqual(connecting.itineraries[0].connections);
+      expect(analyzed.connectionSummary.connectionCount).toBe(connecting.stops);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabase'));
+
+const { estimateSegmentEmissions, estimateOfferEmissions, getOfferEmissions } = require('../utils/emissions');
+const { distanceKm } = require('../utils/geo');
+const { AIRPORTS } = require('../utils/mockFlightFixtures');
+const { searchMockOffers } = require('./helpers/mockOffers');
+
+const airports = new Map(AIRPORTS.map(airport => [airport.code, airport]));
+const airport = (code) => airports.get(code);
+
+// Economy estimate on an unlisted aircraft: (great circle + 95 km) * haul factor
+const expectedEconomyKg = (from, to, kgPerKm) => Math.round((distanceKm(airport(from), airport(to)) + 95) * kgPerKm);
+
+const segment = (from, to, aircraftCode) => ({
+  departure: { airport: from },
+  arrival: { airport: to },
+  aircraftCode
+});
+
+describe('emissions', () => {
+  describe('estimateSegmentEmissions', () => {
+    it('uses the short-haul factor up to 1500 km', () => {
+      const estimate = estimateSegmentEmissions({ from: airport('LOS'), to: airport('ABV') });
+
+      expect(estimate.distanceKm).toBeLessThan(1500);
+      expect(estimate.co2Kg).toBe(expectedEconomyKg('LOS', 'ABV', 0.133));
+      expect(estimate.aircraftKnown).toBe(false);
+    });
+
+    it('uses the medium-haul factor up to 4000 km', () => {
+      const estimate = estimateSegmentEmissions({ from: airport('LOS'), to: airport('DSS') });
+
+      expect(estimate.distanceKm).toBeGreaterThan(1500);
+      expect(estimate.distanceKm).toBeLessThanOrEqual(4000);
+      expect(estimate.co2Kg).toBe(expectedEconomyKg('LOS', 'DSS', 0.102));
+    });
+
+    it('uses the long-haul factor beyond 4000 km', () => {
+      const estimate = estimateSegmentEmissions({ from: airport('LOS'), to: airport('LHR') });
+
+      expect(estimate.distanceKm).toBeGreaterThan(4000);
+      expect(estimate.co2Kg).toBe(expectedEconomyKg('LOS', 'LHR', 0.095));
+    });
+
+    it('scales by cabin', () => {
+      const economy = estimateSegmentEmissions({ from: airport('LOS'), to: airport('LHR'), cabin: 'economy' });
+      const business = estimateSegmentEmissions({ from: airport('LOS'), to: airport('LHR'), cabin: 'business' });
+      const premium = estimateSegmentEmissions({ from: airport('LOS'), to: airport('LHR'), cabin: 'premium-economy' });
+
+      expect(business.co2Kg / economy.co2Kg).toBeCloseTo(2.9, 1);
+      expect(premium.co2Kg / economy.co2Kg).toBeCloseTo(1.5, 1);
+    });
+
+    it('treats an unknown cabin as economy', () => {
+      const economy = estimateSegmentEmissions({ from: airport('LOS'), to: airport('LHR') });
+      const unknown = estimateSegmentEmissions({ from: airport('LOS'), to: airport('LHR'), cabin: 'steerage' });
+
+      expect(unknown).toEqual(economy);
+    });
+
+    it('adjusts for known aircraft types', () => {
+      const typical = estimateSegmentEmissions({ from: airport('LOS'), to: airport('LHR') });
+      const efficient = estimateSegmentEmissions({ from: airport('LOS'), to: airport('LHR'), aircraftCode: '789' });
+
+      expect(efficient.aircraftKnown).toBe(true);
+      expect(efficient.co2Kg).toBeLessThan(typical.co2Kg);
+    });
+
+    it('returns null without coordinates for both airports', () => {
+      expect(estimateSegmentEmissions({ from: airport('LOS'), to: { code: 'XXX' } })).toBeNull();
+      expect(estimateSegmentEmissions({ from: null, to: airport('LHR') })).toBeNull();
+    });
+  });
+
+  describe('estimateOfferEmissions', () => {
+    it('adds up every segment of every itinerary', () => {
+      const offer = {
+        cabinClass: 'ECONOMY',
+        itineraries: [
+          { segments: [segment('LOS', 'CDG'), segment('CDG', 'LHR')] },
+          { segments: [segment('LHR', 'LOS')] }
+        ]
+      };
+
+      const estimate = estimateOfferEmissions(offer, airports);
+      const legs = [['LOS', 'CDG'], ['CDG', 'LHR'], ['LHR', 'LOS']]
+        .map(([from, to]) => estimateSegmentEmissions({ from: airport(from), to: airport(to) }));
+
+      expect(estimate).toEqual({
+        co2KgPerPassenger: legs.reduce((total, leg) => total + leg.co2Kg, 0),
+        distanceKm: legs.reduce((total, leg) => total + leg.distanceKm, 0),
+        cabin: 'economy',
+        aircraftKnown: false,
+        estimated: true
+      });
+    });
+
+    it('uses the offer segments without itineraries', () => {
+      const offer = { segments: [segment('LOS', 'LHR', '789')] };
+
+      expect(estimateOfferEmissions(offer, airports)).toMatchObject({
+        co2KgPerPassenger: estimateSegmentEmissions({ from: airport('LOS'), to: airport('LHR'), aircraftCode: '789' }).co2Kg,
+        aircraftKnown: true
+      });
+    });
+
+    it('gives no estimate when any airport is unknown', () => {
+      const offer = { segments: [segment('LOS', 'CDG'), segment('CDG', 'XXX')] };
+
+      expect(estimateOfferEmissions(offer, airports)).toBeNull();
+    });
+
+    it('gives no estimate without segments', () => {
+      expect(estimateOfferEmissions({ itineraries: [] }, airports)).toBeNull();
+    });
+  });
+
+  describe('getOfferEmissions', () => {
+    it('reads the per-passenger figure or null', () => {
+      expect(getOfferEmissions({ emissions: { co2KgPerPassenger: 412 } })).toBe(412);
+      expect(getOfferEmissions({ emissions: null })).toBeNull();
+      expect(getOfferEmissions({})).toBeNull();
+    });
+  });
+
+  describe('mock supplier offers', () => {
+    beforeAll(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+      console.warn.mockRestore();
+    });
+
+    it('carries an estimate for every offer', async () => {
+      const offers = await searchMockOffers();
+
+      expect(offers.length).toBeGreaterThan(0);
+      offers.forEach(offer => {
+        expect(offer.emissions).toEqual(estimateOfferEmissions(offer, airports));
+        expect(offer.emissions.aircraftKnown).toBe(true);
+      });
+    });
+
+    it('estimates more for premium cabins on the same route', async () => {
+      const [economy] = await searchMockOffers({ directFlights: true });
+      const [business] = await searchMockOffers({ directFlights: true, class: 'business' });
+
+      expect(business.emissions.co2KgPerPassenger).toBeGreaterThan(economy.emissions.co2KgPerPassenger * 2);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabase'));
+
+const { durationToMinutes, filterOffers, sortOffers, paginate, buildFacets } = require('../utils/flightFilters');
+const { searchMockOffers } = require('./helpers/mockOffers');
+
+const getPrice = (offer) => parseFloat(offer.price?.total ?? offer.price);
+const toMinutes = (time) => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+
+describe('flightFilters', () => {
+  let offers;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    offers = await searchMockOffers();
+  });
+
+  afterAll(() => {
+    console.warn.mockRestore();
+  });
+
+  it('gets a mix of nonstop and connecting offers from the mock supplier', () => {
+    expect(offers.length).toBeGreaterThan(3);
+    expect(offers.some(offer => offer.stops === 0)).toBe(true);
+    expect(offers.some(offer => offer.stops === 1)).toBe(true);
+  });
+
+  describe('durationToMinutes', () => {
+    it('parses hours and minutes', () => {
+      expect(durationToMinutes('7h 25m')).toBe(445);
+      expect(durationToMinutes('11h 0m')).toBe(660);
+      expect(durationToMinutes('45m')).toBe(45);
+      expect(durationToMinutes('3h')).toBe(180);
+    });
+
+    it('treats a missing duration as zero', () => {
+      expect(durationToMinutes(null)).toBe(0);
+      expect(durationToMinutes('')).toBe(0);
+    });
+  });
+
+  describe('filterOffers', () => {
+    it('returns every offer without filters', () => {
+      expect(filterOffers(offers)).toHaveLength(offers.length);
+    });
+
+    it('filters by price range', () => {
+      const prices = offers.map(getPrice).sort((a, b) => a - b);
+      const minPrice = prices[1];
+      const maxPrice = prices[prices.length - 2];
+
+      const results = filterOffers(offers, { minPrice, maxPrice });
+
+      expect(results).toHaveLength(offers.length - 2);
+      results.forEach(offer => {
+        expect(getPrice(offer)).toBeGreaterThanOrEqual(minPrice);
+        expect(getPrice(offer)).toBeLessThanOrEqual(maxPrice);
+      });
+    });
+
+    it('reads the price from a { total } object', () => {
+      const priced = [{ ...offers[0], price: { total: '100.00' } }, { ...offers[1], price: { total: '900.00' } }];
+      expect(filterOffers(priced, { maxPrice: 500 })).toEqual([priced[0]]);
+    });
+
+    it('filters by number of stops', () => {
+      const nonstop = filterOffers(offers, { stops: [0] });
+
+      expect(nonstop.length).toBeGreaterThan(0);
+      nonstop.forEach(offer => expect(offer.stops).toBe(0));
+      expect(filterOffers(offers, { stops: [0, 1] })).toHaveLength(offers.length);
+    });
+
+    it('puts two or more stops in one bucket', () => {
+      const twoStops = { ...offers[0], stops: 2 };
+      const threeStops = { ...offers[0], stops: 3 };
+
+      expect(filterOffers([twoStops, threeStops], { stops: [2] })).toHaveLength(2);
+    });
+
+    it('filters by airline', () => {
+      const airline = offers[0].airline;
+      const results = filterOffers(offers, { airlines: [airline] });
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(offer => expect(offer.airline).toBe(airline));
+    });
+
+    it('filters by maximum duration', () => {
+      const shortest = Math.min(...offers.map(offer => durationToMinutes(offer.duration)));
+      const results = filterOffers(offers, { maxDuration: shortest });
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(offer => expect(durationToMinutes(offer.duration)).toBe(shortest));
+    });
+
+    it('filters by departure and arrival time windows', () => {
+      const departures = filterOffers(offers, { departureTimeFrom: '12:00', departureTimeTo: '18:00' });
+      departures.forEach(offer => {
+        expect(toMinutes(offer.departure.time)).toBeGreaterThanOrEqual(12 * 60);
+        expect(toMinutes(offer.departure.time)).toBeLessThanOrEqual(18 * 60);
+      });
+
+      const arrivals = filterOffers(offers, { arrivalTimeFrom: '06:00' });
+      arrivals.forEach(offer => expect(toMinutes(offer.arrival.time)).toBeGreaterThanOrEqual(6 * 60));
+
+      const excluded = offers.length - departures.length;
+      expect(excluded).toBeGreaterThan(0);
+    });
+
+    it('reads the clock time from an ISO datetime', () => {
+      const offer = { ...offers[0], departure: { time: '2026-11-10T07:30:00+01:00' } };
+
+      expect(filterOffers([offer], { departureTimeFrom: '07:00', departureTimeTo: '08:00' })).toHaveLength(1);
+      expect(filterOffers([offer], { departureTimeFrom: '08:00' })).toHaveLength(0);
+    });
+
+    it('filters by maximum emissions and drops offers without an estimate', () => {
+      const lowest = Math.min(...offers.map(offer => offer.emissions.co2KgPerPassenger));
+      const withoutEstimate = { ...offers[0], id: 'no_estimate', emissions: null };
+
+      const results = filterOffers([...offers, withoutEstimate], { maxEmissions: lowest });
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(offer => expect(offer.emissions.co2KgPerPassenger).toBe(lowest));
+    });
+
+    it('keeps offers below the typical emissions for lowerEmissions', () => {
+      const values = offers.map(offer => offer.emissions.co2KgPerPassenger).sort((a, b) => a - b);
+      const middle = Math.floor(values.length / 2);
+      const typical = values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+
+      const results = filterOffers(offers, { lowerEmissions: true });
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(offer => expect(offer.emissions.co2KgPerPassenger).toBeLessThan(typical));
+    });
+
+    it('filters by maximum layover', () => {
+      const results = filterOffers(offers, { maxLayover: 120 });
+
+      expect(results.length).toBeLessThan(offers.length);
+      results.forEach(offer => expect(offer.connectionSummary.maxLayoverMinutes).toBeLessThanOrEqual(120));
+    });
+
+    it('drops airport changes when asked', () => {
+      const airportChange = {
+        ...offers[0],
+        id: 'airport_change',
+        connectionSummary: { ...offers[0].connectionSummary, hasAirportChange: true }
+      };
+
+      const results = filterOffers([...offers, airportChange], { noAirportChange: true });
+
+      expect(results).toHaveLength(offers.length);
+      expect(results.find(offer => offer.id === 'airport_change')).toBeUndefined();
+    });
+
+    it('lets offers without a connection summary through the connection filters', () => {
+      const { connectionSummary, ...cached } = offers[0];
+
+      expect(filterOffers([cached], { maxLayover: 0, noAirportChange: true })).toEqual([cached]);
+    });
+  });
+
+  describe('sortOffers', () => {
+    it('sorts by price in either direction', () => {
+      const ascending = sortOffers(offers, 'price', 'asc').map(getPrice);
+      const descending = sortOffers(offers, 'price', 'desc').map(getPrice);
+
+      expect(ascending).toEqual([...ascending].sort((a, b) => a - b));
+      expect(descending).toEqual([...ascending].reverse());
+    });
+
+    it('sorts by duration, then price', () => {
+      const sorted = sortOffers(offers, 'duration');
+
+      for (let i = 1; i < sorted.length; i++) {
+        const previous = durationToMinutes(sorted[i - 1].duration);
+        const current = durationToMinutes(sorted[i].duration);
+        expect(current).toBeGreaterThanOrEqual(previous);
+        if (current === previous) {
+          expect(getPrice(sorted[i])).toBeGreaterThanOrEqual(getPrice(sorted[i - 1]));
+        }
+      }
+    });
+
+    it('sorts by departure time', () => {
+      const times = sortOffers(offers, 'departure').map(offer => toMinutes(offer.departure.time));
+      expect(times).toEqual([...times].sort((a, b) => a - b));
+    });
+
+    it('puts offers without an emissions estimate last in both directions', () => {
+      const withoutEstimate = { ...offers[0], id: 'no_estimate', emissions: null };
+      const withEstimate = [...offers, withoutEstimate];
+
+      const ascending = sortOffers(withEstimate, 'emissions', 'asc');
+      const descending = sortOffers(withEstimate, 'emissions', 'desc');
+
+      expect(ascending[ascending.length - 1].id).toBe('no_estimate');
+      expect(descending[descending.length - 1].id).toBe('no_estimate');
+      expect(ascending[0].emissions.co2KgPerPassenger)
+        .toBe(Math.min(...offers.map(offer => offer.emissions.co2KgPerPassenger)));
+    });
+
+    it('ranks a cheap nonstop first for best', () => {
+      const cheapest = sortOffers(offers, 'price')[0];
+      const best = sortOffers(offers, 'best')[0];
+
+      expect(best.stops).toBe(0);
+      expect(getPrice(best)).toBeLessThanOrEqual(getPrice(cheapest) * 1.1);
+    });
+
+    it('falls back to price for an unknown sort', () => {
+      expect(sortOffers(offers, 'unknown')).toEqual(sortOffers(offers, 'price'));
+    });
+
+    it('does not reorder the input', () => {
+      const ids = offers.map(offer => offer.id);
+      sortOffers(offers, 'price', 'desc');
+      expect(offers.map(offer => offer.id)).toEqual(ids);
+    });
+  });
+
+  describe('paginate', () => {
+    it('returns the requested page and totals', () => {
+      const { items, pagination } = paginate(offers, 2, 4);
+
+      expect(items).toEqual(offers.slice(4, 8));
+      expect(pagination).toEqual({
+        page: 2,
+        limit: 4,
+        total: offers.length,
+        totalPages: Math.ceil(offers.length / 4)
+      });
+    });
+
+    it('returns no items past the last page', () => {
+      expect(paginate(offers, 99, 20).items).toEqual([]);
+    });
+  });
+
+  describe('buildFacets', () => {
+    it('counts offers per airline and stop bucket with their lowest price', () => {
+      const facets = buildFacets(offers);
+
+      expect(facets.airlines.reduce((total, airline) => total + airline.count, 0)).toBe(offers.length);
+      facets.airlines.forEach(airline => {
+        const airlineOffers = offers.filter(offer => offer.airline === airline.code);
+        expect(airline.count).toBe(airlineOffers.length);
+        expect(airline.minPrice).toBe(Math.min(...airlineOffers.map(getPrice)));
+      });
+
+      expect(facets.stops.map(stop => stop.stops)).toEqual([0, 1]);
+      expect(facets.stops.reduce((total, stop) => total + stop.count, 0)).toBe(offers.length);
+    });
+
+    it('puts every offer in a price bucket', () => {
+      const facets = buildFacets(offers);
+      const prices = offers.map(getPrice);
+
+      expect(facets.priceRange).toEqual({ min: Math.floor(Math.min(...prices)), max: Math.ceil(Math.max(...prices)) });
+      expect(facets.priceBuckets.reduce((total, bucket) => total + bucket.count, 0)).toBe(offers.length);
+    });
+
+    it('summarizes emissions', () => {
+      const values = offers.map(offer => offer.emissions.co2KgPerPassenger);
+      const { emissions } = buildFacets(offers);
+
+      expect(emissions.min).toBe(Math.min(...values));
+      expect(emissions.max).toBe(Math.max(...values));
+      expect(emissions.typical).toBeGreaterThanOrEqual(emissions.min);
+      expect(emissions.typical).toBeLessThanOrEqual(emissions.max);
+    });
+
+    it('handles an empty result set', () => {
+      expect(buildFacets([])).toEqual({
+        airlines: [],
+        stops: [],
+        priceBuckets: [],
+        priceRange: { min: 0, max: 0 },
+        emissions: null
+      });
+    });
+  });
+});
@@ -0,0 +1,14 @@
+// Offers from the deterministic mock supplier, for tests that need realistic search results.
+// Test files using this must mock @supabase/supabase-js with ./supabase first.
+
+const FlightSearchService = require('../../services/flightSearchService');
+
+const searchMockOffers = (searchParams = {}) => FlightSearchService.getMockFlightData({
+  from: 'LOS',
+  to: 'LHR',
+  departureDate: '2026-11-10',
+  passengers: { adults: 1 },
+  ...searchParams
+});
+
+module.exports = { searchMockOffers };
@@ -0,0 +1,23 @@
+// Stand-in for @supabase/supabase-js in unit tests. Every query fails the way an
+// unreachable database does, so services fall back to their defaults and fixtures.
+
+const OFFLINE_RESULT = { data: null, error: { message: 'Database not available in tests' } };
+
+const createQuery = () => {
+  const query = new Proxy({}, {
+    get(target, property) {
+      if (property === 'then') {
+        return (resolve, reject) => Promise.resolve(OFFLINE_RESULT).then(resolve, reject);
+      }
+      return () => query;
+    }
+  });
+  return query;
+};
+
+const createClient = () => ({
+  from: () => createQuery(),
+  rpc: () => createQuery()
+});
+
+module.exports = { createClient };
@@ -0,0 +1,216 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabase'));
+
+const FlightSearchService = require('../services/flightSearchService');
+const { distanceKm } = require('../utils/geo');
+const { createSeededRandom } = require('../utils/seededRandom');
+const { AIRPORTS, AIRLINES } = require('../utils/mockFlightFixtures');
+const { searchMockOffers } = require('./helpers/mockOffers');
+
+const airports = new Map(AIRPORTS.map(airport => [airport.code, airport]));
+const hubsOf = (airlineCode) => AIRLINES.find(airline => airline.code === airlineCode).hubs;
+const toMinutes = (duration) => {
+  const [, hours, minutes] = duration.match(/(\d+)h (\d+)m/);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+const getElapsedMinutes = (segment) =>
+  (Date.parse(segment.arrival.utcDateTime) - Date.parse(segment.departure.utcDateTime)) / 60000;
+
+describe('mock flight supplier', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.warn.mockRestore();
+    console.log.mockRestore();
+  });
+
+  describe('determinism', () => {
+    it('returns the same offers for the same search', async () => {
+      const first = await searchMockOffers();
+      const second = await searchMockOffers();
+
+      expect(first.length).toBeGreaterThan(0);
+      expect(second).toEqual(first);
+    });
+
+    it('gives every offer a stable id from its flight numbers', async () => {
+      const offers = await searchMockOffers({ tripType: 'roundtrip', returnDate: '2026-11-17' });
+
+      offers.forEach(offer => {
+        const flightNumbers = offer.itineraries.flatMap(itinerary => itinerary.segments.map(segment => segment.flightNumber));
+        expect(offer.id).toBe(`mock_${flightNumbers.join('_')}`);
+      });
+      expect(new Set(offers.map(offer => offer.id)).size).toBe(offers.length);
+    });
+
+    it('keeps the timetable and varies only fares with the travel date', async () => {
+      const tuesday = await searchMockOffers({ departureDate: '2026-11-10' });
+      const wednesday = await searchMockOffers({ departureDate: '2026-11-11' });
+      const schedule = (offers) => offers
+        .map(offer => `${offer.flightNumber} ${offer.departure.time} ${offer.duration}`)
+        .sort();
+
+      expect(schedule(wednesday)).toEqual(schedule(tuesday));
+      expect(wednesday.map(offer => offer.price)).not.toEqual(tuesday.map(offer => offer.price));
+    });
+
+    it('returns different offers for a different route', async () => {
+      const london = await searchMockOffers({ to: 'LHR' });
+      const newYork = await searchMockOffers({ to: 'JFK' });
+
+      expect(newYork.map(offer => offer.id)).not.toEqual(london.map(offer => offer.id));
+    });
+
+    it('draws the same sequence from the same seed', () => {
+      const first = createSeededRandom('LOS-LHR');
+      const second = createSeededRandom('LOS-LHR');
+      const other = createSeededRandom('LOS-JFK');
+
+      const sequence = [first(), first(), first()];
+
+      expect([second(), second(), second()]).toEqual(sequence);
+      expect([other(), other(), other()]).not.toEqual(sequence);
+      sequence.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+  });
+
+  describe('routes', () => {
+    it('flies nonstop only for airlines with a hub at either end', async () => {
+      const offers = await searchMockOffers();
+
+      offers.forEach(offer => {
+        const hubs = hubsOf(offer.airline);
+        const touchesHub = hubs.includes('LOS') || hubs.includes('LHR');
+
+        if (offer.stops === 0) {
+          expect(touchesHub).toBe(true);
+        } else {
+          expect(touchesHub).toBe(false);
+          const connection = offer.itineraries[0].segments[0].arrival.airport;
+          expect(hubs).toContain(connection);
+        }
+      });
+    });
+
+    it('connects each segment where the previous one landed', async () => {
+      const offers = await searchMockOffers({ to: 'JFK' });
+
+      offers.forEach(offer => {
+        const { segments } = offer.itineraries[0];
+        expect(segments[0].departure.airport).toBe('LOS');
+        expect(segments[segments.length - 1].arrival.airport).toBe('JFK');
+        segments.slice(1).forEach((segment, index) => {
+          expect(segment.departure.airport).toBe(segments[index].arrival.airport);
+        });
+        expect(offer.stops).toBe(segments.length - 1);
+      });
+    });
+
+    it('flies the return over the same airline and hub', async () => {
+      const offers = await searchMockOffers({ tripType: 'roundtrip', returnDate: '2026-11-17' });
+
+      offers.forEach(offer => {
+        const [outbound, inbound] = offer.itineraries;
+        const outboundRoute = outbound.segments.map(segment => segment.departure.airport);
+        const inboundRoute = inbound.segments.map(segment => segment.arrival.airport).reverse();
+
+        expect(inboundRoute).toEqual(outboundRoute);
+        inbound.segments.forEach(segment => expect(segment.airline).toBe(offer.airline));
+      });
+    });
+
+    it('keeps only nonstop offers for direct flight searches', async () => {
+      const offers = await searchMockOffers({ directFlights: true });
+
+      expect(offers.length).toBeGreaterThan(0);
+      offers.forEach(offer => expect(offer.stops).toBe(0));
+    });
+
+    it('flies metro area searches from the primary airport', async () => {
+      const offers = await searchMockOffers({ from: 'LON', to: 'LOS' });
+
+      expect(offers.length).toBeGreaterThan(0);
+      offers.forEach(offer => expect(offer.departure.airport).toBe('LHR'));
+    });
+
+    it('returns nothing for unknown airports or the same origin and destination', async () => {
+      expect(await searchMockOffers({ to: 'XXX' })).toEqual([]);
+      expect(await searchMockOffers({ to: 'LOS' })).toEqual([]);
+    });
+  });
+
+  describe('great-circle distance', () => {
+    it('derives block times from sector length', async () => {
+      const offers = await searchMockOffers({ to: 'JFK' });
+      const segments = offers.flatMap(offer => offer.itineraries[0].segments);
+
+      segments.forEach(segment => {
+        const sectorKm = distanceKm(airports.get(segment.departure.airport), airports.get(segment.arrival.airport));
+        // 30 minutes of taxi, climb and descent plus ~800 km/h, to the nearest 5 minutes
+        const expected = Math.round((30 + sectorKm / 800 * 60) / 5) * 5;
+
+        expect(toMinutes(segment.duration)).toBe(expected);
+        expect(getElapsedMinutes(segment)).toBe(expected);
+      });
+    });
+
+    it('takes longer and costs more on longer routes', async () => {
+      const shortHaul = await searchMockOffers({ to: 'ACC', directFlights: true });
+      const longHaul = await searchMockOffers({ to: 'JFK', directFlights: true });
+      const cheapest = (offers) => Math.min(...offers.map(offer => offer.price));
+      const fastest = (offers) => Math.min(...offers.map(offer => toMinutes(offer.duration)));
+
+      expect(fastest(longHaul)).toBeGreaterThan(fastest(shortHaul) * 4);
+      expect(cheapest(longHaul)).toBeGreaterThan(cheapest(shortHaul) * 3);
+    });
+
+    it('prices fares from distance, cabin and booking class', () => {
+      const routing = { via: [], distanceKm: 5000 };
+      // A Tuesday, no weekend uplift; 0.4 gives no fare noise
+      const fare = (cabin, bookingClassIndex, km = 5000) =>
+        FlightSearchService.getMockFare(routing, km, cabin, bookingClassIndex, '2026-11-10', () => 0.4);
+
+      // (60 + 5000 km * 0.075) * 1.12 nonstop
+      expect(fare('economy', 0)).toBeCloseTo(487.2);
+      expect(fare('economy', 0, 10000)).toBeCloseTo((60 + 750) * 1.12);
+      expect(fare('business', 0) / fare('economy', 0)).toBeCloseTo(3.4);
+      expect(fare('economy', 2) / fare('economy', 0)).toBeCloseTo(1.4);
+    });
+
+    it('only connects over hubs that keep the detour reasonable', () => {
+      const origin = { ...airports.get('LOS'), code: 'LOS' };
+      const destination = { ...airports.get('JFK'), code: 'JFK' };
+
+      FlightSearchService.planMockRoutings(origin, destination).forEach(routing => {
+        const points = [origin, ...routing.via, destination];
+        const flownKm = points.slice(1).reduce((total, point, index) => total + distanceKm(points[index], point), 0);
+
+        expect(routing.distanceKm).toBeCloseTo(flownKm);
+        expect(routing.detour).toBeLessThanOrEqual(1.3);
+      });
+    });
+  });
+
+  describe('pricing', () => {
+    it('prices children and infants as a share of the adult fare', async () => {
+      const [offer] = await searchMockOffers({ passengers: { adults: 2, children: 1, infants: 1 } });
+      const lines = Object.fromEntries(offer.priceBreakdown.map(line => [line.travelerType, line]));
+
+      expect(lines.ADULT.count).toBe(2);
+      expect(lines.CHILD.perTraveler.total).toBe(Math.round(lines.ADULT.perTraveler.total * 0.75));
+      expect(lines.HELD_INFANT.perTraveler.total).toBe(Math.round(lines.ADULT.perTraveler.total * 0.1));
+      expect(offer.price).toBe(offer.priceBreakdown.reduce((total, line) => total + line.total, 0));
+    });
+
+    it('sorts offers by price', async () => {
+      const prices = (await searchMockOffers({ to: 'JFK' })).map(offer => offer.price);
+
+      expect(prices).toEqual([...prices].sort((a, b) => a - b));
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// Connection analysis for normalized itineraries: how long each layover is,
+// whether it needs an airport or terminal change, whether it runs overnight
+// and whether it meets the minimum connection time (MCT).
+
+// Default minimum connection times, in minutes
+const DEFAULT_MCT = {
+  sameTerminal: 45,
+  terminalChange: 75,
+  airportChange: 180
+};
+
+// Large hubs where terminal transfers take longer than the default
+const MCT_BY_AIRPORT = {
+  LHR: { sameTerminal: 60, terminalChange: 90 },
+  CDG: { sameTerminal: 60, terminalChange: 90 },
+  FRA: { sameTerminal: 45, terminalChange: 60 },
+  AMS: { sameTerminal: 50, terminalChange: 50 },
+  JFK: { sameTerminal: 60, terminalChange: 120 },
+  LAX: { sameTerminal: 60, terminalChange: 120 },
+  ORD: { sameTerminal: 50, terminalChange: 90 },
+  DXB: { sameTerminal: 75, terminalChange: 90 },
+  IST: { sameTerminal: 60, terminalChange: 60 },
+  LOS: { sameTerminal: 90, terminalChange: 120 }
+};
+
+// Connections this close to the MCT are legal but easily missed
+const SHORT_CONNECTION_BUFFER_MINUTES = 30;
+// A layover that crosses local midnight only counts as overnight when it is this long
+const OVERNIGHT_MIN_LAYOVER_MINUTES = 240;
+
+const formatLayover = (minutes) => `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+
+// UTC instants when the supplier's time zones are known, otherwise local wall clocks
+const getLayoverMinutes = (arrival, departure) => {
+  const from = arrival.utcDateTime || arrival.dateTime;
+  const to = departure.utcDateTime || departure.dateTime;
+  if (!from || !to) return null;
+  return Math.round((Date.parse(to) - Date.parse(from)) / 60000);
+};
+
+const getMinimumConnectionMinutes = (airport, { airportChange, terminalChange }) => {
+  if (airportChange) return DEFAULT_MCT.airportChange;
+  const rules = { ...DEFAULT_MCT, ...MCT_BY_AIRPORT[airport] };
+  return terminalChange ? rules.terminalChange : rules.sameTerminal;
+};
+
+const analyzeConnection = (inbound, outbound) => {
+  const arrival = inbound.arrival || {};
+  const departure = outbound.departure || {};
+  const airportChange = Boolean(arrival.airport && departure.airport && arrival.airport !== departure.airport);
+  // Unknown terminals are not reported as a change
+  const terminalChange = !airportChange && Boolean(arrival.terminal && departure.terminal && arrival.terminal !== departure.terminal);
+  const layoverMinutes = getLayoverMinutes(arrival, departure);
+  const minimumConnectionMinutes = getMinimumConnectionMinutes(arrival.airport, { airportChange, terminalChange });
+
+  const crossesMidnight = Boolean(arrival.dateTime && departure.dateTime &&
+    arrival.dateTime.slice(0, 10) !== departure.dateTime.slice(0, 10));
+
+  let connectionRisk = 'ok';
+  if (layoverMinutes !== null && layoverMinutes < minimumConnectionMinutes) {
+    connectionRisk = 'illegal';
+  } else if (layoverMinutes !== null && layoverMinutes < minimumConnectionMinutes + SHORT_CONNECTION_BUFFER_MINUTES) {
+    connectionRisk = 'short';
+  }
+
+  return {
+    airport: arrival.airport || null,
+    arrivalAirport: arrival.airport || null,
+    departureAirport: departure.airport || null,
+    arrivalTerminal: arrival.terminal || '',
+    departureTerminal: departure.terminal || '',
+    layoverMinutes,
+    layoverDuration: layoverMinutes !== null ? formatLayover(layoverMinutes) : null,
+    airportChange,
+    terminalChange,
+    overnight: crossesMidnight && layoverMinutes !== null && layoverMinutes >= OVERNIGHT_MIN_LAYOVER_MINUTES,
+    minimumConnectionMinutes,
+    connectionRisk
+  };
+};
+
+// One entry per connection, i.e. between each pair of consecutive segments
+const analyzeItineraryConnections = (itinerary) => {
+  const segments = itinerary?.segments || [];
+  return segments.slice(1).map((segment, index) => analyzeConnection(segments[index], segment));
+};
+
+// Worst case across every connection of an offer, for filtering and badges
+const summarizeConnections = (connections) => {
+  const layovers = connections.map(connection => connection.layoverMinutes).filter(minutes => minutes !== null);
+
+  return {
+    connectionCount: connections.length,
+    maxLayoverMinutes: layovers.length ? Math.max(...layovers) : 0,
+    hasAirportChange: connections.some(connection => connection.airportChange),
+    hasTerminalChange: connections.some(connection => connection.terminalChange),
+    hasOvernightLayover: connections.some(connection => connection.overnight),
+    hasShortConnection: connections.some(connection => connection.connectionRisk === 'short'),
+    hasIllegalConnection: connections.some(connection => connection.connectionRisk === 'illegal')
+  };
+};
+
+// Adds connections to every itinerary (and the outbound shortcut) plus an offer-level summary
+const addConnectionAnalysis = (offer) => {
+  const itineraries = Array.isArray(offer.itineraries) && offer.itineraries.length > 0
+    ? offer.itineraries.map(itinerary => ({ ...itinerary, connections: analyzeItineraryConnections(itinerary) }))
+    : null;
+  const outboundConnections = itineraries
+    ? itineraries[0].connections
+    : analyzeItineraryConnections({ segments: offer.segments });
+
+  return {
+    ...offer,
+    ...(itineraries ? { itineraries } : {}),
+    connections: outboundConnections,
+    connectionSummary: summarizeConnections(itineraries
+      ? itineraries.flatMap(itinerary => itinerary.connections)
+      : outboundConnections)
+  };
+};
+
+module.exports = {
+  analyzeConnection,
+  analyzeItineraryConnections,
+  summarizeConnections,
+  addConnectionAnalysis
+};
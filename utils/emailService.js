@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { getItineraries, getItineraryLabel, formatFlightTime } = require('./flightItinerary');
 
 class EmailService {
   constructor() {
@@ -29,18 +30,16 @@ class EmailService {
             passengers,
             seat_selections = [],
             baggage_selections = [],
+            booking_ancillaries = [],
+            seat_fees = 0,
+            ancillary_fees = 0,
             created_at,
             confirmed_at 
         } = booking;
 
         // Check if flight offer data exists and is valid
-        const hasValidFlightData = flight_offer && 
-                                  flight_offer.itineraries && 
-                                  Array.isArray(flight_offer.itineraries) &&
-                                  flight_offer.itineraries.length > 0 &&
-                                  flight_offer.itineraries[0].segments &&
-                                  Array.isArray(flight_offer.itineraries[0].segments) &&
-                                  flight_offer.itineraries[0].segments.length > 0;
+        const itineraries = getItineraries(flight_offer);
+        const hasValidFlightData = itineraries.length > 0;
 
         // If no valid flight data, return fallback template
         if (!hasValidFlightData) {
@@ -80,33 +79,9 @@ class EmailService {
             minute: '2-digit'
         });
 
-        // Get flight details with error handling
-        const departure = flight_offer.itineraries[0].segments[0];
-        const arrival = flight_offer.itineraries[0].segments[flight_offer.itineraries[0].segments.length - 1];
-        
-        // Check if it's a round trip
-        const isRoundTrip = flight_offer.itineraries.length > 1;
-        const returnFlight = isRoundTrip && flight_offer.itineraries[1] && flight_offer.itineraries[1].segments && flight_offer.itineraries[1].segments.length > 0 
-            ? flight_offer.itineraries[1].segments[0] 
-            : null;
-        const returnArrival = isRoundTrip && flight_offer.itineraries[1] && flight_offer.itineraries[1].segments && flight_offer.itineraries[1].segments.length > 0
-            ? flight_offer.itineraries[1].segments[flight_offer.itineraries[1].segments.length - 1] 
-            : null;
-
-        // Format flight times with error handling
-        const formatDateTime = (dateTime) => {
-            try {
-                return new Date(dateTime).toLocaleString('en-US', {
-                    weekday: 'short',
-                    month: 'short',
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                });
-            } catch (error) {
-                return dateTime || 'Time not available';
-            }
-        };
+        // Flight times are shown in each airport's local time, with "+1" for next-day arrivals
+        const formatDateTime = (dateTime, dayOffset = 0) =>
+            dateTime ? formatFlightTime(dateTime, dayOffset) : 'Time not available';
 
         // Generate passenger list with error handling
         const passengerList = (passengers && Array.isArray(passengers)) ? passengers.map(p => 
@@ -127,23 +102,50 @@ class EmailService {
             baggage_selections.map(bag => `${bag.passenger_name || 'Passenger'}: ${bag.weight || 'N/A'}kg`).join(', ') : 
             'Standard baggage allowance';
 
-        // Safe property access for flight details
-        const getDepartureInfo = (segment) => ({
-            code: segment?.departure?.iataCode || 'N/A',
-            time: segment?.departure?.at || 'N/A',
-            carrierCode: segment?.carrierCode || 'N/A',
-            number: segment?.number || 'N/A'
-        });
-
-        const getArrivalInfo = (segment) => ({
-            code: segment?.arrival?.iataCode || 'N/A',
-            time: segment?.arrival?.at || 'N/A'
-        });
-
-        const depInfo = getDepartureInfo(departure);
-        const arrInfo = getArrivalInfo(arrival);
-        const retDepInfo = returnFlight ? getDepartureInfo(returnFlight) : null;
-        const retArrInfo = returnArrival ? getArrivalInfo(returnArrival) : null;
+        // Paid extras, one receipt line each; refunded or released ones are no longer the customer's
+        const activeAncillaries = booking_ancillaries.filter(item => item.status === 'active');
+        const passengerName = (passengerId) => {
+            const passenger = (passengers || []).find(p => p.id === passengerId);
+            return passenger ? `${passenger.first_name || ''} ${passenger.last_name || ''}`.trim() : 'Passenger';
+        };
+        const extraRows = activeAncillaries.map(item => `
+                        <div class="price-row">
+                            <span>${item.name}${item.quantity > 1 ? ` x${item.quantity}` : ''} (${passengerName(item.passenger_id)}):</span>
+                            <span>₦${(parseFloat(item.total_price) || 0).toLocaleString()}</span>
+                        </div>`).join('');
+        const extrasInfo = activeAncillaries.length > 0 ?
+            activeAncillaries.map(item => `${passengerName(item.passenger_id)}: ${item.name}${item.quantity > 1 ? ` x${item.quantity}` : ''}`).join(', ') :
+            'None';
+        const fareAmount = (total_amount || 0) - seat_fees - ancillary_fees;
+
+        // One block per direction (round trip) or per leg (multi-city), listing every segment
+        const flightBlocks = itineraries.map((itinerary, index) => `
+                    <div style="margin-bottom: 20px;">
+                        <h4 style="color: #374151; margin-bottom: 15px;">
+                            ${getItineraryLabel(index, itineraries)} - ${itinerary.segments.map(seg => seg.flightNumber || 'N/A').join(' / ')}
+                        </h4>
+                        <div style="font-size: 13px; color: #6b7280; margin-bottom: 10px;">
+                            ${[...new Set(itinerary.segments.map(seg => seg.carrierName).filter(Boolean))].join(', ')}
+                        </div>
+                        ${itinerary.segments.map(segment => `
+                        <div class="flight-details">
+                            <div class="flight-info">
+                                <div class="airport-code">${segment.from}</div>
+                                <div class="city-name">${segment.flightNumber || ''}${segment.departureTerminal ? ` · Terminal ${segment.departureTerminal}` : ''}</div>
+                                ${segment.isCodeshare ? `<div class="city-name">Operated by ${segment.operatingCarrierName}</div>` : ''}
+                                <div class="flight-time">${formatDateTime(segment.departureAt, segment.departureDayOffset)}</div>
+                            </div>
+                            <span class="flight-arrow">✈️</span>
+                            <div class="flight-info">
+                                <div class="airport-code">${segment.to}</div>
+                                <div class="city-name">${segment.arrivalTerminal ? `Terminal ${segment.arrivalTerminal}` : ''}</div>
+                                <div class="flight-time">${formatDateTime(segment.arrivalAt, segment.arrivalDayOffset)}</div>
+                            </div>
+                        </div>`).join('')}
+                        <div style="font-size: 13px; color: #6b7280;">
+                            ${itinerary.stops === 0 ? 'Non-stop' : `${itinerary.stops} stop${itinerary.stops > 1 ? 's' : ''}`}${itinerary.duration ? ` · ${itinerary.duration}` : ''}
+                        </div>
+                    </div>`).join('');
 
         return `
         <!DOCTYPE html>
@@ -331,47 +333,7 @@ class EmailService {
                 <div class="section">
                     <h3>✈️ Flight Details</h3>
                     
-                    <!-- Outbound Flight -->
-                    <div style="margin-bottom: 20px;">
-                        <h4 style="color: #374151; margin-bottom: 15px;">
-                            ${isRoundTrip ? 'Outbound Flight' : 'Flight'} - ${depInfo.carrierCode} ${depInfo.number}
-                        </h4>
-                        <div class="flight-details">
-                            <div class="flight-info">
-                                <div class="airport-code">${depInfo.code}</div>
-                                <div class="city-name">${depInfo.time}</div>
-                                <div class="flight-time">${formatDateTime(depInfo.time)}</div>
-                            </div>
-                            <span class="flight-arrow">✈️</span>
-                            <div class="flight-info">
-                                <div class="airport-code">${arrInfo.code}</div>
-                                <div class="city-name">${arrInfo.time}</div>
-                                <div class="flight-time">${formatDateTime(arrInfo.time)}</div>
-                            </div>
-                        </div>
-                    </div>
-
-                    ${isRoundTrip && retDepInfo && retArrInfo ? `
-                    <!-- Return Flight -->
-                    <div style="margin-bottom: 20px;">
-                        <h4 style="color: #374151; margin-bottom: 15px;">
-                            Return Flight - ${retDepInfo.carrierCode} ${retDepInfo.number}
-                        </h4>
-                        <div class="flight-details">
-                            <div class="flight-info">
-                                <div class="airport-code">${retDepInfo.code}</div>
-                                <div class="city-name">${retDepInfo.time}</div>
-                                <div class="flight-time">${formatDateTime(retDepInfo.time)}</div>
-                            </div>
-                            <span class="flight-arrow">✈️</span>
-                            <div class="flight-info">
-                                <div class="airport-code">${retArrInfo.code}</div>
-                                <div class="city-name">${retArrInfo.time}</div>
-                                <div class="flight-time">${formatDateTime(retArrInfo.time)}</div>
-                            </div>
-                        </div>
-                    </div>
-                    ` : ''}
+                    ${flightBlocks}
                 </div>
 
                 <div class="section">
@@ -394,6 +356,7 @@ class EmailService {
                     <h3>💺 Additional Services</h3>
                     <p><strong>Seat Selections:</strong> ${seatInfo}</p>
                     <p><strong>Baggage:</strong> ${baggageInfo}</p>
+                    <p><strong>Extras:</strong> ${extrasInfo}</p>
                 </div>
 
                 <div class="section">
@@ -401,8 +364,13 @@ class EmailService {
                     <div class="price-breakdown">
                         <div class="price-row">
                             <span>Flight Total:</span>
-                            <span>₦${(total_amount || 0).toLocaleString()}</span>
+                            <span>₦${fareAmount.toLocaleString()}</span>
                         </div>
+                        ${seat_fees > 0 ? `
+                        <div class="price-row">
+                            <span>Seat Selection:</span>
+                            <span>₦${seat_fees.toLocaleString()}</span>
+                        </div>` : ''}${extraRows}
                         <div class="price-row total-price">
                             <span>Total Paid:</span>
                             <span>₦${(total_amount || 0).toLocaleString()}</span>
@@ -2731,6 +2699,106 @@ generateRefundRejectionTemplate(data) {
   `;
 }
 
+generatePriceAlertTemplate(data) {
+  const { firstName, from, to, departureDate, returnDate, currentPrice, previousPrice, targetPrice, currency, alertType } = data;
+  const formatPrice = (value) => `${currency || 'USD'} ${parseFloat(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const reason = alertType === 'decrease' && previousPrice
+    ? `The fare dropped from ${formatPrice(previousPrice)}.`
+    : `The fare is now at or below your target of ${formatPrice(targetPrice)}.`;
+
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Price Alert - Elevatio</title>
+      <style>
+          body {
+              font-family: Arial, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+              background-color: #f4f4f4;
+          }
+          .container {
+              background-color: white;
+              padding: 30px;
+              border-radius: 10px;
+              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+          }
+          .header {
+              text-align: center;
+              margin-bottom: 30px;
+              border-bottom: 2px solid #10b981;
+              padding-bottom: 20px;
+          }
+          .logo {
+              font-size: 28px;
+              font-weight: bold;
+              color: #10b981;
+              margin-bottom: 10px;
+          }
+          .price-details {
+              background-color: #f0fdf4;
+              border: 2px solid #10b981;
+              padding: 20px;
+              border-radius: 8px;
+              margin: 20px 0;
+              text-align: center;
+          }
+          .route {
+              font-size: 22px;
+              font-weight: bold;
+              color: #374151;
+          }
+          .price {
+              font-size: 32px;
+              font-weight: bold;
+              color: #10b981;
+              margin: 15px 0;
+          }
+          .footer {
+              text-align: center;
+              margin-top: 30px;
+              padding-top: 20px;
+              border-top: 1px solid #e2e8f0;
+              color: #6b7280;
+              font-size: 14px;
+          }
+      </style>
+  </head>
+  <body>
+      <div class="container">
+          <div class="header">
+              <div class="logo">✈️ Elevatio</div>
+              <h2>Your price alert was triggered</h2>
+          </div>
+
+          <p>Hi ${firstName || 'there'},</p>
+          <p>Good news! ${reason}</p>
+
+          <div class="price-details">
+              <div class="route">${from} → ${to}</div>
+              <div>${departureDate}${returnDate ? ` – ${returnDate}` : ''}</div>
+              <div class="price">${formatPrice(currentPrice)}</div>
+              <div style="color: #6b7280; font-size: 14px;">Lowest fare found for one adult</div>
+          </div>
+
+          <p>Fares change often, so book soon to secure this price.</p>
+
+          <div class="footer">
+              <p>You are receiving this email because you set a price alert on Elevatio.</p>
+              <p>&copy; 2025 Elevatio. All rights reserved.</p>
+          </div>
+      </div>
+  </body>
+  </html>
+  `;
+}
+
   async sendEmail({ to, subject, template, data }) {
   try {
     let html;
@@ -2758,6 +2826,9 @@ generateRefundRejectionTemplate(data) {
       case 'payout-notification':
         html = this.generatePayoutNotificationTemplate(data);
         break;
+      case 'price-alert':
+        html = this.generatePriceAlertTemplate(data);
+        break;
       case 'refund-request-confirmation':
         html = this.generateRefundRequestConfirmationTemplate(data);
         break;
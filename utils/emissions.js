@@ -0,0 +1,89 @@
+// Per-passenger CO2 estimates for flight offers. A simplified distance-based model
+// in the spirit of the ICAO calculator: great-circle distance plus a routing
+// allowance, a per-km factor by haul, then adjustments for cabin and aircraft.
+
+const { distanceKm } = require('./geo');
+
+// Real routes are longer than the great circle (holding, airways, approach)
+const ROUTING_ALLOWANCE_KM = 95;
+
+// kg CO2 per economy passenger-km. Short sectors burn proportionally more on take-off.
+const HAUL_FACTORS = [
+  { maxDistanceKm: 1500, kgPerKm: 0.133 },
+  { maxDistanceKm: 4000, kgPerKm: 0.102 },
+  { maxDistanceKm: Infinity, kgPerKm: 0.095 }
+];
+
+// Premium seats take up more of the cabin, so carry a larger share of the fuel
+const CABIN_MULTIPLIERS = {
+  economy: 1,
+  premium_economy: 1.5,
+  business: 2.9,
+  first: 4
+};
+
+// Relative fuel burn per seat against a typical aircraft of the same size, by IATA type code
+const AIRCRAFT_MULTIPLIERS = {
+  '32N': 0.85, '32Q': 0.85, '20N': 0.85, '21N': 0.85, '7M8': 0.86, '7M9': 0.86, '223': 0.84,
+  '359': 0.82, '351': 0.82, '789': 0.84, '788': 0.85, '78J': 0.83,
+  '320': 1, '321': 1, '319': 1.05, '73H': 1, '738': 1, '73G': 1.03,
+  '333': 1.05, '332': 1.08, '77W': 1.05, '773': 1.1, '772': 1.1,
+  '744': 1.25, '388': 1.12, 'E90': 1.1, 'E95': 1.08, 'CR9': 1.15, 'DH4': 0.95, 'AT7': 0.9
+};
+
+const getHaulFactor = (km) => HAUL_FACTORS.find(band => km <= band.maxDistanceKm).kgPerKm;
+
+const normalizeCabin = (cabin) => {
+  const key = String(cabin || 'economy').toLowerCase().replace('-', '_');
+  return CABIN_MULTIPLIERS[key] ? key : 'economy';
+};
+
+// One segment, or null when either airport has no coordinates
+const estimateSegmentEmissions = ({ from, to, cabin, aircraftCode }) => {
+  if (!from || !to || from.latitude == null || to.latitude == null) return null;
+
+  const km = distanceKm(from, to);
+  const aircraftMultiplier = AIRCRAFT_MULTIPLIERS[aircraftCode] || 1;
+  const co2Kg = (km + ROUTING_ALLOWANCE_KM) * getHaulFactor(km) * CABIN_MULTIPLIERS[normalizeCabin(cabin)] * aircraftMultiplier;
+
+  return {
+    distanceKm: Math.round(km),
+    co2Kg: Math.round(co2Kg),
+    aircraftKnown: Boolean(AIRCRAFT_MULTIPLIERS[aircraftCode])
+  };
+};
+
+// Whole offer, every itinerary; airports is a Map of code -> { latitude, longitude }
+const estimateOfferEmissions = (offer, airports) => {
+  const itineraries = Array.isArray(offer.itineraries) && offer.itineraries.length > 0
+    ? offer.itineraries
+    : [{ segments: offer.segments || [] }];
+  const segments = itineraries.flatMap(itinerary => itinerary.segments || []);
+  if (segments.length === 0) return null;
+
+  const estimates = segments.map(segment => estimateSegmentEmissions({
+    from: airports.get(segment.departure?.airport),
+    to: airports.get(segment.arrival?.airport),
+    cabin: offer.cabinClass,
+    aircraftCode: segment.aircraftCode
+  }));
+
+  // A partial figure would look misleadingly low
+  if (estimates.some(estimate => !estimate)) return null;
+
+  return {
+    co2KgPerPassenger: estimates.reduce((total, estimate) => total + estimate.co2Kg, 0),
+    distanceKm: estimates.reduce((total, estimate) => total + estimate.distanceKm, 0),
+    cabin: normalizeCabin(offer.cabinClass),
+    aircraftKnown: estimates.every(estimate => estimate.aircraftKnown),
+    estimated: true
+  };
+};
+
+const getOfferEmissions = (offer) => offer.emissions?.co2KgPerPassenger ?? null;
+
+module.exports = {
+  estimateSegmentEmissions,
+  estimateOfferEmissions,
+  getOfferEmissions
+};
@@ -0,0 +1,179 @@
+// Filtering, sorting, paging and facet counts for cached flight search results
+
+const { getOfferEmissions } = require('./emissions');
+
+const PRICE_BUCKET_COUNT = 5;
+
+const getPrice = (offer) => parseFloat(offer.price?.total ?? offer.price) || 0;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Typical CO2 for the result set, the baseline for "lower emissions"
+const getTypicalEmissions = (offers) => median(offers.map(getOfferEmissions).filter(value => value !== null));
+
+// "7h 25m" -> 445
+const durationToMinutes = (duration) => {
+  if (!duration) return 0;
+  const match = String(duration).match(/(?:(\d+)h)?\s*(?:(\d+)m)?/);
+  if (!match) return 0;
+  return parseInt(match[1] || '0') * 60 + parseInt(match[2] || '0');
+};
+
+// "HH:MM" clock time of a departure/arrival, whether it is stored as a time or an ISO datetime
+const getClockMinutes = (point) => {
+  const value = String(point?.time || '');
+  const match = value.match(/(\d{2}):(\d{2})(?::\d{2})?(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?$/);
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+};
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const withinWindow = (minutes, from, to) => {
+  if (minutes === null) return true;
+  if (from !== undefined && minutes < timeToMinutes(from)) return false;
+  if (to !== undefined && minutes > timeToMinutes(to)) return false;
+  return true;
+};
+
+const filterOffers = (offers, filters = {}) => {
+  const typicalEmissions = filters.lowerEmissions ? getTypicalEmissions(offers) : null;
+
+  return offers.filter(offer => {
+    const price = getPrice(offer);
+    const emissions = getOfferEmissions(offer);
+
+    if (filters.minPrice !== undefined && price < filters.minPrice) return false;
+    if (filters.maxPrice !== undefined && price > filters.maxPrice) return false;
+    if (filters.stops && filters.stops.length > 0 && !filters.stops.includes(Math.min(offer.stops, 2))) return false;
+    if (filters.airlines && filters.airlines.length > 0 && !filters.airlines.includes(offer.airline)) return false;
+    if (filters.maxDuration !== undefined && durationToMinutes(offer.duration) > filters.maxDuration) return false;
+    if (!withinWindow(getClockMinutes(offer.departure), filters.departureTimeFrom, filters.departureTimeTo)) return false;
+    if (!withinWindow(getClockMinutes(offer.arrival), filters.arrivalTimeFrom, filters.arrivalTimeTo)) return false;
+    // Offers without an estimate can't be shown to meet an emissions limit
+    if (filters.maxEmissions !== undefined && (emissions === null || emissions > filters.maxEmissions)) return false;
+    if (filters.lowerEmissions && (emissions === null || typicalEmissions === null || emissions >= typicalEmissions)) return false;
+    // Offers cached before connection analysis carry no summary and are let through
+    const connections = offer.connectionSummary;
+    if (connections) {
+      if (filters.maxLayover !== undefined && connections.maxLayoverMinutes > filters.maxLayover) return false;
+      if (filters.noAirportChange && connections.hasAirportChange) return false;
+    }
+
+    return true;
+  });
+};
+
+// Lower is better: price and duration relative to the cheapest/fastest offer, plus a penalty per stop
+const getBestScore = (offer, cheapest, fastest) => {
+  const priceScore = cheapest > 0 ? getPrice(offer) / cheapest : 1;
+  const durationScore = fastest > 0 ? durationToMinutes(offer.duration) / fastest : 1;
+  return priceScore + durationScore * 0.5 + offer.stops * 0.25;
+};
+
+const sortOffers = (offers, sortBy = 'price', order = 'asc') => {
+  const cheapest = Math.min(...offers.map(getPrice));
+  const fastest = Math.min(...offers.map(offer => durationToMinutes(offer.duration)));
+  const direction = order === 'desc' ? -1 : 1;
+
+  const sortKeys = {
+    price: offer => getPrice(offer),
+    duration: offer => durationToMinutes(offer.duration),
+    departure: offer => getClockMinutes(offer.departure) ?? 0,
+    best: offer => getBestScore(offer, cheapest, fastest),
+    // Unknown estimates go last
+    emissions: offer => getOfferEmissions(offer) ?? Infinity * direction
+  };
+
+  const key = sortKeys[sortBy] || sortKeys.price;
+
+  // Ties fall back to price so the order is stable between pages
+  return [...offers].sort((a, b) => (key(a) - key(b)) * direction || getPrice(a) - getPrice(b));
+};
+
+const paginate = (offers, page = 1, limit = 20) => {
+  const total = offers.length;
+  const start = (page - 1) * limit;
+
+  return {
+    items: offers.slice(start, start + limit),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+const buildFacets = (offers) => {
+  const airlines = new Map();
+  const stops = new Map();
+
+  offers.forEach(offer => {
+    const price = getPrice(offer);
+
+    const airline = airlines.get(offer.airline) || {
+      code: offer.airline,
+      name: offer.airlineName || offer.airline,
+      count: 0,
+      minPrice: price
+    };
+    airline.count += 1;
+    airline.minPrice = Math.min(airline.minPrice, price);
+    airlines.set(offer.airline, airline);
+
+    // 2+ stops share a bucket, matching the stops filter
+    const stopKey = Math.min(offer.stops, 2);
+    const stop = stops.get(stopKey) || { stops: stopKey, count: 0, minPrice: price };
+    stop.count += 1;
+    stop.minPrice = Math.min(stop.minPrice, price);
+    stops.set(stopKey, stop);
+  });
+
+  const prices = offers.map(getPrice);
+  const emissionValues = offers.map(getOfferEmissions).filter(value => value !== null);
+  const minPrice = prices.length ? Math.floor(Math.min(...prices)) : 0;
+  const maxPrice = prices.length ? Math.ceil(Math.max(...prices)) : 0;
+  const bucketSize = Math.max(1, Math.ceil((maxPrice - minPrice + 1) / PRICE_BUCKET_COUNT));
+
+  const priceBuckets = [];
+  if (prices.length) {
+    for (let i = 0; i < PRICE_BUCKET_COUNT; i++) {
+      const min = minPrice + i * bucketSize;
+      const max = min + bucketSize;
+      if (min > maxPrice) break;
+      priceBuckets.push({
+        min,
+        max,
+        count: prices.filter(price => price >= min && price < max).length
+      });
+    }
+  }
+
+  return {
+    airlines: Array.from(airlines.values()).sort((a, b) => b.count - a.count),
+    stops: Array.from(stops.values()).sort((a, b) => a.stops - b.stops),
+    priceBuckets,
+    priceRange: { min: minPrice, max: maxPrice },
+    emissions: emissionValues.length
+      ? { min: Math.min(...emissionValues), typical: getTypicalEmissions(offers), max: Math.max(...emissionValues) }
+      : null
+  };
+};
+
+module.exports = {
+  durationToMinutes,
+  filterOffers,
+  sortOffers,
+  paginate,
+  buildFacets
+};
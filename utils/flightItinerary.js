@@ -0,0 +1,128 @@
+// Reads the journeys of a stored flight offer. Bookings hold either a raw
+// Amadeus offer (iataCode/at/carrierCode) or our normalized search result
+// (airport/time/flightNumber), so every reader goes through these helpers.
+
+const { getDayOffset, formatWallClock, localDateTimeToUtc } = require('./timeZone');
+
+// The UTC instant of a departure or arrival: the supplier's own when we have one, else the
+// local wall clock converted with the airport's time zone
+const getUtcDateTime = (point) => {
+  if (!point) return null;
+  if (point.utcDateTime) return point.utcDateTime;
+
+  const local = point.at || point.dateTime;
+  const utc = local && point.timeZone ? localDateTimeToUtc(local, point.timeZone) : null;
+  return utc ? utc.toISOString() : null;
+};
+
+const normalizeSegment = (segment) => {
+  const carrierCode = segment.carrierCode || segment.airline || '';
+  const operatingCarrierCode = segment.operating?.carrierCode || segment.operatingAirline || carrierCode;
+  const flightNumber = segment.flightNumber ||
+    (segment.carrierCode ? `${segment.carrierCode}${segment.number || ''}` : '');
+
+  return {
+    from: segment.departure?.iataCode || segment.departure?.airport || 'N/A',
+    to: segment.arrival?.iataCode || segment.arrival?.airport || 'N/A',
+    departureAt: segment.departure?.at || segment.departure?.dateTime || segment.departure?.time || null,
+    arrivalAt: segment.arrival?.at || segment.arrival?.dateTime || segment.arrival?.time || null,
+    departureUtcAt: getUtcDateTime(segment.departure),
+    arrivalUtcAt: getUtcDateTime(segment.arrival),
+    departureTimeZone: segment.departure?.timeZone || null,
+    arrivalTimeZone: segment.arrival?.timeZone || null,
+    departureTerminal: segment.departure?.terminal || '',
+    arrivalTerminal: segment.arrival?.terminal || '',
+    carrierCode,
+    carrierName: segment.airlineName || segment.marketingCarrier?.name || carrierCode,
+    operatingCarrierCode,
+    operatingCarrierName: segment.operatingCarrier?.name || operatingCarrierCode,
+    isCodeshare: Boolean(operatingCarrierCode && operatingCarrierCode !== carrierCode),
+    flightNumber,
+    duration: segment.duration || null
+  };
+};
+
+const getItineraries = (flightOffer) => {
+  if (!flightOffer) return [];
+
+  const itineraries = Array.isArray(flightOffer.itineraries) && flightOffer.itineraries.length > 0
+    ? flightOffer.itineraries
+    : (Array.isArray(flightOffer.segments) ? [{ segments: flightOffer.segments, duration: flightOffer.duration }] : []);
+
+  return itineraries
+    .filter(itinerary => Array.isArray(itinerary.segments) && itinerary.segments.length > 0)
+    .map(itinerary => {
+      const segments = itinerary.segments.map(normalizeSegment).map((segment, index, all) => ({
+        ...segment,
+        // Days after the itinerary's first departure, in local dates ("+1")
+        departureDayOffset: getDayOffset(all[0].departureAt, segment.departureAt),
+        arrivalDayOffset: getDayOffset(all[0].departureAt, segment.arrivalAt)
+      }));
+      const first = segments[0];
+      const last = segments[segments.length - 1];
+
+      return {
+        from: first.from,
+        to: last.to,
+        departureAt: first.departureAt,
+        departureUtcAt: first.departureUtcAt,
+        arrivalAt: last.arrivalAt,
+        arrivalUtcAt: last.arrivalUtcAt,
+        arrivalDayOffset: last.arrivalDayOffset,
+        duration: itinerary.duration || null,
+        stops: segments.length - 1,
+        segments
+      };
+    });
+};
+
+// Epoch milliseconds of a UTC instant, or of a local wall clock without a known time zone
+// read as UTC, so the result never depends on the server's time zone
+const toEpochTime = (utcAt, localAt) => {
+  if (utcAt) return Date.parse(utcAt);
+  if (!localAt) return null;
+
+  const local = String(localAt);
+  const time = Date.parse(/(Z|[+-]\d{2}:?\d{2})$/.test(local) ? local : `${local}Z`);
+  return Number.isFinite(time) ? time : null;
+};
+
+// When an itinerary (or segment) departs, as epoch milliseconds
+const getDepartureTime = (itinerary) => (itinerary ? toEpochTime(itinerary.departureUtcAt, itinerary.departureAt) : null);
+
+// When an itinerary (or segment) lands, as epoch milliseconds
+const getArrivalTime = (itinerary) => (itinerary ? toEpochTime(itinerary.arrivalUtcAt, itinerary.arrivalAt) : null);
+
+// Two journeys that end where the trip started are a round trip; anything
+// longer (or an open jaw) is a multi-city trip
+const getTripType = (flightOffer) => {
+  const itineraries = getItineraries(flightOffer);
+
+  if (itineraries.length <= 1) return 'oneway';
+  if (itineraries.length === 2 && itineraries[1].to === itineraries[0].from) return 'roundtrip';
+  return 'multicity';
+};
+
+const getItineraryLabel = (index, itineraries) => {
+  if (itineraries.length === 1) return 'Flight';
+  if (itineraries.length === 2 && itineraries[1].to === itineraries[0].from) {
+    return index === 0 ? 'Outbound Flight' : 'Return Flight';
+  }
+  return `Flight ${index + 1}`;
+};
+
+// "Tue, Dec 1, 23:40 (+1)" in the airport's local time. Older offers only carry "HH:MM".
+const formatFlightTime = (localDateTime, dayOffset = 0) => {
+  if (!localDateTime) return 'N/A';
+  const formatted = formatWallClock(localDateTime) || localDateTime;
+  return dayOffset ? `${formatted} (${dayOffset > 0 ? '+' : ''}${dayOffset})` : formatted;
+};
+
+module.exports = {
+  getItineraries,
+  getDepartureTime,
+  getArrivalTime,
+  formatFlightTime,
+  getTripType,
+  getItineraryLabel
+};
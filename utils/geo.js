@@ -0,0 +1,20 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { latitude, longitude } points
+const distanceKm = (from, to) => {
+  const lat1 = toRadians(parseFloat(from.latitude));
+  const lat2 = toRadians(parseFloat(to.latitude));
+  const deltaLat = lat2 - lat1;
+  const deltaLng = toRadians(parseFloat(to.longitude) - parseFloat(from.longitude));
+
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  distanceKm
+};
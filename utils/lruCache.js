@@ -0,0 +1,49 @@
+// Small in-process LRU cache with per-entry expiry. Map preserves insertion
+// order, so re-inserting on read keeps the least recently used entry first.
+class LRUCache {
+  constructor({ maxEntries = 100, ttlMs = 5 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, expiresAt = Date.now() + this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: new Date(expiresAt).getTime() });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+
+    return value;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LRUCache;
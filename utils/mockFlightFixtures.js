@@ -0,0 +1,167 @@
+// Bundled reference data for the mock flight supplier and airport search.
+// Airports are used when the airports table is unavailable or lacks a row;
+// airline hubs, ranges, metro areas and seat layouts are not stored anywhere else.
+
+const AIRPORTS = [
+  // Africa
+  { code: 'LOS', name: 'Murtala Muhammed International Airport', city: 'Lagos', country: 'Nigeria', latitude: 6.5774, longitude: 3.3212, timezone: 'Africa/Lagos', terminals: ['1', 'D', 'E'] },
+  { code: 'ABV', name: 'Nnamdi Azikiwe International Airport', city: 'Abuja', country: 'Nigeria', latitude: 9.0068, longitude: 7.2632, timezone: 'Africa/Lagos', terminals: ['1'] },
+  { code: 'PHC', name: 'Port Harcourt International Airport', city: 'Port Harcourt', country: 'Nigeria', latitude: 5.0155, longitude: 6.9496, timezone: 'Africa/Lagos', terminals: ['1'] },
+  { code: 'KAN', name: 'Mallam Aminu Kano International Airport', city: 'Kano', country: 'Nigeria', latitude: 12.0476, longitude: 8.5246, timezone: 'Africa/Lagos', terminals: ['1'] },
+  { code: 'ACC', name: 'Kotoka International Airport', city: 'Accra', country: 'Ghana', latitude: 5.6052, longitude: -0.1668, timezone: 'Africa/Accra', terminals: ['3'] },
+  { code: 'DSS', name: 'Blaise Diagne International Airport', city: 'Dakar', country: 'Senegal', latitude: 14.6700, longitude: -17.0733, timezone: 'Africa/Dakar', terminals: ['1'] },
+  { code: 'ADD', name: 'Addis Ababa Bole International Airport', city: 'Addis Ababa', country: 'Ethiopia', latitude: 8.9779, longitude: 38.7993, timezone: 'Africa/Addis_Ababa', terminals: ['1', '2'] },
+  { code: 'NBO', name: 'Jomo Kenyatta International Airport', city: 'Nairobi', country: 'Kenya', latitude: -1.3192, longitude: 36.9278, timezone: 'Africa/Nairobi', terminals: ['1A', '1B', '1E'] },
+  { code: 'JNB', name: 'O. R. Tambo International Airport', city: 'Johannesburg', country: 'South Africa', latitude: -26.1392, longitude: 28.2460, timezone: 'Africa/Johannesburg', terminals: ['A', 'B'] },
+  { code: 'CPT', name: 'Cape Town International Airport', city: 'Cape Town', country: 'South Africa', latitude: -33.9715, longitude: 18.6021, timezone: 'Africa/Johannesburg', terminals: ['1'] },
+  { code: 'CAI', name: 'Cairo International Airport', city: 'Cairo', country: 'Egypt', latitude: 30.1219, longitude: 31.4056, timezone: 'Africa/Cairo', terminals: ['2', '3'] },
+  { code: 'CMN', name: 'Mohammed V International Airport', city: 'Casablanca', country: 'Morocco', latitude: 33.3675, longitude: -7.5898, timezone: 'Africa/Casablanca', terminals: ['1', '2'] },
+
+  // Europe
+  { code: 'LHR', name: 'Heathrow Airport', city: 'London', country: 'United Kingdom', latitude: 51.4700, longitude: -0.4543, timezone: 'Europe/London', terminals: ['2', '3', '4', '5'] },
+  { code: 'LGW', name: 'Gatwick Airport', city: 'London', country: 'United Kingdom', latitude: 51.1537, longitude: -0.1821, timezone: 'Europe/London', terminals: ['N', 'S'] },
+  { code: 'STN', name: 'Stansted Airport', city: 'London', country: 'United Kingdom', latitude: 51.8860, longitude: 0.2389, timezone: 'Europe/London', terminals: ['1'] },
+  { code: 'LTN', name: 'Luton Airport', city: 'London', country: 'United Kingdom', latitude: 51.8747, longitude: -0.3683, timezone: 'Europe/London', terminals: ['1'] },
+  { code: 'MAN', name: 'Manchester Airport', city: 'Manchester', country: 'United Kingdom', latitude: 53.3537, longitude: -2.2750, timezone: 'Europe/London', terminals: ['1', '2', '3'] },
+  { code: 'CDG', name: 'Charles de Gaulle Airport', city: 'Paris', country: 'France', latitude: 49.0097, longitude: 2.5479, timezone: 'Europe/Paris', terminals: ['1', '2E', '2F'] },
+  { code: 'ORY', name: 'Orly Airport', city: 'Paris', country: 'France', latitude: 48.7262, longitude: 2.3652, timezone: 'Europe/Paris', terminals: ['1', '4'] },
+  { code: 'AMS', name: 'Amsterdam Airport Schiphol', city: 'Amsterdam', country: 'Netherlands', latitude: 52.3105, longitude: 4.7683, timezone: 'Europe/Amsterdam', terminals: ['1', '2', '3'] },
+  { code: 'FRA', name: 'Frankfurt Airport', city: 'Frankfurt', country: 'Germany', latitude: 50.0379, longitude: 8.5622, timezone: 'Europe/Berlin', terminals: ['1', '2'] },
+  { code: 'MUC', name: 'Munich Airport', city: 'Munich', country: 'Germany', latitude: 48.3537, longitude: 11.7750, timezone: 'Europe/Berlin', terminals: ['1', '2'] },
+  { code: 'ZRH', name: 'Zurich Airport', city: 'Zurich', country: 'Switzerland', latitude: 47.4582, longitude: 8.5555, timezone: 'Europe/Zurich', terminals: ['1', '2'] },
+  { code: 'MAD', name: 'Adolfo Suárez Madrid–Barajas Airport', city: 'Madrid', country: 'Spain', latitude: 40.4983, longitude: -3.5676, timezone: 'Europe/Madrid', terminals: ['1', '2', '4', '4S'] },
+  { code: 'FCO', name: 'Leonardo da Vinci–Fiumicino Airport', city: 'Rome', country: 'Italy', latitude: 41.8003, longitude: 12.2389, timezone: 'Europe/Rome', terminals: ['1', '3'] },
+  { code: 'IST', name: 'Istanbul Airport', city: 'Istanbul', country: 'Turkey', latitude: 41.2753, longitude: 28.7519, timezone: 'Europe/Istanbul', terminals: ['1'] },
+
+  // Middle East
+  { code: 'DXB', name: 'Dubai International Airport', city: 'Dubai', country: 'United Arab Emirates', latitude: 25.2532, longitude: 55.3657, timezone: 'Asia/Dubai', terminals: ['1', '2', '3'] },
+  { code: 'AUH', name: 'Zayed International Airport', city: 'Abu Dhabi', country: 'United Arab Emirates', latitude: 24.4330, longitude: 54.6511, timezone: 'Asia/Dubai', terminals: ['A'] },
+  { code: 'DOH', name: 'Hamad International Airport', city: 'Doha', country: 'Qatar', latitude: 25.2731, longitude: 51.6081, timezone: 'Asia/Qatar', terminals: ['1'] },
+
+  // Americas
+  { code: 'JFK', name: 'John F. Kennedy International Airport', city: 'New York', country: 'United States', latitude: 40.6413, longitude: -73.7781, timezone: 'America/New_York', terminals: ['1', '4', '5', '7', '8'] },
+  { code: 'EWR', name: 'Newark Liberty International Airport', city: 'New York', country: 'United States', latitude: 40.6895, longitude: -74.1745, timezone: 'America/New_York', terminals: ['A', 'B', 'C'] },
+  { code: 'LGA', name: 'LaGuardia Airport', city: 'New York', country: 'United States', latitude: 40.7769, longitude: -73.8740, timezone: 'America/New_York', terminals: ['B', 'C'] },
+  { code: 'IAD', name: 'Washington Dulles International Airport', city: 'Washington', country: 'United States', latitude: 38.9531, longitude: -77.4565, timezone: 'America/New_York', terminals: ['1'] },
+  { code: 'ATL', name: 'Hartsfield–Jackson Atlanta International Airport', city: 'Atlanta', country: 'United States', latitude: 33.6407, longitude: -84.4277, timezone: 'America/New_York', terminals: ['N', 'S', 'I'] },
+  { code: 'MIA', name: 'Miami International Airport', city: 'Miami', country: 'United States', latitude: 25.7959, longitude: -80.2870, timezone: 'America/New_York', terminals: ['N', 'C', 'S'] },
+  { code: 'ORD', name: "O'Hare International Airport", city: 'Chicago', country: 'United States', latitude: 41.9742, longitude: -87.9073, timezone: 'America/Chicago', terminals: ['1', '2', '3', '5'] },
+  { code: 'DFW', name: 'Dallas/Fort Worth International Airport', city: 'Dallas', country: 'United States', latitude: 32.8998, longitude: -97.0403, timezone: 'America/Chicago', terminals: ['A', 'C', 'D', 'E'] },
+  { code: 'LAX', name: 'Los Angeles International Airport', city: 'Los Angeles', country: 'United States', latitude: 33.9416, longitude: -118.4085, timezone: 'America/Los_Angeles', terminals: ['1', '3', '4', '5', 'B'] },
+  { code: 'SFO', name: 'San Francisco International Airport', city: 'San Francisco', country: 'United States', latitude: 37.6213, longitude: -122.3790, timezone: 'America/Los_Angeles', terminals: ['1', '2', '3', 'I'] },
+  { code: 'YYZ', name: 'Toronto Pearson International Airport', city: 'Toronto', country: 'Canada', latitude: 43.6777, longitude: -79.6248, timezone: 'America/Toronto', terminals: ['1', '3'] },
+  { code: 'GRU', name: 'São Paulo/Guarulhos International Airport', city: 'São Paulo', country: 'Brazil', latitude: -23.4356, longitude: -46.4731, timezone: 'America/Sao_Paulo', terminals: ['2', '3'] },
+
+  // Asia and Oceania
+  { code: 'DEL', name: 'Indira Gandhi International Airport', city: 'Delhi', country: 'India', latitude: 28.5562, longitude: 77.1000, timezone: 'Asia/Kolkata', terminals: ['1', '2', '3'] },
+  { code: 'BOM', name: 'Chhatrapati Shivaji Maharaj International Airport', city: 'Mumbai', country: 'India', latitude: 19.0896, longitude: 72.8656, timezone: 'Asia/Kolkata', terminals: ['1', '2'] },
+  { code: 'SIN', name: 'Singapore Changi Airport', city: 'Singapore', country: 'Singapore', latitude: 1.3644, longitude: 103.9915, timezone: 'Asia/Singapore', terminals: ['1', '2', '3', '4'] },
+  { code: 'BKK', name: 'Suvarnabhumi Airport', city: 'Bangkok', country: 'Thailand', latitude: 13.6900, longitude: 100.7501, timezone: 'Asia/Bangkok', terminals: ['1'] },
+  { code: 'HKG', name: 'Hong Kong International Airport', city: 'Hong Kong', country: 'Hong Kong', latitude: 22.3080, longitude: 113.9185, timezone: 'Asia/Hong_Kong', terminals: ['1'] },
+  { code: 'PEK', name: 'Beijing Capital International Airport', city: 'Beijing', country: 'China', latitude: 40.0799, longitude: 116.6031, timezone: 'Asia/Shanghai', terminals: ['2', '3'] },
+  { code: 'ICN', name: 'Incheon International Airport', city: 'Seoul', country: 'South Korea', latitude: 37.4602, longitude: 126.4407, timezone: 'Asia/Seoul', terminals: ['1', '2'] },
+  { code: 'NRT', name: 'Narita International Airport', city: 'Tokyo', country: 'Japan', latitude: 35.7720, longitude: 140.3929, timezone: 'Asia/Tokyo', terminals: ['1', '2'] },
+  { code: 'SYD', name: 'Sydney Kingsford Smith Airport', city: 'Sydney', country: 'Australia', latitude: -33.9399, longitude: 151.1753, timezone: 'Australia/Sydney', terminals: ['1'] }
+];
+
+// City codes covering several airports, primary airport first
+const METRO_AREAS = {
+  LON: { city: 'London', country: 'United Kingdom', airports: ['LHR', 'LGW', 'STN', 'LTN'] },
+  PAR: { city: 'Paris', country: 'France', airports: ['CDG', 'ORY'] },
+  NYC: { city: 'New York', country: 'United States', airports: ['JFK', 'EWR', 'LGA'] },
+  WAS: { city: 'Washington', country: 'United States', airports: ['IAD', 'DCA', 'BWI'] },
+  CHI: { city: 'Chicago', country: 'United States', airports: ['ORD', 'MDW'] },
+  TYO: { city: 'Tokyo', country: 'Japan', airports: ['NRT', 'HND'] },
+  MIL: { city: 'Milan', country: 'Italy', airports: ['MXP', 'LIN', 'BGY'] },
+  ROM: { city: 'Rome', country: 'Italy', airports: ['FCO', 'CIA'] },
+  BJS: { city: 'Beijing', country: 'China', airports: ['PEK', 'PKX'] },
+  SEL: { city: 'Seoul', country: 'South Korea', airports: ['ICN', 'GMP'] }
+};
+
+// maxRangeKm keeps regional carriers off long-haul sectors
+const AIRLINES = [
+  { code: 'P4', name: 'Air Peace', alliance: null, hubs: ['LOS', 'ABV'], maxRangeKm: 5500 },
+  { code: 'W3', name: 'Arik Air', alliance: null, hubs: ['LOS', 'ABV'], maxRangeKm: 3000 },
+  { code: 'ET', name: 'Ethiopian Airlines', alliance: 'Star Alliance', hubs: ['ADD'], maxRangeKm: 14000 },
+  { code: 'KQ', name: 'Kenya Airways', alliance: 'SkyTeam', hubs: ['NBO'], maxRangeKm: 13000 },
+  { code: 'SA', name: 'South African Airways', alliance: 'Star Alliance', hubs: ['JNB'], maxRangeKm: 13000 },
+  { code: 'MS', name: 'EgyptAir', alliance: 'Star Alliance', hubs: ['CAI'], maxRangeKm: 11000 },
+  { code: 'AT', name: 'Royal Air Maroc', alliance: 'oneworld', hubs: ['CMN'], maxRangeKm: 11000 },
+  { code: 'BA', name: 'British Airways', alliance: 'oneworld', hubs: ['LHR', 'LGW'], maxRangeKm: 15000 },
+  { code: 'VS', name: 'Virgin Atlantic', alliance: 'SkyTeam', hubs: ['LHR'], maxRangeKm: 13000 },
+  { code: 'AF', name: 'Air France', alliance: 'SkyTeam', hubs: ['CDG'], maxRangeKm: 15000 },
+  { code: 'KL', name: 'KLM Royal Dutch Airlines', alliance: 'SkyTeam', hubs: ['AMS'], maxRangeKm: 15000 },
+  { code: 'LH', name: 'Lufthansa', alliance: 'Star Alliance', hubs: ['FRA', 'MUC'], maxRangeKm: 15000 },
+  { code: 'LX', name: 'Swiss International Air Lines', alliance: 'Star Alliance', hubs: ['ZRH'], maxRangeKm: 13000 },
+  { code: 'IB', name: 'Iberia', alliance: 'oneworld', hubs: ['MAD'], maxRangeKm: 13000 },
+  { code: 'TK', name: 'Turkish Airlines', alliance: 'Star Alliance', hubs: ['IST'], maxRangeKm: 14000 },
+  { code: 'EK', name: 'Emirates', alliance: null, hubs: ['DXB'], maxRangeKm: 16000 },
+  { code: 'QR', name: 'Qatar Airways', alliance: 'oneworld', hubs: ['DOH'], maxRangeKm: 16000 },
+  { code: 'EY', name: 'Etihad Airways', alliance: null, hubs: ['AUH'], maxRangeKm: 15000 },
+  { code: 'DL', name: 'Delta Air Lines', alliance: 'SkyTeam', hubs: ['ATL', 'JFK', 'LAX'], maxRangeKm: 15000 },
+  { code: 'AA', name: 'American Airlines', alliance: 'oneworld', hubs: ['DFW', 'MIA', 'JFK', 'ORD'], maxRangeKm: 15000 },
+  { code: 'UA', name: 'United Airlines', alliance: 'Star Alliance', hubs: ['ORD', 'EWR', 'SFO', 'IAD'], maxRangeKm: 15000 },
+  { code: 'AC', name: 'Air Canada', alliance: 'Star Alliance', hubs: ['YYZ'], maxRangeKm: 14000 },
+  { code: 'AI', name: 'Air India', alliance: 'Star Alliance', hubs: ['DEL', 'BOM'], maxRangeKm: 15000 },
+  { code: 'SQ', name: 'Singapore Airlines', alliance: 'Star Alliance', hubs: ['SIN'], maxRangeKm: 16000 },
+  { code: 'TG', name: 'Thai Airways', alliance: 'Star Alliance', hubs: ['BKK'], maxRangeKm: 12000 },
+  { code: 'CX', name: 'Cathay Pacific', alliance: 'oneworld', hubs: ['HKG'], maxRangeKm: 15000 },
+  { code: 'CA', name: 'Air China', alliance: 'Star Alliance', hubs: ['PEK'], maxRangeKm: 13000 },
+  { code: 'KE', name: 'Korean Air', alliance: 'SkyTeam', hubs: ['ICN'], maxRangeKm: 14000 },
+  { code: 'JL', name: 'Japan Airlines', alliance: 'oneworld', hubs: ['NRT'], maxRangeKm: 14000 },
+  { code: 'QF', name: 'Qantas', alliance: 'oneworld', hubs: ['SYD'], maxRangeKm: 15000 }
+];
+
+// Aircraft flown by sector length, shortest first
+const AIRCRAFT_BY_RANGE = [
+  { maxDistanceKm: 1500, aircraft: [{ code: '320', name: 'Airbus A320' }, { code: '73H', name: 'Boeing 737-800' }] },
+  { maxDistanceKm: 4500, aircraft: [{ code: '32N', name: 'Airbus A320neo' }, { code: '321', name: 'Airbus A321' }, { code: '7M8', name: 'Boeing 737 MAX 8' }] },
+  { maxDistanceKm: 9000, aircraft: [{ code: '789', name: 'Boeing 787-9' }, { code: '333', name: 'Airbus A330-300' }] },
+  { maxDistanceKm: Infinity, aircraft: [{ code: '77W', name: 'Boeing 777-300ER' }, { code: '359', name: 'Airbus A350-900' }] }
+];
+
+// Cabin layouts for generated seat maps, by IATA aircraft code. Columns use a space
+// for each aisle; extraLegroomRows are bulkheads and other stretch rows besides exits.
+const NARROWBODY_LAYOUT = {
+  business: { rows: [1, 4], columns: 'AC DF' },
+  economy: { rows: [5, 30], columns: 'ABC DEF', exitRows: [12, 13], extraLegroomRows: [5] }
+};
+
+const SEAT_LAYOUTS = {
+  '320': NARROWBODY_LAYOUT,
+  '32N': NARROWBODY_LAYOUT,
+  '73H': NARROWBODY_LAYOUT,
+  '7M8': NARROWBODY_LAYOUT,
+  '321': {
+    business: { rows: [1, 5], columns: 'AC DF' },
+    economy: { rows: [6, 36], columns: 'ABC DEF', exitRows: [10, 25], extraLegroomRows: [6] }
+  },
+  '789': {
+    business: { rows: [1, 8], columns: 'A DG K' },
+    premium_economy: { rows: [20, 24], columns: 'AC DEG JK', extraLegroomRows: [20] },
+    economy: { rows: [30, 55], columns: 'ABC DEG HJK', exitRows: [30], extraLegroomRows: [41] }
+  },
+  '333': {
+    business: { rows: [1, 7], columns: 'A DG K' },
+    economy: { rows: [10, 45], columns: 'AC DEFG HK', exitRows: [10, 27], extraLegroomRows: [] }
+  },
+  '77W': {
+    first: { rows: [1, 2], columns: 'A E K' },
+    business: { rows: [5, 12], columns: 'A DG K' },
+    premium_economy: { rows: [20, 25], columns: 'ABC DEF HJK', extraLegroomRows: [20] },
+    economy: { rows: [30, 60], columns: 'ABC DEFG HJK', exitRows: [30, 44], extraLegroomRows: [] }
+  },
+  '359': {
+    business: { rows: [1, 9], columns: 'A DG K' },
+    premium_economy: { rows: [15, 19], columns: 'AC DEG JK', extraLegroomRows: [15] },
+    economy: { rows: [25, 52], columns: 'ABC DEG HJK', exitRows: [25, 38], extraLegroomRows: [] }
+  }
+};
+
+module.exports = {
+  AIRPORTS,
+  AIRLINES,
+  AIRCRAFT_BY_RANGE,
+  METRO_AREAS,
+  SEAT_LAYOUTS
+};
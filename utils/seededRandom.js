@@ -0,0 +1,17 @@
+// Deterministic pseudo-random numbers (mulberry32) seeded from a string, so
+// generated mock data is the same every time for the same inputs
+const createSeededRandom = (seedText) => {
+  let seed = 0;
+  for (let i = 0; i < seedText.length; i++) {
+    seed = Math.imul(31, seed) + seedText.charCodeAt(i) | 0;
+  }
+
+  return () => {
+    seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+};
+
+module.exports = { createSeededRandom };
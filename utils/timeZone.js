@@ -0,0 +1,85 @@
+// Wall-clock parts of an instant in an IANA time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, parseInt(part.value, 10)]));
+};
+
+// Minutes the zone is ahead of UTC at the given instant
+const getOffsetMinutes = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// UTC instant of a local wall-clock time ("2024-05-01", 8 * 60 + 30) in a zone
+const zonedTimeToUtc = (dateKey, minutesOfDay, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+
+  // Correct twice so times next to a DST change land on the right offset
+  let instant = new Date(wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000);
+  instant = new Date(wallClock - getOffsetMinutes(instant, timeZone) * 60000);
+  return instant;
+};
+
+// "HH:MM" of an instant in a zone
+const formatClockTime = (date, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// Local wall-clock ISO string ("2024-05-01T08:30:00") of an instant in a zone
+const formatLocalDateTime = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+};
+
+// UTC instant of a local wall-clock ISO string in a zone
+const localDateTimeToUtc = (localDateTime, timeZone) => {
+  const match = String(localDateTime || '').match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/);
+  if (!match) return null;
+  return zonedTimeToUtc(match[1], parseInt(match[2], 10) * 60 + parseInt(match[3], 10), timeZone);
+};
+
+// Calendar days between the dates of two local wall-clock ISO strings ("+1" arrivals)
+const getDayOffset = (fromLocalDateTime, toLocalDateTime) => {
+  const from = Date.parse(`${String(fromLocalDateTime).slice(0, 10)}T00:00:00Z`);
+  const to = Date.parse(`${String(toLocalDateTime).slice(0, 10)}T00:00:00Z`);
+  if (isNaN(from) || isNaN(to)) return 0;
+  return Math.round((to - from) / 86400000);
+};
+
+// "Tue, Dec 1, 23:40" for a local wall-clock ISO string, independent of the server's zone
+const formatWallClock = (localDateTime) => {
+  const match = String(localDateTime || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const dateText = date.toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+  return `${dateText}, ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+module.exports = {
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  formatClockTime,
+  formatLocalDateTime,
+  localDateTimeToUtc,
+  getDayOffset,
+  formatWallClock
+};